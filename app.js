@@ -1,34 +1,82 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { jsPDF } from 'jspdf';
 import { initializeApp } from 'firebase/app';
 import { 
   getAuth, 
   signInAnonymously, 
   signInWithCustomToken, 
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  linkWithCredential,
+  EmailAuthProvider,
+  connectAuthEmulator,
   onAuthStateChanged, 
   signOut 
 } from 'firebase/auth';
 import { 
-  getFirestore, 
+  initializeFirestore, 
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
   collection, 
+  collectionGroup,
   addDoc, 
   query, 
+  where,
+  getDocs,
+  limit,
+  startAfter,
+  endAt,
   onSnapshot, 
   doc, 
   setDoc,
+  getDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
   orderBy
 } from 'firebase/firestore';
+import {
+  getStorage,
+  connectStorageEmulator,
+  ref as storageRef,
+  uploadBytes,
+  getDownloadURL,
+  getBlob
+} from 'firebase/storage';
 import { 
   Leaf, 
   Search, 
   Camera, 
   BookOpen, 
   User, 
+  UserPlus,
+  Users,
   LogOut, 
   ChevronRight, 
+  Upload,
+  Map as MapIcon,
+  MapPin,
+  MessageCircle,
+  Paperclip,
+  Send,
   Sparkles, 
   History,
   AlertTriangle,
+  BarChart3,
+  Bell,
   CheckCircle,
+  ClipboardList,
+  CloudOff,
+  Download,
+  Plus,
+  RefreshCw,
+  Share2,
+  ShieldCheck,
+  Sprout,
+  Trash2,
   X
 } from 'lucide-react';
 
@@ -36,29 +84,2738 @@ import {
 const firebaseConfig = JSON.parse(__firebase_config);
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
+// Persistent cache keeps the history snapshot listener working without a network.
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
+const storage = getStorage(app);
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'doctor-planet-pro';
 const apiKey = ""; // Handled by environment
 
-// --- Mock Encyclopedia Data ---
-const ENCYCLOPEDIA = [
-  { name: "Early Blight", plant: "Tomato", severity: "High", symptoms: "Target-like brown spots on older leaves.", treatment: "Use copper fungicides and improve airflow." },
-  { name: "Late Blight", plant: "Potato", severity: "Critical", symptoms: "Dark, water-soaked patches on leaves turning black.", treatment: "Destroy infected plants. Use certified seeds." },
-  { name: "Rice Blast", plant: "Rice", severity: "High", symptoms: "Diamond-shaped lesions with gray centers.", treatment: "Apply Silicon fertilizers. Avoid excessive Nitrogen." },
-  { name: "Yellow Rust", plant: "Wheat", severity: "Medium", symptoms: "Linear rows of orange-yellow pustules on leaves.", treatment: "Foliar spray of Propiconazole." },
-  { name: "Corn Smut", plant: "Corn", severity: "Medium", symptoms: "Large white galls on ears or stalks that burst black spores.", treatment: "Remove galls before they burst. Crop rotation." }
+// Local development and tests run against `firebase emulators:start` (see firebase.json).
+if (typeof __use_emulators !== 'undefined' && __use_emulators) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
+
+// Applies `write(batch, item)` to every item, committing in chunks under Firestore's 500-write batch cap.
+// Earlier chunks stay committed when one fails; the error's `committed` says how many items made it.
+const commitInBatches = async (items, write) => {
+  for (let i = 0; i < items.length; i += 500) {
+    const batch = writeBatch(db);
+    items.slice(i, i + 500).forEach(item => write(batch, item));
+    try {
+      await batch.commit();
+    } catch (err) {
+      err.committed = i;
+      throw err;
+    }
+  }
+};
+
+// Firebase auth error codes mapped to STRINGS keys.
+const AUTH_ERRORS = {
+  'auth/invalid-email': 'authInvalidEmail',
+  'auth/missing-password': 'authMissingPassword',
+  'auth/weak-password': 'authWeakPassword',
+  'auth/email-already-in-use': 'authEmailInUse',
+  'auth/credential-already-in-use': 'authCredentialInUse',
+  'auth/invalid-credential': 'authInvalidCredential',
+  'auth/wrong-password': 'authInvalidCredential',
+  'auth/user-not-found': 'authUserNotFound',
+  'auth/too-many-requests': 'authTooManyRequests',
+  'auth/network-request-failed': 'authNetwork'
+};
+
+// Adds an email and password to a guest account. Linking keeps the anonymous uid, so
+// users/{uid}/scans carries over untouched. onAuthStateChanged doesn't fire for a link,
+// so callers pick the new email up from the returned user.
+export const upgradeGuestAccount = async (guest, email, password) =>
+  (await linkWithCredential(guest, EmailAuthProvider.credential(email, password))).user;
+
+// --- Localization ---
+// UI text per language, looked up with `translate(lang, key, { var })`; missing keys fall back
+// to English. Disease names, crops and severities are stored in English so history and
+// analytics stay comparable; only what the user reads is translated.
+const LANGUAGES = {
+  en: { label: 'English', englishName: 'English' },
+  hi: { label: 'हिन्दी', englishName: 'Hindi' },
+  kn: { label: 'ಕನ್ನಡ', englishName: 'Kannada' },
+  es: { label: 'Español', englishName: 'Spanish' }
+};
+const LANGUAGE_STORAGE_KEY = 'doctor-planet-language';
+
+const STRINGS = {
+  en: {
+    tagline: "Advanced Agricultural Intelligence",
+    upgradeTagline: "Save your guest scans to a permanent account",
+    emailPlaceholder: "Email address",
+    passwordPlaceholder: "Password",
+    pleaseWait: "Please wait...",
+    signIn: "Sign In to Farm",
+    createAccount: "Create Account",
+    sendResetLink: "Send Reset Link",
+    saveAccount: "Save Account",
+    createNewAccount: "Create New Account",
+    forgotPassword: "Forgot password?",
+    backToSignIn: "Back to Sign In",
+    notNow: "Not now",
+    orContinueWith: "Or continue with",
+    guestAccess: "Guest Access",
+    resetSent: "Password reset link sent to {email}.",
+    authInvalidEmail: "That email address is not valid.",
+    authMissingPassword: "Please enter your password.",
+    authWeakPassword: "Passwords need at least 6 characters.",
+    authEmailInUse: "An account with this email already exists. Sign in instead.",
+    authCredentialInUse: "This email already belongs to another account.",
+    authInvalidCredential: "Incorrect email or password.",
+    authUserNotFound: "No account found for this email.",
+    authTooManyRequests: "Too many attempts. Please wait a moment and try again.",
+    authNetwork: "Network error. Check your connection and try again.",
+    language: "Language",
+    workspace: "Workspace",
+    personal: "Personal",
+    team: "Team",
+    navExplore: "Explore",
+    navScan: "Scan",
+    navHistory: "History",
+    navMap: "Map",
+    navResearch: "Research",
+    advisorTitle: "AI Advisor",
+    advisorSubtitle: "Describe symptoms or ask about crop care.",
+    consultAi: "Consult AI",
+    diseaseLibrary: "Disease Library",
+    importDiseases: "Import diseases",
+    all: "All",
+    librarySearch: "Search diseases, symptoms, pathogens...",
+    noLibraryMatches: "No diseases match your search.",
+    scanTitle: "AI Diagnostic Scan",
+    scanSubtitle: "Powered by deep learning benchmarks.",
+    followUpFor: "Follow-up for",
+    plot: "Plot",
+    noPlot: "No plot",
+    captureSlot: "Capture or upload: {slot}",
+    slotTop: "Leaf (top)",
+    slotUnderside: "Leaf underside",
+    slotPlant: "Whole plant",
+    camera: "Camera",
+    upload: "Upload",
+    removePhoto: "Remove photo",
+    takePhoto: "Take photo",
+    close: "Close",
+    cameraDenied: "Camera access was denied. Allow it in your browser settings or upload a photo instead.",
+    cameraUnavailable: "No camera is available on this device. Upload a photo instead.",
+    checkingPhoto: "Checking photo...",
+    qualityBlurry: "Too blurry to diagnose. Hold steady and tap to focus on the leaf.",
+    qualitySoft: "Slightly out of focus; results may be less reliable.",
+    qualityTooDark: "Too dark to see symptoms. Move into daylight or turn on more light.",
+    qualityDim: "A bit dark; brighter light gives better results.",
+    qualityTooBright: "Overexposed. Avoid direct sun or flash glare on the leaf.",
+    qualityNoLeaf: "No leaf found in this photo.",
+    qualityLittleLeaf: "The leaf fills little of the frame; move closer.",
+    qualityUnreadable: "This photo's format can't be read here (HEIC photos often can't). Take it with the camera, or save it as JPEG and upload again.",
+    qualityBlocked: "Retake the photos marked in red before running the analysis.",
+    scanning: "SCANNING...",
+    tagLocation: "Tag location",
+    fromPhoto: "(from photo)",
+    processing: "Processing...",
+    runAnalysis: "Run AI Analysis",
+    offlineQueued: "You're offline. The scan was saved and will be diagnosed once you reconnect.",
+    providerQueued: "The AI service can't be reached right now. The scan was saved and will be diagnosed automatically.",
+    recentReports: "Recent Reports",
+    dashboard: "Dashboard",
+    export: "Export",
+    waitingToSync: "Waiting to sync",
+    queuePending: "Pending diagnosis",
+    queueSyncing: "Syncing...",
+    queueFailed: "Failed",
+    estimate: "Estimate: {name}",
+    capturedOffline: "Captured offline",
+    queuedLeaf: "Queued leaf",
+    diagnosisMalformed: "The AI returned an empty or malformed diagnosis.",
+    diagnosisIncomplete: "The AI response was incomplete and could not be used.",
+    diagnosisBusy: "The AI service is busy right now. Please try again in a minute.",
+    diagnosisUnavailable: "The AI service is temporarily unavailable.",
+    diagnosisCredentials: "The AI service rejected our credentials.",
+    diagnosisModelMissing: "The configured AI model could not be found.",
+    diagnosisRejected: "The AI service rejected the request (HTTP {status}).",
+    diagnosisUnreachable: "Could not reach the AI service.",
+    diagnosisBlocked: "The request was blocked by the AI safety filter ({reason}).",
+    diagnosisDeclined: "The AI declined to answer because of its safety filter.",
+    diagnosisUnreadable: "The AI returned an unreadable answer.",
+    diagnosisEmptyReply: "The AI returned an empty answer.",
+    diagnosisNoOfflineMatch: "Offline: no matching disease found for that description.",
+    diagnosisUploadFailed: "Could not upload the photo.",
+    healthyResultName: "No Disease Detected",
+    healthyResultSymptoms: "Leaf tissue looks mostly green with no clear lesions.",
+    healthyResultTreatment: "No treatment needed. Keep monitoring and re-scan if spots appear.",
+    retakeResultName: "Needs a Better Photo",
+    retakeResultSymptoms: "The image is too blurry, dark or far away to assess the leaf.",
+    retakeResultTreatment: "Retake the photo in daylight with a single leaf filling the frame.",
+    offlineChatMatch: "I'm offline, so this comes from the built-in library.\n\n{name} ({plant}): {symptoms}\n\nTreatment: {treatment}",
+    offlineChatNoMatch: "I'm offline and can only answer questions about diseases in the built-in library. Your question will need a connection.",
+    retry: "Retry",
+    discard: "Discard",
+    followUpsDue: "Follow-ups due",
+    unassigned: "Unassigned",
+    deletePlot: "Delete plot",
+    plantedOn: "planted {date}",
+    noHistory: "No diagnostic history found.",
+    synced: "Synced",
+    confirmed: "Confirmed",
+    reviewed: "Reviewed",
+    alternative: "Alt: {name} ({confidence})",
+    loadOlder: "Load older reports",
+    literatureReview: "Literature Review",
+    research1: "Plant disease detection has been an active area of research due to its significant impact on agricultural productivity and food security. Traditional diagnosis methods rely on expert inspection, which is often subjective and inefficient for large-scale farming.",
+    researchQuote: "\"Overall, the literature shows a clear progression from traditional machine learning to advanced deep learning approaches.\"",
+    research2: "Researchers have therefore explored automated approaches, primarily based on image processing and machine learning techniques. Early studies focused on classical image processing algorithms that extracted handcrafted features such as color, texture, and shape.",
+    research3: "The advent of deep learning, particularly Convolutional Neural Networks (CNNs), revolutionized the field. Models like AlexNet and VGGNet demonstrated high performance, while MobileNet enabled real-time mobile deployability.",
+    healthy: "Healthy",
+    severityLow: "Low",
+    severityMedium: "Medium",
+    severityHigh: "High",
+    severityCritical: "Critical",
+    riskLevel: "{level} Risk",
+    confidence: "{value} confidence",
+    pendingDiagnosis: "Pending full diagnosis • syncs automatically",
+    offlineEstimate: "Offline estimate • on-device classifier",
+    unreadablePhoto: "We couldn't read this photo reliably.",
+    retake: "Retake",
+    symptoms: "Symptoms",
+    recommendedTreatment: "Recommended Treatment",
+    organic: "Organic",
+    chemical: "Chemical",
+    pathogen: "Pathogen",
+    favourableConditions: "Favourable Conditions",
+    prevention: "Prevention",
+    differentialDiagnoses: "Differential Diagnoses",
+    openInLibrary: "Open in Disease Library",
+    pdf: "PDF",
+    shareLink: "Share Link",
+    stopSharing: "Stop Sharing",
+    askAdvisor: "Ask the AI Advisor",
+    closeReport: "Close Report",
+    treatmentPlan: "Treatment Plan",
+    product: "Product",
+    dose: "Dose",
+    interval: "Interval",
+    everyDays: "Every {days} days",
+    applications: "Applications",
+    applicationsDone: "{done} of {total}",
+    startPlan: "Start Plan & Reminders",
+    remindersWhileOpen: "Reminders show while Doctor Planet is open. Add the plan to your calendar to be reminded otherwise.",
+    addToCalendar: "Add to calendar",
+    dueNow: "Due now",
+    dueOn: "Due {date}",
+    done: "Done",
+    rescan: "Re-scan",
+    followUpApplication: "Application {number} of {total}",
+    followUpRescan: "Re-scan to check treatment progress",
+    followUpNotification: "{name}: follow-up due",
+    beforeAfter: "Before / After",
+    improved: "Improved",
+    worsened: "Worsened",
+    noChange: "No change",
+    pastConversations: "Past conversations",
+    newConversation: "New conversation",
+    noConversations: "No conversations yet.",
+    advisorEmpty: "Ask about watering, pests, diseases or anything else on your farm.",
+    thinking: "Thinking...",
+    myScans: "My Scans",
+    library: "Library",
+    attachContext: "Attach a scan or library entry",
+    askPlaceholder: "Ask the advisor...",
+    cancel: "Cancel",
+    confirmDeletePlot: "Delete this plot? Its scans stay in your history as unassigned.",
+    plotNamePlaceholder: "Plot name (e.g. North Field)",
+    variety: "Variety",
+    plantingDate: "Planting date",
+    areaHa: "Area (ha)",
+    savePlot: "Save Plot",
+    noPlotScans: "No scans for this plot yet.",
+    outbreakMap: "Outbreak Map",
+    mapLimited: "Showing the latest {count} scans, back to {date}.",
+    lastDays: "{days} days",
+    allTime: "All time",
+    allDiseases: "All diseases",
+    noGeotaggedScans: "No geotagged scans in this window.",
+    importDiseasesJson: "Import Diseases (JSON)",
+    importExpectedArray: "Expected a non-empty array of entries.",
+    importMissingName: "Every entry needs a name (or name.en).",
+    importMissingPlant: "\"{name}\" is missing its plant.",
+    importMissingSymptoms: "\"{name}\" is missing symptoms.",
+    importedEntry: "Imported 1 entry.",
+    importedEntries: "Imported {count} entries.",
+    importPartial: "Imported {count} of {total} entries, then the import failed: {error} Importing the same file again is safe.",
+    importing: "Importing...",
+    import: "Import",
+    exportHistory: "Export History",
+    from: "From",
+    to: "To",
+    allCrops: "All crops",
+    exporting: "Exporting...",
+    exportedScan: "Exported 1 scan.",
+    exportedScans: "Exported {count} scans.",
+    download: "Download",
+    sharedReport: "Shared Report",
+    reportNotShared: "This report is no longer shared.",
+    downloadPdf: "Download PDF",
+    pdfTitle: "Doctor Planet Pro - Diagnostic Report",
+    scannedOn: "Scanned {date}",
+    pdfSchedule: "Every {days} days, {repeats} application(s)",
+    reports: "Reports",
+    monthsCount: "{count} months",
+    scansStat: "Scans",
+    diseasedStat: "Diseased",
+    casesVsSameDays: "Cases vs same days last month",
+    monthOverMonth: "Month over month",
+    monthSummary: "{total} scans, {diseased} diseased",
+    allScans: "All scans",
+    severityOverTime: "Severity over time",
+    diseasesByCrop: "Disease frequency by crop",
+    noDiseasesInPeriod: "No diseases detected in this period.",
+    recurringByPlot: "Recurring problems by plot",
+    deletedPlot: "Deleted plot",
+    roleOwner: "Owner",
+    roleAgronomist: "Agronomist",
+    roleFieldWorker: "Field Worker",
+    invitations: "Invitations",
+    invitedBy: "from {email}",
+    join: "Join",
+    decline: "Decline",
+    workspaces: "Workspaces",
+    onlyYou: "Only you",
+    newWorkspacePlaceholder: "New farm workspace",
+    create: "Create",
+    workspaceMembers: "{name} members",
+    guestAccount: "Guest account",
+    you: "(you)",
+    leave: "Leave",
+    remove: "Remove",
+    invitedAs: "Invited • {role}",
+    withdraw: "Withdraw",
+    invite: "Invite",
+    workspaceCreated: "Created {name}.",
+    inviteSent: "Invited {email}. They'll see the invite after signing in with that address.",
+    verifyEmailToJoin: "Open the verification link we sent to {email}, then press Join again.",
+    joinedWorkspace: "Joined {name}.",
+    inviteDeclined: "Invite declined.",
+    inviteWithdrawn: "Invite withdrawn.",
+    member: "Member",
+    thisMember: "this member",
+    roleChanged: "{member} is now {role}.",
+    confirmLeaveWorkspace: "Leave {name}?",
+    confirmRemoveMember: "Remove {member} from {name}?",
+    leftWorkspace: "You left {name}.",
+    memberRemoved: "Member removed.",
+    agronomistReview: "Agronomist Review",
+    reviewConfirmedBy: "Confirmed by {reviewer} on {date}.",
+    reviewOverriddenBy: "Overridden (AI said {name}) by {reviewer} on {date}.",
+    aReviewer: "a reviewer",
+    notReviewed: "Not reviewed yet.",
+    confirmAi: "Confirm AI",
+    override: "Override",
+    correctDiagnosis: "Correct diagnosis…",
+    reasonOptional: "Reason (optional)",
+    saveOverride: "Save Override",
+    comments: "Comments",
+    guest: "Guest",
+    addComment: "Add a comment"
+  },
+  hi: {
+    tagline: "उन्नत कृषि बुद्धिमत्ता",
+    upgradeTagline: "अपने अतिथि स्कैन को स्थायी खाते में सहेजें",
+    emailPlaceholder: "ईमेल पता",
+    passwordPlaceholder: "पासवर्ड",
+    pleaseWait: "कृपया प्रतीक्षा करें...",
+    signIn: "फ़ार्म में साइन इन करें",
+    createAccount: "खाता बनाएँ",
+    sendResetLink: "रीसेट लिंक भेजें",
+    saveAccount: "खाता सहेजें",
+    createNewAccount: "नया खाता बनाएँ",
+    forgotPassword: "पासवर्ड भूल गए?",
+    backToSignIn: "साइन इन पर वापस जाएँ",
+    notNow: "अभी नहीं",
+    orContinueWith: "या इसके साथ जारी रखें",
+    guestAccess: "अतिथि प्रवेश",
+    resetSent: "पासवर्ड रीसेट लिंक {email} पर भेजा गया।",
+    authInvalidEmail: "यह ईमेल पता मान्य नहीं है।",
+    authMissingPassword: "कृपया अपना पासवर्ड दर्ज करें।",
+    authWeakPassword: "पासवर्ड में कम से कम 6 अक्षर होने चाहिए।",
+    authEmailInUse: "इस ईमेल से खाता पहले से मौजूद है। साइन इन करें।",
+    authCredentialInUse: "यह ईमेल किसी दूसरे खाते से जुड़ा है।",
+    authInvalidCredential: "ईमेल या पासवर्ड गलत है।",
+    authUserNotFound: "इस ईमेल के लिए कोई खाता नहीं मिला।",
+    authTooManyRequests: "बहुत अधिक प्रयास। कुछ देर रुककर फिर कोशिश करें।",
+    authNetwork: "नेटवर्क त्रुटि। अपना कनेक्शन जाँचें और फिर कोशिश करें।",
+    language: "भाषा",
+    workspace: "वर्कस्पेस",
+    personal: "व्यक्तिगत",
+    team: "टीम",
+    navExplore: "खोजें",
+    navScan: "स्कैन",
+    navHistory: "इतिहास",
+    navMap: "नक्शा",
+    navResearch: "शोध",
+    advisorTitle: "AI सलाहकार",
+    advisorSubtitle: "लक्षण बताइए या फ़सल की देखभाल के बारे में पूछिए।",
+    consultAi: "AI से पूछें",
+    diseaseLibrary: "रोग पुस्तकालय",
+    importDiseases: "रोग आयात करें",
+    all: "सभी",
+    librarySearch: "रोग, लक्षण, रोगजनक खोजें...",
+    noLibraryMatches: "आपकी खोज से कोई रोग मेल नहीं खाता।",
+    scanTitle: "AI निदान स्कैन",
+    scanSubtitle: "डीप लर्निंग बेंचमार्क पर आधारित।",
+    followUpFor: "फ़ॉलो-अप:",
+    plot: "खेत",
+    noPlot: "कोई खेत नहीं",
+    captureSlot: "फ़ोटो लें या अपलोड करें: {slot}",
+    slotTop: "पत्ती (ऊपरी भाग)",
+    slotUnderside: "पत्ती का निचला भाग",
+    slotPlant: "पूरा पौधा",
+    camera: "कैमरा",
+    upload: "अपलोड",
+    removePhoto: "फ़ोटो हटाएँ",
+    takePhoto: "फ़ोटो लें",
+    close: "बंद करें",
+    cameraDenied: "कैमरे की अनुमति नहीं मिली। ब्राउज़र सेटिंग में अनुमति दें या फ़ोटो अपलोड करें।",
+    cameraUnavailable: "इस डिवाइस पर कोई कैमरा उपलब्ध नहीं है। फ़ोटो अपलोड करें।",
+    checkingPhoto: "फ़ोटो जाँची जा रही है...",
+    qualityBlurry: "फ़ोटो बहुत धुंधली है। फ़ोन स्थिर रखें और पत्ती पर फ़ोकस करने के लिए टैप करें।",
+    qualitySoft: "फ़ोटो थोड़ी धुंधली है; परिणाम कम भरोसेमंद हो सकते हैं।",
+    qualityTooDark: "लक्षण देखने के लिए बहुत अँधेरा है। रोशनी में जाएँ।",
+    qualityDim: "थोड़ा अँधेरा है; तेज़ रोशनी में बेहतर परिणाम मिलते हैं।",
+    qualityTooBright: "फ़ोटो में बहुत ज़्यादा रोशनी है। पत्ती पर सीधी धूप या फ़्लैश की चमक से बचें।",
+    qualityNoLeaf: "इस फ़ोटो में कोई पत्ती नहीं मिली।",
+    qualityLittleLeaf: "फ़्रेम में पत्ती बहुत छोटी है; पास जाएँ।",
+    qualityUnreadable: "इस फ़ोटो का फ़ॉर्मैट यहाँ नहीं पढ़ा जा सकता (HEIC फ़ोटो अक्सर नहीं पढ़ी जातीं)। कैमरे से फ़ोटो लें या JPEG में सहेजकर फिर अपलोड करें।",
+    qualityBlocked: "विश्लेषण से पहले लाल निशान वाली फ़ोटो फिर से लें।",
+    scanning: "स्कैन हो रहा है...",
+    tagLocation: "स्थान जोड़ें",
+    fromPhoto: "(फ़ोटो से)",
+    processing: "प्रोसेस हो रहा है...",
+    runAnalysis: "AI विश्लेषण चलाएँ",
+    offlineQueued: "आप ऑफ़लाइन हैं। स्कैन सहेज लिया गया है और कनेक्शन लौटने पर उसका निदान होगा।",
+    providerQueued: "एआई सेवा अभी उपलब्ध नहीं है। स्कैन सहेज लिया गया है और उसका निदान अपने आप होगा।",
+    recentReports: "हाल की रिपोर्टें",
+    dashboard: "डैशबोर्ड",
+    export: "निर्यात",
+    waitingToSync: "सिंक की प्रतीक्षा में",
+    queuePending: "निदान बाकी",
+    queueSyncing: "सिंक हो रहा है...",
+    queueFailed: "विफल",
+    estimate: "अनुमान: {name}",
+    capturedOffline: "ऑफ़लाइन लिया गया",
+    queuedLeaf: "कतार में रखी पत्ती",
+    diagnosisMalformed: "एआई ने खाली या गलत निदान लौटाया।",
+    diagnosisIncomplete: "एआई का जवाब अधूरा था और उसका उपयोग नहीं हो सका।",
+    diagnosisBusy: "एआई सेवा अभी व्यस्त है। कृपया एक मिनट बाद फिर कोशिश करें।",
+    diagnosisUnavailable: "एआई सेवा अस्थायी रूप से उपलब्ध नहीं है।",
+    diagnosisCredentials: "एआई सेवा ने हमारी पहचान स्वीकार नहीं की।",
+    diagnosisModelMissing: "चुना गया एआई मॉडल नहीं मिला।",
+    diagnosisRejected: "एआई सेवा ने अनुरोध अस्वीकार कर दिया (HTTP {status})।",
+    diagnosisUnreachable: "एआई सेवा से संपर्क नहीं हो सका।",
+    diagnosisBlocked: "एआई सुरक्षा फ़िल्टर ने अनुरोध रोक दिया ({reason})।",
+    diagnosisDeclined: "एआई ने अपने सुरक्षा फ़िल्टर के कारण जवाब देने से मना कर दिया।",
+    diagnosisUnreadable: "एआई का जवाब पढ़ा नहीं जा सका।",
+    diagnosisEmptyReply: "एआई ने खाली जवाब दिया।",
+    diagnosisNoOfflineMatch: "ऑफ़लाइन: इस विवरण से मेल खाता कोई रोग नहीं मिला।",
+    diagnosisUploadFailed: "फ़ोटो अपलोड नहीं हो सकी।",
+    healthyResultName: "कोई रोग नहीं मिला",
+    healthyResultSymptoms: "पत्ती का ऊतक ज़्यादातर हरा दिखता है, कोई साफ़ धब्बा नहीं है।",
+    healthyResultTreatment: "किसी उपचार की ज़रूरत नहीं। निगरानी रखें और धब्बे दिखें तो फिर से स्कैन करें।",
+    retakeResultName: "बेहतर फ़ोटो चाहिए",
+    retakeResultSymptoms: "पत्ती को जाँचने के लिए तस्वीर बहुत धुंधली, अंधेरी या दूर से ली गई है।",
+    retakeResultTreatment: "दिन की रोशनी में फ़ोटो फिर से लें, जिसमें एक ही पत्ती पूरे फ़्रेम में हो।",
+    offlineChatMatch: "मैं ऑफ़लाइन हूँ, इसलिए यह जवाब अंतर्निहित लाइब्रेरी से है।\n\n{name} ({plant}): {symptoms}\n\nउपचार: {treatment}",
+    offlineChatNoMatch: "मैं ऑफ़लाइन हूँ और केवल अंतर्निहित लाइब्रेरी के रोगों के बारे में जवाब दे सकता हूँ। आपके सवाल के लिए कनेक्शन चाहिए।",
+    retry: "फिर कोशिश करें",
+    discard: "हटाएँ",
+    followUpsDue: "बकाया फ़ॉलो-अप",
+    unassigned: "बिना खेत",
+    deletePlot: "खेत हटाएँ",
+    plantedOn: "बुवाई {date}",
+    noHistory: "कोई निदान इतिहास नहीं मिला।",
+    synced: "सिंक हुआ",
+    confirmed: "पुष्टि हुई",
+    reviewed: "समीक्षा हुई",
+    alternative: "विकल्प: {name} ({confidence})",
+    loadOlder: "पुरानी रिपोर्टें दिखाएँ",
+    literatureReview: "साहित्य समीक्षा",
+    research1: "कृषि उत्पादकता और खाद्य सुरक्षा पर बड़े प्रभाव के कारण पौधों के रोगों की पहचान शोध का एक सक्रिय क्षेत्र रहा है। पारंपरिक निदान विशेषज्ञ निरीक्षण पर निर्भर करता है, जो अक्सर व्यक्तिपरक होता है और बड़े पैमाने की खेती के लिए अक्षम है।",
+    researchQuote: "\"कुल मिलाकर, साहित्य पारंपरिक मशीन लर्निंग से उन्नत डीप लर्निंग तरीकों की ओर स्पष्ट प्रगति दिखाता है।\"",
+    research2: "इसलिए शोधकर्ताओं ने मुख्य रूप से इमेज प्रोसेसिंग और मशीन लर्निंग पर आधारित स्वचालित तरीकों की खोज की है। शुरुआती अध्ययन पारंपरिक इमेज प्रोसेसिंग एल्गोरिदम पर केंद्रित थे, जो रंग, बनावट और आकार जैसी हाथ से तैयार विशेषताएँ निकालते थे।",
+    research3: "डीप लर्निंग, विशेषकर कन्वोल्यूशनल न्यूरल नेटवर्क (CNN), के आगमन ने इस क्षेत्र को बदल दिया। AlexNet और VGGNet जैसे मॉडलों ने उच्च प्रदर्शन दिखाया, जबकि MobileNet ने मोबाइल पर रीयल-टाइम उपयोग संभव बनाया।",
+    healthy: "स्वस्थ",
+    severityLow: "कम",
+    severityMedium: "मध्यम",
+    severityHigh: "अधिक",
+    severityCritical: "गंभीर",
+    riskLevel: "{level} जोखिम",
+    confidence: "{value} विश्वास",
+    pendingDiagnosis: "पूरा निदान बाकी • अपने आप सिंक होगा",
+    offlineEstimate: "ऑफ़लाइन अनुमान • डिवाइस पर वर्गीकरण",
+    unreadablePhoto: "हम इस फ़ोटो को ठीक से नहीं पढ़ सके।",
+    retake: "फिर से लें",
+    symptoms: "लक्षण",
+    recommendedTreatment: "सुझाया गया उपचार",
+    organic: "जैविक",
+    chemical: "रासायनिक",
+    pathogen: "रोगजनक",
+    favourableConditions: "अनुकूल परिस्थितियाँ",
+    prevention: "रोकथाम",
+    differentialDiagnoses: "संभावित निदान",
+    openInLibrary: "रोग पुस्तकालय में खोलें",
+    pdf: "PDF",
+    shareLink: "लिंक साझा करें",
+    stopSharing: "साझा करना बंद करें",
+    askAdvisor: "AI सलाहकार से पूछें",
+    closeReport: "रिपोर्ट बंद करें",
+    treatmentPlan: "उपचार योजना",
+    product: "उत्पाद",
+    dose: "मात्रा",
+    interval: "अंतराल",
+    everyDays: "हर {days} दिन",
+    applications: "छिड़काव",
+    applicationsDone: "{total} में से {done}",
+    startPlan: "योजना और रिमाइंडर शुरू करें",
+    remindersWhileOpen: "रिमाइंडर तभी दिखते हैं जब Doctor Planet खुला हो। बाकी समय याद दिलाने के लिए योजना को अपने कैलेंडर में जोड़ें।",
+    addToCalendar: "कैलेंडर में जोड़ें",
+    dueNow: "अभी करना है",
+    dueOn: "{date} को",
+    done: "हो गया",
+    rescan: "फिर स्कैन करें",
+    followUpApplication: "{total} में से छिड़काव {number}",
+    followUpRescan: "उपचार की प्रगति जाँचने के लिए फिर स्कैन करें",
+    followUpNotification: "{name}: फ़ॉलो-अप बाकी",
+    beforeAfter: "पहले / बाद",
+    improved: "सुधार",
+    worsened: "बिगड़ा",
+    noChange: "कोई बदलाव नहीं",
+    pastConversations: "पिछली बातचीत",
+    newConversation: "नई बातचीत",
+    noConversations: "अभी कोई बातचीत नहीं।",
+    advisorEmpty: "सिंचाई, कीट, रोग या अपने खेत के बारे में कुछ भी पूछें।",
+    thinking: "सोच रहा है...",
+    myScans: "मेरे स्कैन",
+    library: "पुस्तकालय",
+    attachContext: "स्कैन या पुस्तकालय प्रविष्टि जोड़ें",
+    askPlaceholder: "सलाहकार से पूछें...",
+    cancel: "रद्द करें",
+    confirmDeletePlot: "यह प्लॉट हटाएँ? इसके स्कैन इतिहास में बिना प्लॉट के बने रहेंगे।",
+    plotNamePlaceholder: "प्लॉट का नाम (जैसे उत्तरी खेत)",
+    variety: "किस्म",
+    plantingDate: "बुवाई की तारीख",
+    areaHa: "क्षेत्रफल (हे.)",
+    savePlot: "प्लॉट सहेजें",
+    noPlotScans: "इस प्लॉट के लिए अभी कोई स्कैन नहीं।",
+    outbreakMap: "प्रकोप मानचित्र",
+    mapLimited: "नवीनतम {count} स्कैन दिखाए जा रहे हैं, {date} तक।",
+    lastDays: "{days} दिन",
+    allTime: "अब तक",
+    allDiseases: "सभी रोग",
+    noGeotaggedScans: "इस अवधि में स्थान वाले कोई स्कैन नहीं।",
+    importDiseasesJson: "रोग आयात करें (JSON)",
+    importExpectedArray: "प्रविष्टियों की खाली न हो ऐसी सूची अपेक्षित है।",
+    importMissingName: "हर प्रविष्टि का नाम (या name.en) होना चाहिए।",
+    importMissingPlant: "\"{name}\" में पौधा नहीं दिया गया है।",
+    importMissingSymptoms: "\"{name}\" में लक्षण नहीं दिए गए हैं।",
+    importedEntry: "1 प्रविष्टि आयात की गई।",
+    importedEntries: "{count} प्रविष्टियाँ आयात की गईं।",
+    importPartial: "{total} में से {count} प्रविष्टियाँ आयात हुईं, फिर आयात विफल हो गया: {error} वही फ़ाइल दोबारा आयात करना सुरक्षित है।",
+    importing: "आयात हो रहा है...",
+    import: "आयात करें",
+    exportHistory: "इतिहास निर्यात करें",
+    from: "से",
+    to: "तक",
+    allCrops: "सभी फ़सलें",
+    exporting: "निर्यात हो रहा है...",
+    exportedScan: "1 स्कैन निर्यात किया गया।",
+    exportedScans: "{count} स्कैन निर्यात किए गए।",
+    download: "डाउनलोड करें",
+    sharedReport: "साझा रिपोर्ट",
+    reportNotShared: "यह रिपोर्ट अब साझा नहीं है।",
+    downloadPdf: "PDF डाउनलोड करें",
+    pdfTitle: "Doctor Planet Pro - निदान रिपोर्ट",
+    scannedOn: "स्कैन किया गया: {date}",
+    pdfSchedule: "हर {days} दिन, {repeats} छिड़काव",
+    reports: "रिपोर्टें",
+    monthsCount: "{count} महीने",
+    scansStat: "स्कैन",
+    diseasedStat: "रोगग्रस्त",
+    casesVsSameDays: "पिछले महीने के इन्हीं दिनों की तुलना में मामले",
+    monthOverMonth: "महीना-दर-महीना",
+    monthSummary: "{total} स्कैन, {diseased} रोगग्रस्त",
+    allScans: "सभी स्कैन",
+    severityOverTime: "समय के साथ गंभीरता",
+    diseasesByCrop: "फ़सल के अनुसार रोगों की आवृत्ति",
+    noDiseasesInPeriod: "इस अवधि में कोई रोग नहीं मिला।",
+    recurringByPlot: "प्लॉट के अनुसार बार-बार होने वाली समस्याएँ",
+    deletedPlot: "हटाया गया प्लॉट",
+    roleOwner: "मालिक",
+    roleAgronomist: "कृषि विशेषज्ञ",
+    roleFieldWorker: "खेत कर्मी",
+    invitations: "निमंत्रण",
+    invitedBy: "{email} की ओर से",
+    join: "जुड़ें",
+    decline: "अस्वीकार करें",
+    workspaces: "वर्कस्पेस",
+    onlyYou: "केवल आप",
+    newWorkspacePlaceholder: "नया फ़ार्म वर्कस्पेस",
+    create: "बनाएँ",
+    workspaceMembers: "{name} के सदस्य",
+    guestAccount: "अतिथि खाता",
+    you: "(आप)",
+    leave: "छोड़ें",
+    remove: "हटाएँ",
+    invitedAs: "आमंत्रित • {role}",
+    withdraw: "वापस लें",
+    invite: "आमंत्रित करें",
+    workspaceCreated: "{name} बनाया गया।",
+    inviteSent: "{email} को आमंत्रित किया गया। उस पते से साइन इन करने पर उन्हें निमंत्रण दिखेगा।",
+    verifyEmailToJoin: "{email} पर भेजा गया सत्यापन लिंक खोलें, फिर दोबारा जुड़ें दबाएँ।",
+    joinedWorkspace: "{name} से जुड़ गए।",
+    inviteDeclined: "निमंत्रण अस्वीकार किया गया।",
+    inviteWithdrawn: "निमंत्रण वापस लिया गया।",
+    member: "सदस्य",
+    thisMember: "इस सदस्य",
+    roleChanged: "{member} अब {role} हैं।",
+    confirmLeaveWorkspace: "{name} छोड़ें?",
+    confirmRemoveMember: "{member} को {name} से हटाएँ?",
+    leftWorkspace: "आपने {name} छोड़ दिया।",
+    memberRemoved: "सदस्य हटाया गया।",
+    agronomistReview: "कृषि विशेषज्ञ समीक्षा",
+    reviewConfirmedBy: "{reviewer} ने {date} को पुष्टि की।",
+    reviewOverriddenBy: "{reviewer} ने {date} को बदला (AI ने {name} बताया था)।",
+    aReviewer: "एक समीक्षक",
+    notReviewed: "अभी समीक्षा नहीं हुई।",
+    confirmAi: "AI की पुष्टि करें",
+    override: "बदलें",
+    correctDiagnosis: "सही निदान…",
+    reasonOptional: "कारण (वैकल्पिक)",
+    saveOverride: "बदलाव सहेजें",
+    comments: "टिप्पणियाँ",
+    guest: "अतिथि",
+    addComment: "टिप्पणी जोड़ें"
+  },
+  kn: {
+    tagline: "ಸುಧಾರಿತ ಕೃಷಿ ಬುದ್ಧಿಮತ್ತೆ",
+    upgradeTagline: "ನಿಮ್ಮ ಅತಿಥಿ ಸ್ಕ್ಯಾನ್‌ಗಳನ್ನು ಶಾಶ್ವತ ಖಾತೆಗೆ ಉಳಿಸಿ",
+    emailPlaceholder: "ಇಮೇಲ್ ವಿಳಾಸ",
+    passwordPlaceholder: "ಪಾಸ್‌ವರ್ಡ್",
+    pleaseWait: "ದಯವಿಟ್ಟು ನಿರೀಕ್ಷಿಸಿ...",
+    signIn: "ಫಾರ್ಮ್‌ಗೆ ಸೈನ್ ಇನ್ ಮಾಡಿ",
+    createAccount: "ಖಾತೆ ರಚಿಸಿ",
+    sendResetLink: "ಮರುಹೊಂದಿಕೆ ಲಿಂಕ್ ಕಳುಹಿಸಿ",
+    saveAccount: "ಖಾತೆ ಉಳಿಸಿ",
+    createNewAccount: "ಹೊಸ ಖಾತೆ ರಚಿಸಿ",
+    forgotPassword: "ಪಾಸ್‌ವರ್ಡ್ ಮರೆತಿರಾ?",
+    backToSignIn: "ಸೈನ್ ಇನ್‌ಗೆ ಹಿಂತಿರುಗಿ",
+    notNow: "ಈಗ ಬೇಡ",
+    orContinueWith: "ಅಥವಾ ಇದರೊಂದಿಗೆ ಮುಂದುವರಿಸಿ",
+    guestAccess: "ಅತಿಥಿ ಪ್ರವೇಶ",
+    resetSent: "ಪಾಸ್‌ವರ್ಡ್ ಮರುಹೊಂದಿಕೆ ಲಿಂಕ್ ಅನ್ನು {email} ಗೆ ಕಳುಹಿಸಲಾಗಿದೆ.",
+    authInvalidEmail: "ಈ ಇಮೇಲ್ ವಿಳಾಸ ಮಾನ್ಯವಾಗಿಲ್ಲ.",
+    authMissingPassword: "ದಯವಿಟ್ಟು ನಿಮ್ಮ ಪಾಸ್‌ವರ್ಡ್ ನಮೂದಿಸಿ.",
+    authWeakPassword: "ಪಾಸ್‌ವರ್ಡ್‌ನಲ್ಲಿ ಕನಿಷ್ಠ 6 ಅಕ್ಷರಗಳಿರಬೇಕು.",
+    authEmailInUse: "ಈ ಇಮೇಲ್‌ನೊಂದಿಗೆ ಖಾತೆ ಈಗಾಗಲೇ ಇದೆ. ಸೈನ್ ಇನ್ ಮಾಡಿ.",
+    authCredentialInUse: "ಈ ಇಮೇಲ್ ಬೇರೆ ಖಾತೆಗೆ ಸೇರಿದೆ.",
+    authInvalidCredential: "ಇಮೇಲ್ ಅಥವಾ ಪಾಸ್‌ವರ್ಡ್ ತಪ್ಪಾಗಿದೆ.",
+    authUserNotFound: "ಈ ಇಮೇಲ್‌ಗೆ ಯಾವುದೇ ಖಾತೆ ಕಂಡುಬಂದಿಲ್ಲ.",
+    authTooManyRequests: "ಹಲವು ಪ್ರಯತ್ನಗಳು. ಸ್ವಲ್ಪ ಸಮಯದ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+    authNetwork: "ನೆಟ್‌ವರ್ಕ್ ದೋಷ. ಸಂಪರ್ಕವನ್ನು ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+    language: "ಭಾಷೆ",
+    workspace: "ಕಾರ್ಯಕ್ಷೇತ್ರ",
+    personal: "ವೈಯಕ್ತಿಕ",
+    team: "ತಂಡ",
+    navExplore: "ಅನ್ವೇಷಿಸಿ",
+    navScan: "ಸ್ಕ್ಯಾನ್",
+    navHistory: "ಇತಿಹಾಸ",
+    navMap: "ನಕ್ಷೆ",
+    navResearch: "ಸಂಶೋಧನೆ",
+    advisorTitle: "AI ಸಲಹೆಗಾರ",
+    advisorSubtitle: "ಲಕ್ಷಣಗಳನ್ನು ವಿವರಿಸಿ ಅಥವಾ ಬೆಳೆ ಆರೈಕೆಯ ಬಗ್ಗೆ ಕೇಳಿ.",
+    consultAi: "AI ಯನ್ನು ಕೇಳಿ",
+    diseaseLibrary: "ರೋಗ ಗ್ರಂಥಾಲಯ",
+    importDiseases: "ರೋಗಗಳನ್ನು ಆಮದು ಮಾಡಿ",
+    all: "ಎಲ್ಲಾ",
+    librarySearch: "ರೋಗಗಳು, ಲಕ್ಷಣಗಳು, ರೋಗಕಾರಕಗಳನ್ನು ಹುಡುಕಿ...",
+    noLibraryMatches: "ನಿಮ್ಮ ಹುಡುಕಾಟಕ್ಕೆ ಯಾವುದೇ ರೋಗ ಹೊಂದಿಕೆಯಾಗಿಲ್ಲ.",
+    scanTitle: "AI ರೋಗನಿರ್ಣಯ ಸ್ಕ್ಯಾನ್",
+    scanSubtitle: "ಡೀಪ್ ಲರ್ನಿಂಗ್ ಮಾನದಂಡಗಳ ಆಧಾರದಲ್ಲಿ.",
+    followUpFor: "ಫಾಲೋ-ಅಪ್:",
+    plot: "ಹೊಲ",
+    noPlot: "ಹೊಲ ಇಲ್ಲ",
+    captureSlot: "ಚಿತ್ರ ತೆಗೆಯಿರಿ ಅಥವಾ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ: {slot}",
+    slotTop: "ಎಲೆ (ಮೇಲ್ಭಾಗ)",
+    slotUnderside: "ಎಲೆಯ ಕೆಳಭಾಗ",
+    slotPlant: "ಪೂರ್ಣ ಸಸ್ಯ",
+    camera: "ಕ್ಯಾಮೆರಾ",
+    upload: "ಅಪ್‌ಲೋಡ್",
+    removePhoto: "ಚಿತ್ರ ತೆಗೆದುಹಾಕಿ",
+    takePhoto: "ಚಿತ್ರ ತೆಗೆಯಿರಿ",
+    close: "ಮುಚ್ಚಿ",
+    cameraDenied: "ಕ್ಯಾಮೆರಾ ಅನುಮತಿ ನಿರಾಕರಿಸಲಾಗಿದೆ. ಬ್ರೌಸರ್ ಸೆಟ್ಟಿಂಗ್‌ಗಳಲ್ಲಿ ಅನುಮತಿಸಿ ಅಥವಾ ಚಿತ್ರ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ.",
+    cameraUnavailable: "ಈ ಸಾಧನದಲ್ಲಿ ಕ್ಯಾಮೆರಾ ಲಭ್ಯವಿಲ್ಲ. ಚಿತ್ರ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ.",
+    checkingPhoto: "ಚಿತ್ರ ಪರಿಶೀಲಿಸಲಾಗುತ್ತಿದೆ...",
+    qualityBlurry: "ಚಿತ್ರ ತುಂಬಾ ಮಸುಕಾಗಿದೆ. ಸ್ಥಿರವಾಗಿ ಹಿಡಿದು ಎಲೆಯ ಮೇಲೆ ಫೋಕಸ್‌ಗಾಗಿ ಟ್ಯಾಪ್ ಮಾಡಿ.",
+    qualitySoft: "ಚಿತ್ರ ಸ್ವಲ್ಪ ಮಸುಕಾಗಿದೆ; ಫಲಿತಾಂಶ ಕಡಿಮೆ ವಿಶ್ವಾಸಾರ್ಹವಾಗಿರಬಹುದು.",
+    qualityTooDark: "ಲಕ್ಷಣಗಳನ್ನು ನೋಡಲು ತುಂಬಾ ಕತ್ತಲಾಗಿದೆ. ಬೆಳಕಿಗೆ ಹೋಗಿ.",
+    qualityDim: "ಸ್ವಲ್ಪ ಕತ್ತಲಾಗಿದೆ; ಹೆಚ್ಚಿನ ಬೆಳಕಿನಲ್ಲಿ ಉತ್ತಮ ಫಲಿತಾಂಶ ಸಿಗುತ್ತದೆ.",
+    qualityTooBright: "ಚಿತ್ರದಲ್ಲಿ ಅತಿಯಾದ ಬೆಳಕು ಇದೆ. ಎಲೆಯ ಮೇಲೆ ನೇರ ಬಿಸಿಲು ಅಥವಾ ಫ್ಲ್ಯಾಶ್ ಹೊಳಪು ತಪ್ಪಿಸಿ.",
+    qualityNoLeaf: "ಈ ಚಿತ್ರದಲ್ಲಿ ಎಲೆ ಕಂಡುಬಂದಿಲ್ಲ.",
+    qualityLittleLeaf: "ಫ್ರೇಮ್‌ನಲ್ಲಿ ಎಲೆ ತುಂಬಾ ಚಿಕ್ಕದಾಗಿದೆ; ಹತ್ತಿರ ಹೋಗಿ.",
+    qualityUnreadable: "ಈ ಫೋಟೋದ ಫಾರ್ಮ್ಯಾಟ್ ಇಲ್ಲಿ ಓದಲಾಗುವುದಿಲ್ಲ (HEIC ಫೋಟೋಗಳು ಹೆಚ್ಚಾಗಿ ಓದಲಾಗುವುದಿಲ್ಲ). ಕ್ಯಾಮೆರಾದಿಂದ ತೆಗೆಯಿರಿ ಅಥವಾ JPEG ಆಗಿ ಉಳಿಸಿ ಮತ್ತೆ ಅಪ್‌ಲೋಡ್ ಮಾಡಿ.",
+    qualityBlocked: "ವಿಶ್ಲೇಷಣೆಗೆ ಮೊದಲು ಕೆಂಪು ಗುರುತಿನ ಚಿತ್ರಗಳನ್ನು ಮತ್ತೆ ತೆಗೆಯಿರಿ.",
+    scanning: "ಸ್ಕ್ಯಾನ್ ಆಗುತ್ತಿದೆ...",
+    tagLocation: "ಸ್ಥಳ ಸೇರಿಸಿ",
+    fromPhoto: "(ಚಿತ್ರದಿಂದ)",
+    processing: "ಪ್ರಕ್ರಿಯೆಗೊಳ್ಳುತ್ತಿದೆ...",
+    runAnalysis: "AI ವಿಶ್ಲೇಷಣೆ ನಡೆಸಿ",
+    offlineQueued: "ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ. ಸ್ಕ್ಯಾನ್ ಉಳಿಸಲಾಗಿದೆ, ಸಂಪರ್ಕ ಮರಳಿದಾಗ ರೋಗನಿರ್ಣಯ ಮಾಡಲಾಗುತ್ತದೆ.",
+    providerQueued: "AI ಸೇವೆ ಈಗ ಲಭ್ಯವಿಲ್ಲ. ಸ್ಕ್ಯಾನ್ ಉಳಿಸಲಾಗಿದೆ, ರೋಗನಿರ್ಣಯ ಸ್ವಯಂಚಾಲಿತವಾಗಿ ಆಗುತ್ತದೆ.",
+    recentReports: "ಇತ್ತೀಚಿನ ವರದಿಗಳು",
+    dashboard: "ಡ್ಯಾಶ್‌ಬೋರ್ಡ್",
+    export: "ರಫ್ತು",
+    waitingToSync: "ಸಿಂಕ್‌ಗಾಗಿ ಕಾಯುತ್ತಿದೆ",
+    queuePending: "ರೋಗನಿರ್ಣಯ ಬಾಕಿ",
+    queueSyncing: "ಸಿಂಕ್ ಆಗುತ್ತಿದೆ...",
+    queueFailed: "ವಿಫಲವಾಗಿದೆ",
+    estimate: "ಅಂದಾಜು: {name}",
+    capturedOffline: "ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ತೆಗೆದದ್ದು",
+    queuedLeaf: "ಸರದಿಯಲ್ಲಿರುವ ಎಲೆ",
+    diagnosisMalformed: "AI ಖಾಲಿ ಅಥವಾ ತಪ್ಪಾದ ರೋಗನಿರ್ಣಯವನ್ನು ನೀಡಿದೆ.",
+    diagnosisIncomplete: "AI ಉತ್ತರ ಅಪೂರ್ಣವಾಗಿತ್ತು, ಅದನ್ನು ಬಳಸಲಾಗಲಿಲ್ಲ.",
+    diagnosisBusy: "AI ಸೇವೆ ಈಗ ಕಾರ್ಯನಿರತವಾಗಿದೆ. ಒಂದು ನಿಮಿಷದ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+    diagnosisUnavailable: "AI ಸೇವೆ ತಾತ್ಕಾಲಿಕವಾಗಿ ಲಭ್ಯವಿಲ್ಲ.",
+    diagnosisCredentials: "AI ಸೇವೆ ನಮ್ಮ ರುಜುವಾತುಗಳನ್ನು ತಿರಸ್ಕರಿಸಿದೆ.",
+    diagnosisModelMissing: "ಹೊಂದಿಸಿದ AI ಮಾದರಿ ಸಿಗಲಿಲ್ಲ.",
+    diagnosisRejected: "AI ಸೇವೆ ವಿನಂತಿಯನ್ನು ತಿರಸ್ಕರಿಸಿದೆ (HTTP {status}).",
+    diagnosisUnreachable: "AI ಸೇವೆಯನ್ನು ತಲುಪಲಾಗಲಿಲ್ಲ.",
+    diagnosisBlocked: "AI ಸುರಕ್ಷತಾ ಫಿಲ್ಟರ್ ವಿನಂತಿಯನ್ನು ತಡೆದಿದೆ ({reason}).",
+    diagnosisDeclined: "ಸುರಕ್ಷತಾ ಫಿಲ್ಟರ್‌ನಿಂದಾಗಿ AI ಉತ್ತರಿಸಲು ನಿರಾಕರಿಸಿದೆ.",
+    diagnosisUnreadable: "AI ಉತ್ತರವನ್ನು ಓದಲಾಗಲಿಲ್ಲ.",
+    diagnosisEmptyReply: "AI ಖಾಲಿ ಉತ್ತರ ನೀಡಿದೆ.",
+    diagnosisNoOfflineMatch: "ಆಫ್‌ಲೈನ್: ಈ ವಿವರಣೆಗೆ ಹೊಂದುವ ರೋಗ ಸಿಗಲಿಲ್ಲ.",
+    diagnosisUploadFailed: "ಫೋಟೋ ಅಪ್‌ಲೋಡ್ ಆಗಲಿಲ್ಲ.",
+    healthyResultName: "ಯಾವುದೇ ರೋಗ ಕಂಡುಬಂದಿಲ್ಲ",
+    healthyResultSymptoms: "ಎಲೆಯ ಅಂಗಾಂಶ ಬಹುತೇಕ ಹಸಿರಾಗಿದೆ, ಸ್ಪಷ್ಟ ಗಾಯಗಳಿಲ್ಲ.",
+    healthyResultTreatment: "ಚಿಕಿತ್ಸೆ ಬೇಕಿಲ್ಲ. ಗಮನಿಸುತ್ತಿರಿ, ಚುಕ್ಕೆಗಳು ಕಂಡರೆ ಮತ್ತೆ ಸ್ಕ್ಯಾನ್ ಮಾಡಿ.",
+    retakeResultName: "ಇನ್ನೂ ಉತ್ತಮ ಫೋಟೋ ಬೇಕು",
+    retakeResultSymptoms: "ಎಲೆಯನ್ನು ಪರಿಶೀಲಿಸಲು ಚಿತ್ರ ತುಂಬಾ ಮಸುಕಾಗಿದೆ, ಕತ್ತಲಾಗಿದೆ ಅಥವಾ ದೂರದಿಂದ ತೆಗೆದಿದೆ.",
+    retakeResultTreatment: "ಹಗಲಿನ ಬೆಳಕಿನಲ್ಲಿ, ಒಂದೇ ಎಲೆ ಚೌಕಟ್ಟನ್ನು ತುಂಬುವಂತೆ ಫೋಟೋವನ್ನು ಮತ್ತೆ ತೆಗೆಯಿರಿ.",
+    offlineChatMatch: "ನಾನು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೇನೆ, ಆದ್ದರಿಂದ ಈ ಉತ್ತರ ಅಂತರ್ನಿರ್ಮಿತ ಗ್ರಂಥಾಲಯದಿಂದ ಬಂದಿದೆ.\n\n{name} ({plant}): {symptoms}\n\nಚಿಕಿತ್ಸೆ: {treatment}",
+    offlineChatNoMatch: "ನಾನು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೇನೆ, ಅಂತರ್ನಿರ್ಮಿತ ಗ್ರಂಥಾಲಯದ ರೋಗಗಳ ಬಗ್ಗೆ ಮಾತ್ರ ಉತ್ತರಿಸಬಲ್ಲೆ. ನಿಮ್ಮ ಪ್ರಶ್ನೆಗೆ ಸಂಪರ್ಕ ಬೇಕು.",
+    retry: "ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ",
+    discard: "ತೆಗೆದುಹಾಕಿ",
+    followUpsDue: "ಬಾಕಿ ಫಾಲೋ-ಅಪ್‌ಗಳು",
+    unassigned: "ಹೊಲ ನಿಗದಿಯಾಗಿಲ್ಲ",
+    deletePlot: "ಹೊಲ ಅಳಿಸಿ",
+    plantedOn: "ನಾಟಿ {date}",
+    noHistory: "ಯಾವುದೇ ರೋಗನಿರ್ಣಯ ಇತಿಹಾಸ ಇಲ್ಲ.",
+    synced: "ಸಿಂಕ್ ಆಗಿದೆ",
+    confirmed: "ದೃಢಪಡಿಸಲಾಗಿದೆ",
+    reviewed: "ಪರಿಶೀಲಿಸಲಾಗಿದೆ",
+    alternative: "ಪರ್ಯಾಯ: {name} ({confidence})",
+    loadOlder: "ಹಳೆಯ ವರದಿಗಳನ್ನು ತೋರಿಸಿ",
+    literatureReview: "ಸಾಹಿತ್ಯ ವಿಮರ್ಶೆ",
+    research1: "ಕೃಷಿ ಉತ್ಪಾದಕತೆ ಮತ್ತು ಆಹಾರ ಭದ್ರತೆಯ ಮೇಲಿನ ಮಹತ್ವದ ಪರಿಣಾಮದಿಂದಾಗಿ ಸಸ್ಯ ರೋಗ ಪತ್ತೆ ಸಕ್ರಿಯ ಸಂಶೋಧನಾ ಕ್ಷೇತ್ರವಾಗಿದೆ. ಸಾಂಪ್ರದಾಯಿಕ ರೋಗನಿರ್ಣಯವು ತಜ್ಞರ ಪರಿಶೀಲನೆಯನ್ನು ಅವಲಂಬಿಸಿದೆ, ಇದು ಹೆಚ್ಚಾಗಿ ವ್ಯಕ್ತಿನಿಷ್ಠವಾಗಿದ್ದು ದೊಡ್ಡ ಪ್ರಮಾಣದ ಕೃಷಿಗೆ ಅಸಮರ್ಥವಾಗಿದೆ.",
+    researchQuote: "\"ಒಟ್ಟಾರೆಯಾಗಿ, ಸಾಂಪ್ರದಾಯಿಕ ಮೆಷಿನ್ ಲರ್ನಿಂಗ್‌ನಿಂದ ಸುಧಾರಿತ ಡೀಪ್ ಲರ್ನಿಂಗ್ ವಿಧಾನಗಳತ್ತ ಸ್ಪಷ್ಟ ಪ್ರಗತಿಯನ್ನು ಸಾಹಿತ್ಯ ತೋರಿಸುತ್ತದೆ.\"",
+    research2: "ಆದ್ದರಿಂದ ಸಂಶೋಧಕರು ಮುಖ್ಯವಾಗಿ ಇಮೇಜ್ ಪ್ರೊಸೆಸಿಂಗ್ ಮತ್ತು ಮೆಷಿನ್ ಲರ್ನಿಂಗ್ ಆಧಾರಿತ ಸ್ವಯಂಚಾಲಿತ ವಿಧಾನಗಳನ್ನು ಅನ್ವೇಷಿಸಿದ್ದಾರೆ. ಆರಂಭಿಕ ಅಧ್ಯಯನಗಳು ಬಣ್ಣ, ವಿನ್ಯಾಸ ಮತ್ತು ಆಕಾರದಂತಹ ಕೈಯಿಂದ ರೂಪಿಸಿದ ಲಕ್ಷಣಗಳನ್ನು ಹೊರತೆಗೆಯುವ ಸಾಂಪ್ರದಾಯಿಕ ಇಮೇಜ್ ಪ್ರೊಸೆಸಿಂಗ್ ಅಲ್ಗಾರಿದಮ್‌ಗಳ ಮೇಲೆ ಕೇಂದ್ರೀಕರಿಸಿದ್ದವು.",
+    research3: "ಡೀಪ್ ಲರ್ನಿಂಗ್, ವಿಶೇಷವಾಗಿ ಕನ್ವಲ್ಯೂಷನಲ್ ನ್ಯೂರಲ್ ನೆಟ್‌ವರ್ಕ್‌ಗಳ (CNN) ಆಗಮನವು ಈ ಕ್ಷೇತ್ರದಲ್ಲಿ ಕ್ರಾಂತಿ ತಂದಿತು. AlexNet ಮತ್ತು VGGNet ನಂತಹ ಮಾದರಿಗಳು ಉನ್ನತ ಕಾರ್ಯಕ್ಷಮತೆ ತೋರಿದವು, MobileNet ಮೊಬೈಲ್‌ನಲ್ಲಿ ನೈಜ-ಸಮಯದ ಬಳಕೆಯನ್ನು ಸಾಧ್ಯವಾಗಿಸಿತು.",
+    healthy: "ಆರೋಗ್ಯಕರ",
+    severityLow: "ಕಡಿಮೆ",
+    severityMedium: "ಮಧ್ಯಮ",
+    severityHigh: "ಹೆಚ್ಚು",
+    severityCritical: "ಗಂಭೀರ",
+    riskLevel: "{level} ಅಪಾಯ",
+    confidence: "{value} ವಿಶ್ವಾಸ",
+    pendingDiagnosis: "ಪೂರ್ಣ ರೋಗನಿರ್ಣಯ ಬಾಕಿ • ಸ್ವಯಂಚಾಲಿತವಾಗಿ ಸಿಂಕ್ ಆಗುತ್ತದೆ",
+    offlineEstimate: "ಆಫ್‌ಲೈನ್ ಅಂದಾಜು • ಸಾಧನದಲ್ಲೇ ವರ್ಗೀಕರಣ",
+    unreadablePhoto: "ಈ ಚಿತ್ರವನ್ನು ನಾವು ಸರಿಯಾಗಿ ಓದಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ.",
+    retake: "ಮತ್ತೆ ತೆಗೆಯಿರಿ",
+    symptoms: "ಲಕ್ಷಣಗಳು",
+    recommendedTreatment: "ಶಿಫಾರಸು ಮಾಡಿದ ಚಿಕಿತ್ಸೆ",
+    organic: "ಸಾವಯವ",
+    chemical: "ರಾಸಾಯನಿಕ",
+    pathogen: "ರೋಗಕಾರಕ",
+    favourableConditions: "ಅನುಕೂಲಕರ ಪರಿಸ್ಥಿತಿಗಳು",
+    prevention: "ತಡೆಗಟ್ಟುವಿಕೆ",
+    differentialDiagnoses: "ಸಂಭಾವ್ಯ ರೋಗನಿರ್ಣಯಗಳು",
+    openInLibrary: "ರೋಗ ಗ್ರಂಥಾಲಯದಲ್ಲಿ ತೆರೆಯಿರಿ",
+    pdf: "PDF",
+    shareLink: "ಲಿಂಕ್ ಹಂಚಿಕೊಳ್ಳಿ",
+    stopSharing: "ಹಂಚಿಕೆ ನಿಲ್ಲಿಸಿ",
+    askAdvisor: "AI ಸಲಹೆಗಾರರನ್ನು ಕೇಳಿ",
+    closeReport: "ವರದಿ ಮುಚ್ಚಿ",
+    treatmentPlan: "ಚಿಕಿತ್ಸಾ ಯೋಜನೆ",
+    product: "ಉತ್ಪನ್ನ",
+    dose: "ಪ್ರಮಾಣ",
+    interval: "ಅಂತರ",
+    everyDays: "ಪ್ರತಿ {days} ದಿನಗಳಿಗೊಮ್ಮೆ",
+    applications: "ಸಿಂಪಡಣೆಗಳು",
+    applicationsDone: "{total} ರಲ್ಲಿ {done}",
+    startPlan: "ಯೋಜನೆ ಮತ್ತು ಜ್ಞಾಪನೆಗಳನ್ನು ಪ್ರಾರಂಭಿಸಿ",
+    remindersWhileOpen: "Doctor Planet ತೆರೆದಿರುವಾಗ ಮಾತ್ರ ಜ್ಞಾಪನೆಗಳು ಕಾಣಿಸುತ್ತವೆ. ಉಳಿದ ಸಮಯದಲ್ಲಿ ನೆನಪಿಸಲು ಯೋಜನೆಯನ್ನು ನಿಮ್ಮ ಕ್ಯಾಲೆಂಡರ್‌ಗೆ ಸೇರಿಸಿ.",
+    addToCalendar: "ಕ್ಯಾಲೆಂಡರ್‌ಗೆ ಸೇರಿಸಿ",
+    dueNow: "ಈಗ ಬಾಕಿ",
+    dueOn: "{date} ರಂದು",
+    done: "ಮುಗಿದಿದೆ",
+    rescan: "ಮತ್ತೆ ಸ್ಕ್ಯಾನ್",
+    followUpApplication: "{total} ರಲ್ಲಿ ಸಿಂಪಡಣೆ {number}",
+    followUpRescan: "ಚಿಕಿತ್ಸೆಯ ಪ್ರಗತಿ ಪರಿಶೀಲಿಸಲು ಮತ್ತೆ ಸ್ಕ್ಯಾನ್ ಮಾಡಿ",
+    followUpNotification: "{name}: ಫಾಲೋ-ಅಪ್ ಬಾಕಿ",
+    beforeAfter: "ಮೊದಲು / ನಂತರ",
+    improved: "ಸುಧಾರಿಸಿದೆ",
+    worsened: "ಹದಗೆಟ್ಟಿದೆ",
+    noChange: "ಬದಲಾವಣೆ ಇಲ್ಲ",
+    pastConversations: "ಹಿಂದಿನ ಸಂಭಾಷಣೆಗಳು",
+    newConversation: "ಹೊಸ ಸಂಭಾಷಣೆ",
+    noConversations: "ಇನ್ನೂ ಯಾವುದೇ ಸಂಭಾಷಣೆ ಇಲ್ಲ.",
+    advisorEmpty: "ನೀರಾವರಿ, ಕೀಟಗಳು, ರೋಗಗಳು ಅಥವಾ ನಿಮ್ಮ ಹೊಲದ ಬಗ್ಗೆ ಏನನ್ನಾದರೂ ಕೇಳಿ.",
+    thinking: "ಯೋಚಿಸುತ್ತಿದೆ...",
+    myScans: "ನನ್ನ ಸ್ಕ್ಯಾನ್‌ಗಳು",
+    library: "ಗ್ರಂಥಾಲಯ",
+    attachContext: "ಸ್ಕ್ಯಾನ್ ಅಥವಾ ಗ್ರಂಥಾಲಯ ನಮೂದನ್ನು ಲಗತ್ತಿಸಿ",
+    askPlaceholder: "ಸಲಹೆಗಾರರನ್ನು ಕೇಳಿ...",
+    cancel: "ರದ್ದುಮಾಡಿ",
+    confirmDeletePlot: "ಈ ಪ್ಲಾಟ್ ಅಳಿಸಬೇಕೆ? ಇದರ ಸ್ಕ್ಯಾನ್‌ಗಳು ಇತಿಹಾಸದಲ್ಲಿ ನಿಯೋಜಿಸದವುಗಳಾಗಿ ಉಳಿಯುತ್ತವೆ.",
+    plotNamePlaceholder: "ಪ್ಲಾಟ್ ಹೆಸರು (ಉದಾ. ಉತ್ತರ ಹೊಲ)",
+    variety: "ತಳಿ",
+    plantingDate: "ಬಿತ್ತನೆ ದಿನಾಂಕ",
+    areaHa: "ವಿಸ್ತೀರ್ಣ (ಹೆ.)",
+    savePlot: "ಪ್ಲಾಟ್ ಉಳಿಸಿ",
+    noPlotScans: "ಈ ಪ್ಲಾಟ್‌ಗೆ ಇನ್ನೂ ಯಾವುದೇ ಸ್ಕ್ಯಾನ್ ಇಲ್ಲ.",
+    outbreakMap: "ರೋಗ ಹರಡುವಿಕೆ ನಕ್ಷೆ",
+    mapLimited: "ಇತ್ತೀಚಿನ {count} ಸ್ಕ್ಯಾನ್‌ಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ, {date} ವರೆಗೆ.",
+    lastDays: "{days} ದಿನಗಳು",
+    allTime: "ಎಲ್ಲಾ ಅವಧಿ",
+    allDiseases: "ಎಲ್ಲಾ ರೋಗಗಳು",
+    noGeotaggedScans: "ಈ ಅವಧಿಯಲ್ಲಿ ಸ್ಥಳ ಗುರುತಿಸಿದ ಸ್ಕ್ಯಾನ್‌ಗಳಿಲ್ಲ.",
+    importDiseasesJson: "ರೋಗಗಳನ್ನು ಆಮದು ಮಾಡಿ (JSON)",
+    importExpectedArray: "ನಮೂದುಗಳ ಖಾಲಿಯಲ್ಲದ ಪಟ್ಟಿ ಬೇಕು.",
+    importMissingName: "ಪ್ರತಿ ನಮೂದಿಗೂ ಹೆಸರು (ಅಥವಾ name.en) ಬೇಕು.",
+    importMissingPlant: "\"{name}\" ನಲ್ಲಿ ಸಸ್ಯ ನೀಡಿಲ್ಲ.",
+    importMissingSymptoms: "\"{name}\" ನಲ್ಲಿ ಲಕ್ಷಣಗಳನ್ನು ನೀಡಿಲ್ಲ.",
+    importedEntry: "1 ನಮೂದು ಆಮದು ಮಾಡಲಾಗಿದೆ.",
+    importedEntries: "{count} ನಮೂದುಗಳನ್ನು ಆಮದು ಮಾಡಲಾಗಿದೆ.",
+    importPartial: "{total} ರಲ್ಲಿ {count} ನಮೂದುಗಳನ್ನು ಆಮದು ಮಾಡಲಾಗಿದೆ, ನಂತರ ಆಮದು ವಿಫಲವಾಯಿತು: {error} ಅದೇ ಫೈಲ್ ಅನ್ನು ಮತ್ತೆ ಆಮದು ಮಾಡುವುದು ಸುರಕ್ಷಿತ.",
+    importing: "ಆಮದು ಆಗುತ್ತಿದೆ...",
+    import: "ಆಮದು ಮಾಡಿ",
+    exportHistory: "ಇತಿಹಾಸ ರಫ್ತು ಮಾಡಿ",
+    from: "ಇಂದ",
+    to: "ವರೆಗೆ",
+    allCrops: "ಎಲ್ಲಾ ಬೆಳೆಗಳು",
+    exporting: "ರಫ್ತು ಆಗುತ್ತಿದೆ...",
+    exportedScan: "1 ಸ್ಕ್ಯಾನ್ ರಫ್ತು ಮಾಡಲಾಗಿದೆ.",
+    exportedScans: "{count} ಸ್ಕ್ಯಾನ್‌ಗಳನ್ನು ರಫ್ತು ಮಾಡಲಾಗಿದೆ.",
+    download: "ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ",
+    sharedReport: "ಹಂಚಿದ ವರದಿ",
+    reportNotShared: "ಈ ವರದಿಯನ್ನು ಇನ್ನು ಹಂಚಿಕೊಂಡಿಲ್ಲ.",
+    downloadPdf: "PDF ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ",
+    pdfTitle: "Doctor Planet Pro - ರೋಗನಿರ್ಣಯ ವರದಿ",
+    scannedOn: "ಸ್ಕ್ಯಾನ್ ಮಾಡಿದ್ದು: {date}",
+    pdfSchedule: "ಪ್ರತಿ {days} ದಿನಗಳಿಗೊಮ್ಮೆ, {repeats} ಸಿಂಪಡಣೆ",
+    reports: "ವರದಿಗಳು",
+    monthsCount: "{count} ತಿಂಗಳು",
+    scansStat: "ಸ್ಕ್ಯಾನ್‌ಗಳು",
+    diseasedStat: "ರೋಗಗ್ರಸ್ತ",
+    casesVsSameDays: "ಕಳೆದ ತಿಂಗಳ ಇದೇ ದಿನಗಳಿಗೆ ಹೋಲಿಸಿದರೆ ಪ್ರಕರಣಗಳು",
+    monthOverMonth: "ತಿಂಗಳಿನಿಂದ ತಿಂಗಳಿಗೆ",
+    monthSummary: "{total} ಸ್ಕ್ಯಾನ್‌ಗಳು, {diseased} ರೋಗಗ್ರಸ್ತ",
+    allScans: "ಎಲ್ಲಾ ಸ್ಕ್ಯಾನ್‌ಗಳು",
+    severityOverTime: "ಕಾಲಕ್ರಮದಲ್ಲಿ ತೀವ್ರತೆ",
+    diseasesByCrop: "ಬೆಳೆವಾರು ರೋಗಗಳ ಆವರ್ತನ",
+    noDiseasesInPeriod: "ಈ ಅವಧಿಯಲ್ಲಿ ಯಾವುದೇ ರೋಗ ಪತ್ತೆಯಾಗಿಲ್ಲ.",
+    recurringByPlot: "ಪ್ಲಾಟ್‌ವಾರು ಮರುಕಳಿಸುವ ಸಮಸ್ಯೆಗಳು",
+    deletedPlot: "ಅಳಿಸಿದ ಪ್ಲಾಟ್",
+    roleOwner: "ಮಾಲೀಕ",
+    roleAgronomist: "ಕೃಷಿ ತಜ್ಞ",
+    roleFieldWorker: "ಹೊಲದ ಕೆಲಸಗಾರ",
+    invitations: "ಆಹ್ವಾನಗಳು",
+    invitedBy: "{email} ಅವರಿಂದ",
+    join: "ಸೇರಿ",
+    decline: "ನಿರಾಕರಿಸಿ",
+    workspaces: "ಕಾರ್ಯಕ್ಷೇತ್ರಗಳು",
+    onlyYou: "ನೀವು ಮಾತ್ರ",
+    newWorkspacePlaceholder: "ಹೊಸ ತೋಟದ ಕಾರ್ಯಕ್ಷೇತ್ರ",
+    create: "ರಚಿಸಿ",
+    workspaceMembers: "{name} ಸದಸ್ಯರು",
+    guestAccount: "ಅತಿಥಿ ಖಾತೆ",
+    you: "(ನೀವು)",
+    leave: "ತೊರೆಯಿರಿ",
+    remove: "ತೆಗೆದುಹಾಕಿ",
+    invitedAs: "ಆಹ್ವಾನಿತ • {role}",
+    withdraw: "ಹಿಂಪಡೆಯಿರಿ",
+    invite: "ಆಹ್ವಾನಿಸಿ",
+    workspaceCreated: "{name} ರಚಿಸಲಾಗಿದೆ.",
+    inviteSent: "{email} ಅವರನ್ನು ಆಹ್ವಾನಿಸಲಾಗಿದೆ. ಆ ವಿಳಾಸದಿಂದ ಸೈನ್ ಇನ್ ಮಾಡಿದಾಗ ಆಹ್ವಾನ ಕಾಣಿಸುತ್ತದೆ.",
+    verifyEmailToJoin: "{email} ಗೆ ಕಳುಹಿಸಿದ ಪರಿಶೀಲನಾ ಲಿಂಕ್ ತೆರೆಯಿರಿ, ನಂತರ ಮತ್ತೆ ಸೇರಿ ಒತ್ತಿರಿ.",
+    joinedWorkspace: "{name} ಸೇರಿದ್ದೀರಿ.",
+    inviteDeclined: "ಆಹ್ವಾನ ನಿರಾಕರಿಸಲಾಗಿದೆ.",
+    inviteWithdrawn: "ಆಹ್ವಾನ ಹಿಂಪಡೆಯಲಾಗಿದೆ.",
+    member: "ಸದಸ್ಯ",
+    thisMember: "ಈ ಸದಸ್ಯರನ್ನು",
+    roleChanged: "{member} ಈಗ {role}.",
+    confirmLeaveWorkspace: "{name} ತೊರೆಯಬೇಕೆ?",
+    confirmRemoveMember: "{member} ಅವರನ್ನು {name} ನಿಂದ ತೆಗೆದುಹಾಕಬೇಕೆ?",
+    leftWorkspace: "ನೀವು {name} ತೊರೆದಿದ್ದೀರಿ.",
+    memberRemoved: "ಸದಸ್ಯರನ್ನು ತೆಗೆದುಹಾಕಲಾಗಿದೆ.",
+    agronomistReview: "ಕೃಷಿ ತಜ್ಞರ ಪರಿಶೀಲನೆ",
+    reviewConfirmedBy: "{reviewer} ಅವರು {date} ರಂದು ದೃಢಪಡಿಸಿದ್ದಾರೆ.",
+    reviewOverriddenBy: "{reviewer} ಅವರು {date} ರಂದು ಬದಲಿಸಿದ್ದಾರೆ (AI ಹೇಳಿದ್ದು {name}).",
+    aReviewer: "ಒಬ್ಬ ಪರಿಶೀಲಕ",
+    notReviewed: "ಇನ್ನೂ ಪರಿಶೀಲಿಸಿಲ್ಲ.",
+    confirmAi: "AI ದೃಢಪಡಿಸಿ",
+    override: "ಬದಲಿಸಿ",
+    correctDiagnosis: "ಸರಿಯಾದ ರೋಗನಿರ್ಣಯ…",
+    reasonOptional: "ಕಾರಣ (ಐಚ್ಛಿಕ)",
+    saveOverride: "ಬದಲಾವಣೆ ಉಳಿಸಿ",
+    comments: "ಟಿಪ್ಪಣಿಗಳು",
+    guest: "ಅತಿಥಿ",
+    addComment: "ಟಿಪ್ಪಣಿ ಸೇರಿಸಿ"
+  },
+  es: {
+    tagline: "Inteligencia agrícola avanzada",
+    upgradeTagline: "Guarda tus escaneos de invitado en una cuenta permanente",
+    emailPlaceholder: "Correo electrónico",
+    passwordPlaceholder: "Contraseña",
+    pleaseWait: "Espera un momento...",
+    signIn: "Entrar a la finca",
+    createAccount: "Crear cuenta",
+    sendResetLink: "Enviar enlace de restablecimiento",
+    saveAccount: "Guardar cuenta",
+    createNewAccount: "Crear cuenta nueva",
+    forgotPassword: "¿Olvidaste tu contraseña?",
+    backToSignIn: "Volver a iniciar sesión",
+    notNow: "Ahora no",
+    orContinueWith: "O continúa con",
+    guestAccess: "Acceso de invitado",
+    resetSent: "Enlace de restablecimiento enviado a {email}.",
+    authInvalidEmail: "Ese correo electrónico no es válido.",
+    authMissingPassword: "Introduce tu contraseña.",
+    authWeakPassword: "La contraseña necesita al menos 6 caracteres.",
+    authEmailInUse: "Ya existe una cuenta con este correo. Inicia sesión.",
+    authCredentialInUse: "Este correo ya pertenece a otra cuenta.",
+    authInvalidCredential: "Correo o contraseña incorrectos.",
+    authUserNotFound: "No hay ninguna cuenta con este correo.",
+    authTooManyRequests: "Demasiados intentos. Espera un momento y vuelve a intentarlo.",
+    authNetwork: "Error de red. Revisa tu conexión y vuelve a intentarlo.",
+    language: "Idioma",
+    workspace: "Espacio de trabajo",
+    personal: "Personal",
+    team: "Equipo",
+    navExplore: "Explorar",
+    navScan: "Escanear",
+    navHistory: "Historial",
+    navMap: "Mapa",
+    navResearch: "Investigación",
+    advisorTitle: "Asesor IA",
+    advisorSubtitle: "Describe los síntomas o pregunta sobre el cuidado del cultivo.",
+    consultAi: "Consultar IA",
+    diseaseLibrary: "Biblioteca de enfermedades",
+    importDiseases: "Importar enfermedades",
+    all: "Todos",
+    librarySearch: "Buscar enfermedades, síntomas, patógenos...",
+    noLibraryMatches: "Ninguna enfermedad coincide con tu búsqueda.",
+    scanTitle: "Escaneo de diagnóstico IA",
+    scanSubtitle: "Basado en referencias de aprendizaje profundo.",
+    followUpFor: "Seguimiento de",
+    plot: "Parcela",
+    noPlot: "Sin parcela",
+    captureSlot: "Toma o sube una foto: {slot}",
+    slotTop: "Hoja (haz)",
+    slotUnderside: "Envés de la hoja",
+    slotPlant: "Planta completa",
+    camera: "Cámara",
+    upload: "Subir",
+    removePhoto: "Quitar foto",
+    takePhoto: "Tomar foto",
+    close: "Cerrar",
+    cameraDenied: "Se denegó el acceso a la cámara. Permítelo en la configuración del navegador o sube una foto.",
+    cameraUnavailable: "Este dispositivo no tiene cámara disponible. Sube una foto.",
+    checkingPhoto: "Revisando la foto...",
+    qualityBlurry: "Demasiado borrosa para diagnosticar. Mantén el pulso y toca la hoja para enfocar.",
+    qualitySoft: "Algo desenfocada; el resultado puede ser menos fiable.",
+    qualityTooDark: "Demasiado oscura para ver síntomas. Busca luz natural.",
+    qualityDim: "Un poco oscura; con más luz el resultado mejora.",
+    qualityTooBright: "Sobreexpuesta. Evita el sol directo o el reflejo del flash sobre la hoja.",
+    qualityNoLeaf: "No se encontró ninguna hoja en esta foto.",
+    qualityLittleLeaf: "La hoja ocupa poco del encuadre; acércate.",
+    qualityUnreadable: "No se puede leer el formato de esta foto (las fotos HEIC a menudo no se pueden). Tómala con la cámara o guárdala como JPEG y súbela de nuevo.",
+    qualityBlocked: "Repite las fotos marcadas en rojo antes de analizar.",
+    scanning: "ESCANEANDO...",
+    tagLocation: "Etiquetar ubicación",
+    fromPhoto: "(de la foto)",
+    processing: "Procesando...",
+    runAnalysis: "Ejecutar análisis IA",
+    offlineQueued: "Estás sin conexión. El escaneo se guardó y se diagnosticará cuando vuelvas a conectarte.",
+    providerQueued: "El servicio de IA no responde ahora. El escaneo se guardó y se diagnosticará automáticamente.",
+    recentReports: "Informes recientes",
+    dashboard: "Panel",
+    export: "Exportar",
+    waitingToSync: "Esperando sincronización",
+    queuePending: "Diagnóstico pendiente",
+    queueSyncing: "Sincronizando...",
+    queueFailed: "Fallido",
+    estimate: "Estimación: {name}",
+    capturedOffline: "Capturado sin conexión",
+    queuedLeaf: "Hoja en cola",
+    diagnosisMalformed: "La IA devolvió un diagnóstico vacío o mal formado.",
+    diagnosisIncomplete: "La respuesta de la IA estaba incompleta y no se pudo usar.",
+    diagnosisBusy: "El servicio de IA está ocupado. Vuelve a intentarlo en un minuto.",
+    diagnosisUnavailable: "El servicio de IA no está disponible temporalmente.",
+    diagnosisCredentials: "El servicio de IA rechazó nuestras credenciales.",
+    diagnosisModelMissing: "No se encontró el modelo de IA configurado.",
+    diagnosisRejected: "El servicio de IA rechazó la solicitud (HTTP {status}).",
+    diagnosisUnreachable: "No se pudo conectar con el servicio de IA.",
+    diagnosisBlocked: "El filtro de seguridad de la IA bloqueó la solicitud ({reason}).",
+    diagnosisDeclined: "La IA se negó a responder por su filtro de seguridad.",
+    diagnosisUnreadable: "La IA devolvió una respuesta ilegible.",
+    diagnosisEmptyReply: "La IA devolvió una respuesta vacía.",
+    diagnosisNoOfflineMatch: "Sin conexión: no se encontró ninguna enfermedad que coincida con esa descripción.",
+    diagnosisUploadFailed: "No se pudo subir la foto.",
+    healthyResultName: "No se detectó ninguna enfermedad",
+    healthyResultSymptoms: "El tejido de la hoja se ve mayormente verde, sin lesiones claras.",
+    healthyResultTreatment: "No necesita tratamiento. Sigue vigilando y vuelve a escanear si aparecen manchas.",
+    retakeResultName: "Se necesita una foto mejor",
+    retakeResultSymptoms: "La imagen está demasiado borrosa, oscura o lejana para evaluar la hoja.",
+    retakeResultTreatment: "Vuelve a tomar la foto con luz de día y una sola hoja llenando el encuadre.",
+    offlineChatMatch: "Estoy sin conexión, así que esto viene de la biblioteca integrada.\n\n{name} ({plant}): {symptoms}\n\nTratamiento: {treatment}",
+    offlineChatNoMatch: "Estoy sin conexión y solo puedo responder sobre enfermedades de la biblioteca integrada. Tu pregunta necesitará conexión.",
+    retry: "Reintentar",
+    discard: "Descartar",
+    followUpsDue: "Seguimientos pendientes",
+    unassigned: "Sin asignar",
+    deletePlot: "Eliminar parcela",
+    plantedOn: "sembrada el {date}",
+    noHistory: "No hay historial de diagnósticos.",
+    synced: "Sincronizado",
+    confirmed: "Confirmado",
+    reviewed: "Revisado",
+    alternative: "Alt.: {name} ({confidence})",
+    loadOlder: "Cargar informes anteriores",
+    literatureReview: "Revisión bibliográfica",
+    research1: "La detección de enfermedades de las plantas ha sido un área de investigación activa por su gran impacto en la productividad agrícola y la seguridad alimentaria. Los métodos de diagnóstico tradicionales dependen de la inspección de expertos, que suele ser subjetiva e ineficiente para la agricultura a gran escala.",
+    researchQuote: "\"En conjunto, la literatura muestra una clara progresión del aprendizaje automático tradicional hacia enfoques avanzados de aprendizaje profundo.\"",
+    research2: "Por ello, los investigadores han explorado enfoques automatizados, basados principalmente en el procesamiento de imágenes y el aprendizaje automático. Los primeros estudios se centraron en algoritmos clásicos de procesamiento de imágenes que extraían características diseñadas a mano, como el color, la textura y la forma.",
+    research3: "La llegada del aprendizaje profundo, en particular de las redes neuronales convolucionales (CNN), revolucionó el campo. Modelos como AlexNet y VGGNet demostraron un alto rendimiento, mientras que MobileNet permitió su uso en tiempo real en dispositivos móviles.",
+    healthy: "Sana",
+    severityLow: "Bajo",
+    severityMedium: "Medio",
+    severityHigh: "Alto",
+    severityCritical: "Crítico",
+    riskLevel: "Riesgo {level}",
+    confidence: "{value} de confianza",
+    pendingDiagnosis: "Diagnóstico completo pendiente • se sincroniza automáticamente",
+    offlineEstimate: "Estimación sin conexión • clasificador en el dispositivo",
+    unreadablePhoto: "No pudimos leer esta foto con fiabilidad.",
+    retake: "Repetir",
+    symptoms: "Síntomas",
+    recommendedTreatment: "Tratamiento recomendado",
+    organic: "Orgánico",
+    chemical: "Químico",
+    pathogen: "Patógeno",
+    favourableConditions: "Condiciones favorables",
+    prevention: "Prevención",
+    differentialDiagnoses: "Diagnósticos diferenciales",
+    openInLibrary: "Abrir en la biblioteca",
+    pdf: "PDF",
+    shareLink: "Compartir enlace",
+    stopSharing: "Dejar de compartir",
+    askAdvisor: "Preguntar al asesor IA",
+    closeReport: "Cerrar informe",
+    treatmentPlan: "Plan de tratamiento",
+    product: "Producto",
+    dose: "Dosis",
+    interval: "Intervalo",
+    everyDays: "Cada {days} días",
+    applications: "Aplicaciones",
+    applicationsDone: "{done} de {total}",
+    startPlan: "Iniciar plan y recordatorios",
+    remindersWhileOpen: "Los recordatorios aparecen mientras Doctor Planet está abierto. Añade el plan a tu calendario para recibirlos igualmente.",
+    addToCalendar: "Añadir al calendario",
+    dueNow: "Pendiente ahora",
+    dueOn: "Para el {date}",
+    done: "Hecho",
+    rescan: "Reescanear",
+    followUpApplication: "Aplicación {number} de {total}",
+    followUpRescan: "Reescanea para comprobar el avance del tratamiento",
+    followUpNotification: "{name}: seguimiento pendiente",
+    beforeAfter: "Antes / Después",
+    improved: "Mejoró",
+    worsened: "Empeoró",
+    noChange: "Sin cambios",
+    pastConversations: "Conversaciones anteriores",
+    newConversation: "Nueva conversación",
+    noConversations: "Todavía no hay conversaciones.",
+    advisorEmpty: "Pregunta sobre riego, plagas, enfermedades o cualquier cosa de tu finca.",
+    thinking: "Pensando...",
+    myScans: "Mis escaneos",
+    library: "Biblioteca",
+    attachContext: "Adjuntar un escaneo o una entrada de la biblioteca",
+    askPlaceholder: "Pregunta al asesor...",
+    cancel: "Cancelar",
+    confirmDeletePlot: "¿Eliminar esta parcela? Sus escaneos quedan en el historial como sin asignar.",
+    plotNamePlaceholder: "Nombre de la parcela (p. ej. Campo Norte)",
+    variety: "Variedad",
+    plantingDate: "Fecha de siembra",
+    areaHa: "Superficie (ha)",
+    savePlot: "Guardar parcela",
+    noPlotScans: "Todavía no hay escaneos de esta parcela.",
+    outbreakMap: "Mapa de brotes",
+    mapLimited: "Se muestran los últimos {count} escaneos, hasta el {date}.",
+    lastDays: "{days} días",
+    allTime: "Todo el tiempo",
+    allDiseases: "Todas las enfermedades",
+    noGeotaggedScans: "No hay escaneos geolocalizados en este periodo.",
+    importDiseasesJson: "Importar enfermedades (JSON)",
+    importExpectedArray: "Se esperaba una lista de entradas no vacía.",
+    importMissingName: "Cada entrada necesita un nombre (o name.en).",
+    importMissingPlant: "A \"{name}\" le falta la planta.",
+    importMissingSymptoms: "A \"{name}\" le faltan los síntomas.",
+    importedEntry: "Se importó 1 entrada.",
+    importedEntries: "Se importaron {count} entradas.",
+    importPartial: "Se importaron {count} de {total} entradas y luego la importación falló: {error} Es seguro volver a importar el mismo archivo.",
+    importing: "Importando...",
+    import: "Importar",
+    exportHistory: "Exportar historial",
+    from: "Desde",
+    to: "Hasta",
+    allCrops: "Todos los cultivos",
+    exporting: "Exportando...",
+    exportedScan: "Se exportó 1 escaneo.",
+    exportedScans: "Se exportaron {count} escaneos.",
+    download: "Descargar",
+    sharedReport: "Informe compartido",
+    reportNotShared: "Este informe ya no se comparte.",
+    downloadPdf: "Descargar PDF",
+    pdfTitle: "Doctor Planet Pro - Informe de diagnóstico",
+    scannedOn: "Escaneado el {date}",
+    pdfSchedule: "Cada {days} días, {repeats} aplicación(es)",
+    reports: "Informes",
+    monthsCount: "{count} meses",
+    scansStat: "Escaneos",
+    diseasedStat: "Enfermas",
+    casesVsSameDays: "Casos frente a los mismos días del mes pasado",
+    monthOverMonth: "Mes a mes",
+    monthSummary: "{total} escaneos, {diseased} enfermas",
+    allScans: "Todos los escaneos",
+    severityOverTime: "Gravedad en el tiempo",
+    diseasesByCrop: "Frecuencia de enfermedades por cultivo",
+    noDiseasesInPeriod: "No se detectaron enfermedades en este periodo.",
+    recurringByPlot: "Problemas recurrentes por parcela",
+    deletedPlot: "Parcela eliminada",
+    roleOwner: "Propietario",
+    roleAgronomist: "Agrónomo",
+    roleFieldWorker: "Trabajador de campo",
+    invitations: "Invitaciones",
+    invitedBy: "de {email}",
+    join: "Unirse",
+    decline: "Rechazar",
+    workspaces: "Espacios de trabajo",
+    onlyYou: "Solo tú",
+    newWorkspacePlaceholder: "Nuevo espacio de la finca",
+    create: "Crear",
+    workspaceMembers: "Miembros de {name}",
+    guestAccount: "Cuenta de invitado",
+    you: "(tú)",
+    leave: "Salir",
+    remove: "Quitar",
+    invitedAs: "Invitado • {role}",
+    withdraw: "Retirar",
+    invite: "Invitar",
+    workspaceCreated: "Se creó {name}.",
+    inviteSent: "Se invitó a {email}. Verá la invitación al iniciar sesión con esa dirección.",
+    verifyEmailToJoin: "Abre el enlace de verificación que enviamos a {email} y vuelve a pulsar Unirse.",
+    joinedWorkspace: "Te uniste a {name}.",
+    inviteDeclined: "Invitación rechazada.",
+    inviteWithdrawn: "Invitación retirada.",
+    member: "Miembro",
+    thisMember: "este miembro",
+    roleChanged: "{member} ahora es {role}.",
+    confirmLeaveWorkspace: "¿Salir de {name}?",
+    confirmRemoveMember: "¿Quitar a {member} de {name}?",
+    leftWorkspace: "Saliste de {name}.",
+    memberRemoved: "Miembro quitado.",
+    agronomistReview: "Revisión del agrónomo",
+    reviewConfirmedBy: "Confirmado por {reviewer} el {date}.",
+    reviewOverriddenBy: "Corregido por {reviewer} el {date} (la IA dijo {name}).",
+    aReviewer: "un revisor",
+    notReviewed: "Aún sin revisar.",
+    confirmAi: "Confirmar IA",
+    override: "Corregir",
+    correctDiagnosis: "Diagnóstico correcto…",
+    reasonOptional: "Motivo (opcional)",
+    saveOverride: "Guardar corrección",
+    comments: "Comentarios",
+    guest: "Invitado",
+    addComment: "Añade un comentario"
+  }
+};
+
+const translate = (lang, key, vars = {}) => {
+  const text = STRINGS[lang]?.[key] ?? STRINGS.en[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match);
+};
+
+const severityLabel = (scan, lang) =>
+  translate(lang, scan.outcome === 'healthy' ? 'healthy' : `severity${normalizeSeverity(scan.severity)}`);
+
+// Appended to model prompts; the schema's disease names must stay English to match the library.
+const languageInstruction = (lang, kind) => {
+  if (!LANGUAGES[lang] || lang === 'en') return '';
+  const language = LANGUAGES[lang].englishName;
+  return kind === 'advisor'
+    ? ` Always reply in ${language}. When you name a disease, add its English name in brackets.`
+    : ` Write symptoms, treatment, note and the treatment plan in ${language}, but keep every "name" and "plant" value in English.`;
+};
+
+// --- Disease Encyclopedia ---
+// Bundled dataset, used offline and as the baseline for the Firestore collection at
+// artifacts/{appId}/public/data/encyclopedia. Remote entries replace bundled ones with the
+// same id when their `version` is at least as new. Text fields are either a plain string
+// or a { en, hi, kn, es } map; English is the fallback.
+const DEFAULT_LANGUAGE = typeof navigator !== 'undefined' ? (navigator.language || 'en').slice(0, 2) : 'en';
+
+const BUNDLED_ENCYCLOPEDIA = {
+  version: 2,
+  entries: [
+    {
+      id: 'early-blight',
+      version: 2,
+      name: { en: "Early Blight", hi: "अगेती झुलसा", kn: "ಆರಂಭಿಕ ಅಂಗಮಾರಿ", es: "Tizón temprano" },
+      plant: "Tomato",
+      severity: "High",
+      pathogenType: "Fungus",
+      causalOrganism: "Alternaria solani",
+      symptoms: {
+        en: "Target-like brown spots with concentric rings on older leaves, often with a yellow halo.",
+        hi: "पुरानी पत्तियों पर छल्लेदार भूरे धब्बे, अक्सर पीले घेरे के साथ।",
+        kn: "ಹಳೆಯ ಎಲೆಗಳ ಮೇಲೆ ಗುರಿಯಂತಹ ಉಂಗುರಗಳಿರುವ ಕಂದು ಚುಕ್ಕೆಗಳು, ಸುತ್ತ ಹಳದಿ ಅಂಚು.",
+        es: "Manchas marrones con anillos concéntricos en las hojas viejas, a menudo con un halo amarillo."
+      },
+      favourableConditions: "Warm (24-29°C), humid weather with alternating wet and dry periods.",
+      prevention: "Rotate crops for 2-3 years, mulch to stop soil splash and water at the base of plants.",
+      organicTreatment: "Remove infected lower leaves and spray copper-based fungicide every 7-10 days.",
+      chemicalTreatment: "Chlorothalonil or mancozeb at label rate; rotate with azoxystrobin.",
+      images: []
+    },
+    {
+      id: 'late-blight',
+      version: 2,
+      name: { en: "Late Blight", hi: "पछेती झुलसा", kn: "ತಡವಾದ ಅಂಗಮಾರಿ", es: "Tizón tardío" },
+      plant: "Potato",
+      severity: "Critical",
+      pathogenType: "Oomycete",
+      causalOrganism: "Phytophthora infestans",
+      symptoms: {
+        en: "Dark, water-soaked patches on leaves that turn black, with white mould on the underside in humid weather.",
+        hi: "पत्तियों पर गहरे, पानी से भीगे धब्बे जो काले पड़ जाते हैं; नमी में निचली सतह पर सफेद फफूंद।",
+        kn: "ಎಲೆಗಳ ಮೇಲೆ ಕಪ್ಪಾಗುವ ಗಾಢ, ನೀರು ತುಂಬಿದಂತಹ ತೇಪೆಗಳು; ತೇವದಲ್ಲಿ ಕೆಳಭಾಗದಲ್ಲಿ ಬಿಳಿ ಬೂಷ್ಟು.",
+        es: "Manchas oscuras y acuosas que se vuelven negras, con moho blanco en el envés con tiempo húmedo."
+      },
+      favourableConditions: "Cool (10-20°C), wet weather with high humidity for several days.",
+      prevention: "Plant certified disease-free seed, destroy volunteer plants and hill up tubers.",
+      organicTreatment: "Destroy infected plants immediately; protect healthy plants with copper sprays.",
+      chemicalTreatment: "Mancozeb preventively; metalaxyl-M or cymoxanil mixtures once disease is present.",
+      images: []
+    },
+    {
+      id: 'rice-blast',
+      version: 2,
+      name: { en: "Rice Blast", hi: "धान का झोंका (ब्लास्ट)", kn: "ಭತ್ತದ ಬೆಂಕಿ ರೋಗ", es: "Piricularia del arroz" },
+      plant: "Rice",
+      severity: "High",
+      pathogenType: "Fungus",
+      causalOrganism: "Magnaporthe oryzae",
+      symptoms: {
+        en: "Diamond-shaped lesions with grey centres and brown margins on leaves; neck rot in severe cases.",
+        hi: "पत्तियों पर भूरे किनारों और धूसर केंद्र वाले हीरे के आकार के धब्बे; गंभीर स्थिति में बाली की गर्दन सड़ती है।",
+        kn: "ಎಲೆಗಳ ಮೇಲೆ ಬೂದು ಮಧ್ಯ ಮತ್ತು ಕಂದು ಅಂಚಿನ ವಜ್ರಾಕಾರದ ಚುಕ್ಕೆಗಳು; ತೀವ್ರವಾದಾಗ ತೆನೆಯ ಕುತ್ತಿಗೆ ಕೊಳೆಯುತ್ತದೆ.",
+        es: "Lesiones en forma de rombo con centro gris y borde marrón; pudrición del cuello de la panícula en casos graves."
+      },
+      favourableConditions: "Long leaf wetness, night temperatures of 20-25°C and excessive nitrogen.",
+      prevention: "Use resistant varieties, split nitrogen doses and avoid water stress.",
+      organicTreatment: "Apply silicon fertilizers and Pseudomonas fluorescens seed treatment.",
+      chemicalTreatment: "Tricyclazole or isoprothiolane at boot leaf and heading stages.",
+      images: []
+    },
+    {
+      id: 'yellow-rust',
+      version: 2,
+      name: { en: "Yellow Rust", hi: "पीला रतुआ", kn: "ಹಳದಿ ತುಕ್ಕು ರೋಗ", es: "Roya amarilla" },
+      plant: "Wheat",
+      severity: "Medium",
+      pathogenType: "Fungus",
+      causalOrganism: "Puccinia striiformis f. sp. tritici",
+      symptoms: {
+        en: "Linear rows of orange-yellow pustules between leaf veins.",
+        hi: "पत्ती की नसों के बीच नारंगी-पीले फफोलों की सीधी कतारें।",
+        kn: "ಎಲೆಯ ನರಗಳ ನಡುವೆ ಕಿತ್ತಳೆ-ಹಳದಿ ಗುಳ್ಳೆಗಳ ನೇರ ಸಾಲುಗಳು.",
+        es: "Hileras lineales de pústulas amarillo-anaranjadas entre las nervaduras."
+      },
+      favourableConditions: "Cool (10-15°C), moist conditions with dew or light rain.",
+      prevention: "Grow resistant varieties and avoid very early sowing.",
+      organicTreatment: "Remove volunteer wheat and grassy hosts; sulphur dust gives partial control.",
+      chemicalTreatment: "Foliar spray of propiconazole or tebuconazole at first pustules.",
+      images: []
+    },
+    {
+      id: 'corn-smut',
+      version: 2,
+      name: { en: "Corn Smut", hi: "मक्का का कंडुआ", kn: "ಮೆಕ್ಕೆಜೋಳದ ಕಾಡಿಗೆ ರೋಗ", es: "Carbón del maíz" },
+      plant: "Corn",
+      severity: "Medium",
+      pathogenType: "Fungus",
+      causalOrganism: "Ustilago maydis",
+      symptoms: {
+        en: "Large white-grey galls on ears, stalks or leaves that burst to release black spores.",
+        hi: "भुट्टों, तनों या पत्तियों पर बड़ी सफेद-धूसर गांठें जो फटकर काले बीजाणु छोड़ती हैं।",
+        kn: "ತೆನೆ, ಕಾಂಡ ಅಥವಾ ಎಲೆಗಳ ಮೇಲೆ ದೊಡ್ಡ ಬಿಳಿ-ಬೂದು ಗಂಟುಗಳು; ಒಡೆದು ಕಪ್ಪು ಬೀಜಕಗಳನ್ನು ಬಿಡುತ್ತವೆ.",
+        es: "Agallas grandes blanco-grisáceas en mazorcas, tallos u hojas que revientan liberando esporas negras."
+      },
+      favourableConditions: "Hot, dry weather followed by rain; plant injuries from hail or cultivation.",
+      prevention: "Crop rotation, balanced fertilization and avoiding mechanical injury.",
+      organicTreatment: "Remove galls before they burst and destroy them away from the field.",
+      chemicalTreatment: "Fungicides are not effective; rely on resistant hybrids.",
+      images: []
+    },
+    {
+      id: 'septoria-leaf-spot',
+      version: 1,
+      name: { en: "Septoria Leaf Spot", hi: "सेप्टोरिया पत्ती धब्बा", kn: "ಸೆಪ್ಟೋರಿಯಾ ಎಲೆ ಚುಕ್ಕೆ", es: "Mancha foliar por Septoria" },
+      plant: "Tomato",
+      severity: "Medium",
+      pathogenType: "Fungus",
+      causalOrganism: "Septoria lycopersici",
+      symptoms: {
+        en: "Many small circular spots with dark borders and grey centres, starting on lower leaves.",
+        hi: "निचली पत्तियों से शुरू होकर गहरे किनारे और धूसर केंद्र वाले कई छोटे गोल धब्बे।",
+        kn: "ಕೆಳಗಿನ ಎಲೆಗಳಿಂದ ಆರಂಭವಾಗುವ, ಗಾಢ ಅಂಚು ಮತ್ತು ಬೂದು ಮಧ್ಯವಿರುವ ಅನೇಕ ಸಣ್ಣ ವೃತ್ತಾಕಾರದ ಚುಕ್ಕೆಗಳು.",
+        es: "Numerosas manchas circulares pequeñas con borde oscuro y centro gris, empezando por las hojas bajas."
+      },
+      favourableConditions: "Warm, wet weather and overhead irrigation.",
+      prevention: "Stake plants, prune lower leaves and avoid wetting foliage.",
+      organicTreatment: "Remove spotted leaves and apply copper fungicide.",
+      chemicalTreatment: "Chlorothalonil or mancozeb every 7-14 days.",
+      images: []
+    },
+    {
+      id: 'bacterial-leaf-blight',
+      version: 1,
+      name: { en: "Bacterial Leaf Blight", hi: "जीवाणु पत्ती झुलसा", kn: "ಬ್ಯಾಕ್ಟೀರಿಯಾ ಎಲೆ ಅಂಗಮಾರಿ", es: "Tizón bacteriano de la hoja" },
+      plant: "Rice",
+      severity: "High",
+      pathogenType: "Bacterium",
+      causalOrganism: "Xanthomonas oryzae pv. oryzae",
+      symptoms: {
+        en: "Yellow to straw-coloured wavy stripes running from the leaf tip down the margins.",
+        hi: "पत्ती की नोक से किनारों के साथ नीचे की ओर बढ़ती पीली से भूसे रंग की लहरदार धारियाँ।",
+        kn: "ಎಲೆಯ ತುದಿಯಿಂದ ಅಂಚುಗಳ ಉದ್ದಕ್ಕೂ ಕೆಳಗೆ ಹರಡುವ ಹಳದಿ ಅಥವಾ ಹುಲ್ಲಿನ ಬಣ್ಣದ ಅಲೆಅಲೆಯಾದ ಪಟ್ಟೆಗಳು.",
+        es: "Franjas onduladas amarillas a color paja que avanzan desde la punta de la hoja por los bordes."
+      },
+      favourableConditions: "Warm (25-34°C), flooded fields after storms that wound leaves.",
+      prevention: "Resistant varieties, balanced nitrogen and draining fields after flooding.",
+      organicTreatment: "Drain standing water and apply fresh cow dung extract spray.",
+      chemicalTreatment: "Copper hydroxide with streptocycline where locally approved.",
+      images: []
+    }
+  ]
+};
+
+const localize = (value, lang = DEFAULT_LANGUAGE) => {
+  if (value == null || typeof value === 'string') return value || '';
+  return value[lang] || value.en || Object.values(value)[0] || '';
+};
+
+// Overlays remote entries on the bundled dataset, keeping whichever copy is newer.
+const mergeEncyclopedia = (bundled, remote) => {
+  const byId = new Map(bundled.map(e => [e.id, e]));
+  remote.forEach(entry => {
+    const existing = byId.get(entry.id);
+    if (entry.deleted) byId.delete(entry.id);
+    else if (!existing || (entry.version || 0) >= (existing.version || 0)) byId.set(entry.id, entry);
+  });
+  return [...byId.values()];
+};
+
+// Flattens an entry into the { name, plant, symptoms, treatment, severity } shape the detail sheet reads.
+const entryToReport = (entry, lang = DEFAULT_LANGUAGE) => {
+  const organicTreatment = localize(entry.organicTreatment, lang);
+  const chemicalTreatment = localize(entry.chemicalTreatment, lang);
+  return {
+    entryId: entry.id,
+    name: localize(entry.name, lang),
+    plant: entry.plant,
+    severity: entry.severity,
+    symptoms: localize(entry.symptoms, lang),
+    treatment: localize(entry.treatment, lang) || [organicTreatment, chemicalTreatment].filter(Boolean).join(' '),
+    pathogenType: entry.pathogenType,
+    causalOrganism: entry.causalOrganism,
+    favourableConditions: localize(entry.favourableConditions, lang),
+    prevention: localize(entry.prevention, lang),
+    organicTreatment,
+    chemicalTreatment,
+    images: entry.images || []
+  };
+};
+
+// Every localized variant is searchable, so an English query still finds entries in a Hindi UI.
+const searchText = (value) => (typeof value === 'string' ? value : Object.values(value || {}).join(' ')).toLowerCase();
+
+const searchEncyclopedia = (entries, queryText) => {
+  const terms = queryText.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return entries;
+  return entries
+    .map(entry => {
+      const name = `${searchText(entry.name)} ${entry.id}`;
+      const body = [entry.plant, entry.causalOrganism, entry.pathogenType, entry.symptoms].map(searchText).join(' ');
+      if (!terms.every(t => name.includes(t) || body.includes(t))) return null;
+      return { entry, score: terms.filter(t => name.includes(t)).length * 2 + terms.filter(t => body.includes(t)).length };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .map(r => r.entry);
+};
+
+const slugify = (text) => text.toLowerCase().normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/[\s_]+/g, '-');
+
+// Checks one admin-imported entry and fills in defaults; throws with a message naming the entry.
+const validateEncyclopediaEntry = (raw, existing, lang = 'en') => {
+  const name = localize(raw?.name, 'en');
+  if (!name) throw new Error(translate(lang, 'importMissingName'));
+  if (!raw.plant) throw new Error(translate(lang, 'importMissingPlant', { name }));
+  if (!raw.symptoms) throw new Error(translate(lang, 'importMissingSymptoms', { name }));
+  const id = raw.id || slugify(name);
+  return {
+    ...raw,
+    id,
+    plant: normalizeCrop(raw.plant) === 'Other' ? raw.plant : normalizeCrop(raw.plant),
+    severity: normalizeSeverity(raw.severity),
+    images: Array.isArray(raw.images) ? raw.images : [],
+    version: Math.max(raw.version || 0, (existing?.version || 0) + 1)
+  };
+};
+
+// --- Response Validation ---
+const SEVERITY_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+const SEVERITY_STYLES = {
+  Low: 'bg-green-100 text-green-600',
+  Medium: 'bg-yellow-100 text-yellow-600',
+  High: 'bg-red-100 text-red-600',
+  Critical: 'bg-red-600 text-white'
+};
+
+// Canonical crop names and the spellings the model tends to use for them.
+const CROPS = {
+  Tomato: ['tomato', 'tomatoes', 'solanum lycopersicum'],
+  Potato: ['potato', 'potatoes', 'solanum tuberosum'],
+  Rice: ['rice', 'paddy', 'oryza sativa'],
+  Wheat: ['wheat', 'triticum'],
+  Corn: ['corn', 'maize', 'zea mays'],
+  Soybean: ['soybean', 'soybeans', 'soya', 'glycine max'],
+  Cotton: ['cotton', 'gossypium'],
+  Pepper: ['pepper', 'chili', 'chilli', 'capsicum', 'bell pepper'],
+  Grape: ['grape', 'grapes', 'grapevine', 'vitis'],
+  Apple: ['apple', 'apples', 'malus'],
+  Banana: ['banana', 'plantain', 'musa'],
+  Sugarcane: ['sugarcane', 'sugar cane', 'saccharum']
+};
+
+// `code` is a STRINGS key, so the error can be shown in the reader's language; the message stays English for logs.
+export class DiagnosisError extends Error {
+  constructor(code, { transient = false, status = null, vars = {} } = {}) {
+    super(translate('en', code, vars));
+    this.name = 'DiagnosisError';
+    this.code = code;
+    this.vars = vars;
+    this.transient = transient;
+    this.status = status;
+  }
+}
+
+const describeError = (err, lang) => err instanceof DiagnosisError ? translate(lang, err.code, err.vars) : err.message;
+
+// Maps free-form model wording ("very high", "Moderate risk") onto SEVERITY_LEVELS.
+export const normalizeSeverity = (value) => {
+  const text = String(value || '').toLowerCase();
+  if (/critical|severe|very high|extreme/.test(text)) return 'Critical';
+  if (/high/.test(text)) return 'High';
+  if (/low|mild|minor|none|slight/.test(text)) return 'Low';
+  return 'Medium';
+};
+
+// Different plants whose names contain a supported crop's name.
+const LOOKALIKE_CROPS = ['sweet potato', 'black pepper', 'custard apple', 'sugar apple'];
+
+// Longest alias first, so "sweet potato" is tried before "potato".
+const CROP_ALIASES = [
+  ...Object.entries(CROPS).flatMap(([crop, aliases]) => aliases.map(alias => [crop, alias])),
+  ...LOOKALIKE_CROPS.map(alias => ['Other', alias])
+].sort((a, b) => b[1].length - a[1].length);
+
+// Aliases match whole words only: "pineapple" is not an apple, nor "peppermint" a pepper.
+export const normalizeCrop = (value) => {
+  const text = String(value || '').toLowerCase().replace(/\b(plants?|leaf|leaves|crop)\b/g, '').trim();
+  if (!text) return 'Unknown';
+  const match = CROP_ALIASES.find(([, alias]) => new RegExp(`\\b${alias}\\b`).test(text));
+  return match ? match[0] : 'Other';
+};
+
+export const normalizeConfidence = (value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  return Math.min(1, Math.max(0, n > 1 ? n / 100 : n));
+};
+
+// Repairs what can be repaired (missing text, odd severities, crop spellings)
+// and rejects responses that carry no usable diagnosis at all.
+// `entries` is the library names are matched against (the merged one, so admin imports count).
+export const validateDiagnosis = (raw, entries = BUNDLED_ENCYCLOPEDIA.entries) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new DiagnosisError('diagnosisMalformed');
+  }
+
+  const candidates = (Array.isArray(raw.candidates) ? raw.candidates : [raw])
+    .filter(c => c && typeof c.name === 'string' && c.name.trim())
+    .map(c => {
+      const match = findEncyclopediaEntry(c.name, entries);
+      const entry = match && entryToReport(match, 'en');
+      return {
+        name: match ? entry.name : c.name.trim(),
+        entryId: match?.id || null,
+        plant: normalizeCrop(c.plant || raw.plant || entry?.plant),
+        confidence: normalizeConfidence(c.confidence) ?? 0,
+        severity: normalizeSeverity(c.severity || entry?.severity),
+        symptoms: String(c.symptoms || entry?.symptoms || 'No symptom description provided.').trim(),
+        treatment: String(c.treatment || entry?.treatment || 'Consult a local agronomist for treatment options.').trim()
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const outcome = ['disease', 'healthy', 'retake'].includes(raw.outcome)
+    ? raw.outcome
+    : (candidates.length ? 'disease' : null);
+  if (!outcome || (outcome === 'disease' && candidates.length === 0)) {
+    throw new DiagnosisError('diagnosisIncomplete');
+  }
+
+  return {
+    outcome,
+    candidates,
+    plant: raw.plant ? normalizeCrop(raw.plant) : null,
+    confidence: normalizeConfidence(raw.confidence),
+    note: typeof raw.note === 'string' ? raw.note.trim() : null,
+    plan: outcome === 'disease' ? normalizePlan(raw.plan, candidates[0].treatment) : null,
+    source: raw.source
+  };
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Falls back to the treatment text split into sentences and a weekly re-check when the model gave no plan.
+const normalizePlan = (plan, treatment) => {
+  const actions = (Array.isArray(plan?.actions) && plan.actions.length ? plan.actions : String(treatment || '').split(/(?<=\.)\s+/))
+    .map(a => String(a).trim())
+    .filter(Boolean);
+  return {
+    actions,
+    product: plan?.product ? String(plan.product).trim() : null,
+    dose: plan?.dose ? String(plan.dose).trim() : null,
+    intervalDays: clamp(Math.round(Number(plan?.intervalDays) || 7), 1, 60),
+    repeats: clamp(Math.round(Number(plan?.repeats) || 1), 1, 10)
+  };
+};
+
+const httpErrorCode = (status) => {
+  if (status === 429) return 'diagnosisBusy';
+  if (status >= 500) return 'diagnosisUnavailable';
+  if (status === 401 || status === 403) return 'diagnosisCredentials';
+  if (status === 404) return 'diagnosisModelMissing';
+  return 'diagnosisRejected';
+};
+
+// --- Diagnosis Providers ---
+// Every provider exposes the same shape: `isAvailable()`,
+// `diagnose(prompt, images)` (data URLs, main leaf photo first) resolving to a raw DIAGNOSIS_SCHEMA object,
+// which `diagnose` flattens into { name, plant, symptoms, treatment, severity, confidence, outcome, candidates },
+// and `chat(messages, context, onToken, lang)` streaming a free-text advisor reply and resolving to the full text.
+const DIAGNOSIS_PROVIDER = typeof __diagnosis_provider !== 'undefined' ? __diagnosis_provider : 'gemini';
+const GEMINI_MODEL = "gemini-2.5-flash-preview-09-2025";
+const GEMINI_ENDPOINT = typeof __gemini_endpoint !== 'undefined' ? __gemini_endpoint : 'https://generativelanguage.googleapis.com/v1beta';
+
+const SCAN_PROMPT = "Analyze this plant leaf for diseases. Provide scientific details. " +
+  "Rank the most likely diagnoses with a confidence between 0 and 1. " +
+  "Use outcome \"healthy\" when no disease is visible and \"retake\" when the photo is too blurry, dark or does not show a leaf. " +
+  "For a disease, add a treatment plan: concrete actions, the product, its dose, days between applications and number of applications.";
+
+const DIAGNOSIS_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    outcome: { type: "STRING", enum: ["disease", "healthy", "retake"] },
+    plant: { type: "STRING" },
+    confidence: { type: "NUMBER" },
+    note: { type: "STRING" },
+    plan: {
+      type: "OBJECT",
+      properties: {
+        actions: { type: "ARRAY", items: { type: "STRING" } },
+        product: { type: "STRING" },
+        dose: { type: "STRING" },
+        intervalDays: { type: "NUMBER" },
+        repeats: { type: "NUMBER" }
+      }
+    },
+    candidates: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          plant: { type: "STRING" },
+          confidence: { type: "NUMBER" },
+          symptoms: { type: "STRING" },
+          treatment: { type: "STRING" },
+          severity: { type: "STRING" }
+        }
+      }
+    }
+  },
+  required: ["outcome", "candidates"]
+};
+
+const ADVISOR_INSTRUCTION = "You are Doctor Planet's agronomy advisor. Answer farmers' questions about crop care and " +
+  "plant diseases in plain language with practical, safe steps. If you are unsure, say so and suggest a local extension officer.";
+
+// POSTs to a Gemini method, retrying only rate limits, server errors and dropped connections.
+const fetchGemini = async (method, payload) => {
+  const url = `${GEMINI_ENDPOINT}/models/${GEMINI_MODEL}:${method}${method.includes('?') ? '&' : '?'}key=${apiKey}`;
+  for (let i = 0; ; i++) {
+    try {
+      const res = await fetch(url, { method: 'POST', body: JSON.stringify(payload) });
+      if (!res.ok) {
+        throw new DiagnosisError(httpErrorCode(res.status), { transient: res.status === 429 || res.status >= 500, status: res.status, vars: { status: res.status } });
+      }
+      return res;
+    } catch (e) {
+      const err = e instanceof DiagnosisError ? e : new DiagnosisError('diagnosisUnreachable', { transient: true });
+      if (!err.transient || i === 4) throw err;
+      await new Promise(r => setTimeout(r, Math.pow(2, i) * 1000));
+    }
+  }
+};
+
+// Text of the first candidate in a (possibly streamed) response; throws on safety blocks.
+const readGeminiText = (data) => {
+  const blockReason = data.promptFeedback?.blockReason;
+  if (blockReason) throw new DiagnosisError('diagnosisBlocked', { vars: { reason: blockReason } });
+  const candidate = data.candidates?.[0];
+  if (candidate?.finishReason === 'SAFETY' || candidate?.finishReason === 'PROHIBITED_CONTENT') {
+    throw new DiagnosisError('diagnosisDeclined');
+  }
+  return candidate?.content?.parts?.map(p => p.text || '').join('') || '';
+};
+
+export const geminiProvider = {
+  id: 'gemini',
+  isAvailable: () => typeof navigator === 'undefined' || navigator.onLine,
+  diagnose: async (prompt, images = []) => {
+    const payload = {
+      contents: [{
+        parts: [
+          { text: prompt },
+          ...images.map(image => ({ inlineData: { mimeType: detectImageMimeType(image), data: image.split(',')[1] } }))
+        ]
+      }],
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: DIAGNOSIS_SCHEMA
+      }
+    };
+
+    const res = await fetchGemini('generateContent', payload);
+    let data;
+    try {
+      data = await res.json();
+    } catch {
+      throw new DiagnosisError('diagnosisUnreadable');
+    }
+    const text = readGeminiText(data);
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new DiagnosisError('diagnosisUnreadable');
+    }
+  },
+  chat: async (messages, context, onToken, lang = 'en') => {
+    const instruction = ADVISOR_INSTRUCTION + languageInstruction(lang, 'advisor');
+    const payload = {
+      systemInstruction: { parts: [{ text: context ? `${instruction}\n\nThe farmer attached this context:\n${context}` : instruction }] },
+      contents: messages.map(m => ({ role: m.role === 'model' ? 'model' : 'user', parts: [{ text: m.text }] }))
+    };
+
+    const res = await fetchGemini('streamGenerateContent?alt=sse', payload);
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '', reply = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const chunk = readGeminiText(JSON.parse(line.slice(5)));
+        if (chunk) {
+          reply += chunk;
+          onToken(chunk);
+        }
+      }
+    }
+    if (!reply) throw new DiagnosisError('diagnosisEmptyReply');
+    return reply;
+  }
+};
+
+// Emits canned text a few words at a time so offline and mock replies stream like the real model.
+const streamText = async (text, onToken) => {
+  const words = text.split(/(?<=\s)/);
+  for (let i = 0; i < words.length; i += 3) {
+    onToken(words.slice(i, i + 3).join(''));
+    await new Promise(r => setTimeout(r, 30));
+  }
+  return text;
+};
+
+// Colour signatures used by the on-device classifier. Weights apply to the
+// fraction of leaf pixels falling into each colour bucket.
+const LOCAL_SIGNATURES = {
+  'early-blight': { brown: 1, yellow: 0.5 },
+  'late-blight': { dark: 1, brown: 0.3 },
+  'rice-blast': { gray: 1, brown: 0.4 },
+  'yellow-rust': { orange: 1, yellow: 0.6 },
+  'corn-smut': { white: 0.7, dark: 0.6 },
+  'septoria-leaf-spot': { gray: 0.6, brown: 0.6 },
+  'bacterial-leaf-blight': { yellow: 0.8, white: 0.3 }
+};
+
+const bundledReport = (id) => entryToReport(BUNDLED_ENCYCLOPEDIA.entries.find(e => e.id === id), 'en');
+
+// Healthy and retake results are stored in English, like library disease names, and shown
+// in the reader's language by localizeResult.
+const HEALTHY_RESULT = {
+  name: STRINGS.en.healthyResultName,
+  plant: "Unknown",
+  severity: "Low",
+  symptoms: STRINGS.en.healthyResultSymptoms,
+  treatment: STRINGS.en.healthyResultTreatment
+};
+
+const RETAKE_RESULT = {
+  name: STRINGS.en.retakeResultName,
+  plant: "Unknown",
+  severity: "Low",
+  symptoms: STRINGS.en.retakeResultSymptoms,
+  treatment: STRINGS.en.retakeResultTreatment
+};
+
+// Text the model wrote itself (a healthy result's note, say) is left as it is.
+const localizeResult = (scan, lang) => {
+  const standard = { healthy: [HEALTHY_RESULT, 'healthyResult'], retake: [RETAKE_RESULT, 'retakeResult'] }[scan.outcome];
+  if (!standard) return scan;
+  const [result, prefix] = standard;
+  const pick = (field, suffix) => scan[field] === result[field] ? translate(lang, `${prefix}${suffix}`) : scan[field];
+  return { ...scan, name: pick('name', 'Name'), symptoms: pick('symptoms', 'Symptoms'), treatment: pick('treatment', 'Treatment') };
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error("Could not read leaf image"));
+  img.src = src;
+});
+
+const PLANT_COLORS = ['green', 'yellow', 'orange', 'brown'];
+
+// Buckets a downscaled copy of the image into coarse HSV colour classes. `frame` is each class's
+// share of the whole photo; `leaf` only counts pixels on the leaf (plant-coloured, or enclosed by
+// plant colour in both directions, so lesions count but the background doesn't).
+const measureLeafColors = async (imageData) => {
+  const img = await loadImage(imageData);
+  const size = 96;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, size, size);
+  const { data } = ctx.getImageData(0, 0, size, size);
+
+  const classes = new Array(size * size).fill(null);
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i] / 255, g = data[i + 1] / 255, b = data[i + 2] / 255;
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const v = max, s = max === 0 ? 0 : (max - min) / max;
+    let h = 0;
+    if (max !== min) {
+      if (max === r) h = 60 * (((g - b) / (max - min)) % 6);
+      else if (max === g) h = 60 * ((b - r) / (max - min) + 2);
+      else h = 60 * ((r - g) / (max - min) + 4);
+    }
+    if (h < 0) h += 360;
+
+    const p = i / 4;
+    if (v < 0.2) classes[p] = 'dark';
+    else if (s < 0.15) classes[p] = v > 0.85 ? 'white' : 'gray';
+    else if (h >= 70 && h < 170) classes[p] = 'green';
+    else if (h >= 45 && h < 70) classes[p] = 'yellow';
+    else if (h >= 15 && h < 45) classes[p] = v < 0.55 ? 'brown' : 'orange';
+    else if (v < 0.55) classes[p] = 'brown';
+  }
+
+  // First and last plant-coloured pixel of every row and column.
+  const rows = Array.from({ length: size }, () => [size, -1]);
+  const cols = Array.from({ length: size }, () => [size, -1]);
+  classes.forEach((c, p) => {
+    if (!PLANT_COLORS.includes(c)) return;
+    const x = p % size, y = Math.floor(p / size);
+    rows[y] = [Math.min(rows[y][0], x), Math.max(rows[y][1], x)];
+    cols[x] = [Math.min(cols[x][0], y), Math.max(cols[x][1], y)];
+  });
+
+  const counts = { green: 0, yellow: 0, orange: 0, brown: 0, dark: 0, gray: 0, white: 0 };
+  const leafCounts = { ...counts };
+  let leafTotal = 0;
+  classes.forEach((c, p) => {
+    const x = p % size, y = Math.floor(p / size);
+    const onLeaf = PLANT_COLORS.includes(c) ||
+      (x > rows[y][0] && x < rows[y][1] && y > cols[x][0] && y < cols[x][1]);
+    if (onLeaf) leafTotal++;
+    if (!c) return;
+    counts[c]++;
+    if (onLeaf) leafCounts[c]++;
+  });
+
+  const share = (tally, total) => Object.fromEntries(Object.entries(tally).map(([k, n]) => [k, total ? n / total : 0]));
+  return { frame: share(counts, classes.length), leaf: share(leafCounts, leafTotal), coverage: leafTotal / classes.length };
+};
+
+// Text questions offline: best keyword overlap against the bundled encyclopedia.
+const matchEncyclopediaText = (text) => {
+  const words = text.toLowerCase().split(/\W+/).filter(w => w.length > 3);
+  return BUNDLED_ENCYCLOPEDIA.entries
+    .map(e => {
+      const d = entryToReport(e, 'en');
+      const haystack = `${d.name} ${d.plant} ${d.symptoms}`.toLowerCase();
+      return { entry: e, d, score: words.filter(w => haystack.includes(w)).length };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3);
+};
+
+const localProvider = {
+  id: 'local',
+  isAvailable: () => true,
+  diagnose: async (prompt, images = []) => {
+    if (images.length === 0) {
+      const matches = matchEncyclopediaText(prompt);
+      if (matches.length === 0) throw new DiagnosisError('diagnosisNoOfflineMatch');
+      const total = matches.reduce((sum, r) => sum + r.score, 0);
+      return {
+        outcome: 'disease',
+        candidates: matches.map(r => ({ ...r.d, confidence: r.score / total * 0.6 })),
+        source: 'local'
+      };
+    }
+
+    const { frame, leaf, coverage } = await measureLeafColors(images[0]);
+    if (frame.dark > 0.6 || frame.white > 0.6) {
+      return { outcome: 'retake', candidates: [], note: "Photo looks over- or under-exposed.", source: 'local' };
+    }
+    if (coverage < 0.05) return { outcome: 'retake', candidates: [], note: "No leaf found in the photo.", source: 'local' };
+    if (leaf.green > 0.92) return { outcome: 'healthy', candidates: [], confidence: leaf.green, source: 'local' };
+
+    const scored = Object.entries(LOCAL_SIGNATURES)
+      .map(([id, weights]) => [id, Object.entries(weights).reduce((sum, [k, w]) => sum + w * leaf[k], 0)])
+      .sort((a, b) => b[1] - a[1]);
+    const total = scored.reduce((sum, [, score]) => sum + score, 0) || 1;
+    // Colour heuristics are coarse, so confidences are capped well below what a model would report.
+    return {
+      outcome: 'disease',
+      candidates: scored.slice(0, 3).map(([id, score]) => ({
+        ...bundledReport(id),
+        confidence: score / total * 0.7
+      })),
+      source: 'local'
+    };
+  },
+  chat: async (messages, context, onToken, lang = 'en') => {
+    const [best] = matchEncyclopediaText(messages[messages.length - 1].text);
+    const reply = best
+      ? translate(lang, 'offlineChatMatch', entryToReport(best.entry, lang))
+      : translate(lang, 'offlineChatNoMatch');
+    return streamText(reply, onToken);
+  }
+};
+
+// Recorded Gemini responses, served without a network so the scan flow can be exercised end to end.
+const MOCK_FIXTURES = [
+  {
+    outcome: "disease",
+    plant: "Tomato",
+    candidates: [
+      { name: "Early Blight", plant: "Tomato", confidence: 0.82, severity: "High", symptoms: "Concentric brown rings on the lower leaves with yellow halos.", treatment: "Remove affected leaves and apply a copper or chlorothalonil fungicide every 7-10 days." },
+      { name: "Septoria Leaf Spot", plant: "Tomato", confidence: 0.11, severity: "Medium", symptoms: "Small circular spots with dark borders and grey centres.", treatment: "Remove lower leaves and apply a protectant fungicide." }
+    ],
+    plan: { actions: ["Remove and bag affected lower leaves", "Spray the whole canopy, covering leaf undersides"], product: "Copper oxychloride 50% WP", dose: "3 g per litre of water", intervalDays: 7, repeats: 3 }
+  },
+  {
+    outcome: "disease",
+    plant: "Potato",
+    candidates: [
+      { name: "Late Blight", plant: "Potato", confidence: 0.74, severity: "Critical", symptoms: "Water-soaked dark lesions spreading from leaf margins, white mould underneath.", treatment: "Remove and destroy infected plants. Apply mancozeb preventively to the rest of the field." },
+      { name: "Early Blight", plant: "Potato", confidence: 0.18, severity: "High", symptoms: "Target-like brown spots on older leaves.", treatment: "Use copper fungicides and improve airflow." }
+    ],
+    plan: { actions: ["Pull and destroy infected plants", "Spray remaining plants preventively"], product: "Mancozeb 75% WP", dose: "2.5 g per litre of water", intervalDays: 5, repeats: 4 }
+  },
+  { outcome: "healthy", plant: "Tomato", confidence: 0.93, candidates: [] },
+  { outcome: "retake", confidence: 0.9, note: "Leaf is out of focus.", candidates: [] }
+];
+
+export const MOCK_CHAT_REPLY = "Tomatoes do best with deep, infrequent watering: about 2-3 cm of water a week, " +
+  "applied at the base of the plant in the morning. Increase it during fruit set and hot spells, and mulch to keep moisture even.";
+
+export const mockProvider = {
+  id: 'mock',
+  isAvailable: () => true,
+  diagnose: async (prompt, images = []) => {
+    const fixtureIndex = typeof __mock_fixture !== 'undefined'
+      ? __mock_fixture
+      : (prompt.length + (images[0] ? images[0].length : 0)) % MOCK_FIXTURES.length;
+    await new Promise(r => setTimeout(r, 300));
+    return { ...MOCK_FIXTURES[fixtureIndex % MOCK_FIXTURES.length], source: 'mock' };
+  },
+  chat: (messages, context, onToken) => streamText(MOCK_CHAT_REPLY, onToken)
+};
+
+// Lifts the top candidate (or the healthy/retake outcome) of a validated response to the
+// top level, so history cards and the detail sheet can keep reading `name`, `severity`, etc.
+const summarizeDiagnosis = (raw) => {
+  const { outcome, candidates } = raw;
+  const base = { outcome, candidates, source: raw.source || DIAGNOSIS_PROVIDER };
+
+  if (outcome !== 'disease') {
+    const isRetake = outcome === 'retake';
+    const fallback = isRetake ? RETAKE_RESULT : HEALTHY_RESULT;
+    return {
+      ...fallback,
+      ...base,
+      outcome: isRetake ? 'retake' : 'healthy',
+      plant: raw.plant || fallback.plant,
+      symptoms: raw.note || fallback.symptoms,
+      confidence: raw.confidence
+    };
+  }
+
+  const top = candidates[0];
+  return {
+    ...base,
+    name: top.name,
+    entryId: top.entryId || null,
+    plant: top.plant || raw.plant,
+    symptoms: top.symptoms,
+    treatment: top.treatment,
+    severity: top.severity,
+    confidence: top.confidence,
+    plan: raw.plan
+  };
+};
+
+// Scans saved before outcomes existed were always disease reports.
+const scanOutcome = (scan) => scan.outcome || 'disease';
+
+// Adds the plot's crop, variety and age so the model can rule out diseases of other crops.
+const buildScanPrompt = (plot, lang = 'en') => {
+  const prompt = SCAN_PROMPT + languageInstruction(lang, 'diagnosis');
+  if (!plot) return prompt;
+  const variety = plot.variety ? ` (variety: ${plot.variety})` : '';
+  const age = plot.plantingDate
+    ? ` planted ${Math.max(0, Math.round((Date.now() - new Date(plot.plantingDate).getTime()) / 86400000))} days ago`
+    : '';
+  return `${prompt} Context: the leaf comes from a ${plot.crop} plot${variety}${age}. Prefer diseases that affect ${plot.crop}.`;
+};
+
+// Matches a diagnosis name against any localized name (or the id) of an entry.
+const findEncyclopediaEntry = (name, entries = BUNDLED_ENCYCLOPEDIA.entries) => {
+  const needle = (name || '').trim().toLowerCase();
+  if (!needle) return null;
+  return entries.find(e => e.id === needle || e.id === slugify(needle) ||
+    (typeof e.name === 'string' ? [e.name] : Object.values(e.name || {})).some(n => n.toLowerCase() === needle)) || null;
+};
+
+const formatConfidence = (confidence) =>
+  typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : null;
+
+const DIAGNOSIS_PROVIDERS = { gemini: geminiProvider, local: localProvider, mock: mockProvider };
+
+export const diagnoseOnDevice = async (prompt, images = [], entries) =>
+  summarizeDiagnosis(validateDiagnosis(await localProvider.diagnose(prompt, images), entries));
+
+// Runs the configured provider, or the on-device classifier when the provider isn't available
+// (e.g. offline). Errors are surfaced as-is; on a transient one the caller queues the scan for
+// the provider instead of settling for the on-device estimate.
+export const diagnose = async (prompt, images = [], entries) => {
+  const primary = DIAGNOSIS_PROVIDERS[DIAGNOSIS_PROVIDER] || geminiProvider;
+  if (!primary.isAvailable()) return diagnoseOnDevice(prompt, images, entries);
+  return summarizeDiagnosis(validateDiagnosis(await primary.diagnose(prompt, images), entries));
+};
+
+// Queued scans already carry an on-device estimate, so they wait for the primary provider
+// instead of falling back; a transient error leaves them in the queue.
+const diagnoseWithPrimary = async (prompt, images = [], entries) => {
+  const primary = DIAGNOSIS_PROVIDERS[DIAGNOSIS_PROVIDER] || geminiProvider;
+  return summarizeDiagnosis(validateDiagnosis(await primary.diagnose(prompt, images), entries));
+};
+
+// Streams an advisor reply, falling back to the offline library if the provider is unreachable
+// before it has produced any text.
+export const chatWithAdvisor = async (messages, context, onToken, lang) => {
+  const primary = DIAGNOSIS_PROVIDERS[DIAGNOSIS_PROVIDER] || geminiProvider;
+  let streamed = false;
+  if (primary.isAvailable()) {
+    try {
+      return await primary.chat(messages, context, (chunk) => { streamed = true; onToken(chunk); }, lang);
+    } catch (err) {
+      if (streamed || primary === localProvider || (err instanceof DiagnosisError && !err.transient)) throw err;
+      console.warn(`${primary.id} provider failed, answering from the offline library`, err);
+    }
+  }
+  return localProvider.chat(messages, context, onToken, lang);
+};
+
+const scanContext = (scan) => ({
+  type: 'scan',
+  id: scan.id || null,
+  label: `${scan.name} • ${new Date(scan.timestamp || Date.now()).toLocaleDateString()}`,
+  summary: `Scan from ${new Date(scan.timestamp || Date.now()).toLocaleDateString()}: ${scan.name} on ${scan.plant}, ` +
+    `severity ${normalizeSeverity(scan.severity)}${formatConfidence(scan.confidence) ? `, ${formatConfidence(scan.confidence)} confidence` : ''}. ` +
+    `Symptoms: ${scan.symptoms} Suggested treatment: ${scan.treatment}`
+});
+
+const entryContext = (entry) => {
+  const report = entryToReport(entry, 'en');
+  return {
+    type: 'entry',
+    id: entry.id,
+    label: report.name,
+    summary: `Encyclopedia entry: ${report.name} on ${report.plant}${report.causalOrganism ? ` (${report.causalOrganism})` : ''}. ` +
+      `Symptoms: ${report.symptoms} Treatment: ${report.treatment}`
+  };
+};
+
+// --- Scan Images ---
+const IMAGE_MAX_SIZE = 1600;
+const THUMBNAIL_MAX_SIZE = 240;
+
+// Downscales to fit `maxSize` on the longest edge and re-encodes as JPEG.
+const resizeImage = async (src, maxSize, quality) => {
+  const img = await loadImage(src);
+  const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.width * scale);
+  canvas.height = Math.round(img.height * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Could not compress image")), 'image/jpeg', quality);
+  });
+};
+
+// Uploads the compressed leaf photo, its thumbnail and any extra views under the scan document's
+// own path (personal or workspace), so storage.rules can mirror firestore.rules.
+const uploadScanImages = async (basePath, captures) => {
+  const extras = CAPTURE_SLOTS.filter(slot => slot.id !== 'top' && captures[slot.id]);
+  const [original, thumbnail, ...extraImages] = await Promise.all([
+    resizeImage(captures.top, IMAGE_MAX_SIZE, 0.85),
+    resizeImage(captures.top, THUMBNAIL_MAX_SIZE, 0.7),
+    ...extras.map(slot => resizeImage(captures[slot.id], IMAGE_MAX_SIZE, 0.85))
+  ]);
+  const upload = async (name, blob) => {
+    const fileRef = storageRef(storage, `${basePath}/${name}`);
+    await uploadBytes(fileRef, blob, { contentType: 'image/jpeg' });
+    return getDownloadURL(fileRef);
+  };
+  const [imageUrl, thumbnailUrl, ...extraUrls] = await Promise.all([
+    upload('original.jpg', original),
+    upload('thumbnail.jpg', thumbnail),
+    ...extras.map((slot, i) => upload(`${slot.id}.jpg`, extraImages[i]))
+  ]);
+  return {
+    imageUrl,
+    thumbnailUrl,
+    imagePath: `${basePath}/original.jpg`,
+    ...(extras.length > 0 && { photos: Object.fromEntries(extras.map((slot, i) => [slot.id, extraUrls[i]])) })
+  };
+};
+
+// --- Photo Capture ---
+// A scan has one required close-up of the leaf plus optional views, sent to the model in this order.
+const CAPTURE_SLOTS = [
+  { id: 'top', label: 'slotTop', prompt: 'top of the leaf', required: true },
+  { id: 'underside', label: 'slotUnderside', prompt: 'underside of the leaf' },
+  { id: 'plant', label: 'slotPlant', prompt: 'the whole plant' }
 ];
 
+// Thresholds for gradeImageQuality: Laplacian variance, mean brightness (0-255) and share of the photo covered by leaf.
+export const QUALITY_LIMITS = {
+  blurBlock: 15,
+  blurWarn: 45,
+  darkBlock: 35,
+  darkWarn: 70,
+  brightBlock: 235,
+  leafBlock: 0.05,
+  leafWarn: 0.2
+};
+
+const captureList = (captures) => CAPTURE_SLOTS.map(slot => captures[slot.id]).filter(Boolean);
+
+const extraPhotos = (captures) => Object.fromEntries(Object.entries(captures).filter(([slot, image]) => slot !== 'top' && image));
+
+export const describeCaptures = (captures) => {
+  const slots = CAPTURE_SLOTS.filter(slot => captures[slot.id]);
+  return slots.length > 1
+    ? ` ${slots.length} photos of the same plant are attached, in order: ${slots.map(slot => slot.prompt).join(', ')}.`
+    : '';
+};
+
+// Reads the format from the data's magic bytes; the data URL's own label follows the file
+// extension (or is missing) and the model rejects mislabelled images.
+export const detectImageMimeType = (dataUrl) => {
+  const [header, base64 = ''] = dataUrl.split(',');
+  const bytes = Uint8Array.from(atob(base64.slice(0, 24)), c => c.charCodeAt(0));
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+  if (ascii(1, 4) === 'PNG') return 'image/png';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(4, 8) === 'ftyp') return /^he(ic|ix|vc|vx)$/.test(ascii(8, 12)) ? 'image/heic' : 'image/heif';
+  return header.match(/^data:([^;,]+)/)?.[1] || 'image/jpeg';
+};
+
+// Downscales a capture to the upload size up front, so checks, the model and the offline
+// queue all work on the same small JPEG. Formats the browser can't decode (e.g. HEIC) pass
+// through unchanged; the quality check then fails on them and blocks the scan.
+const prepareScanImage = async (dataUrl) => {
+  try {
+    return await blobToDataUrl(await resizeImage(dataUrl, IMAGE_MAX_SIZE, 0.85));
+  } catch (err) {
+    console.warn("Could not resize photo, using the original", err);
+    return dataUrl;
+  }
+};
+
+// Variance of a 4-neighbour Laplacian over a greyscale image; low values mean few sharp edges.
+export const laplacianVariance = (gray, width, height) => {
+  let sum = 0, sumSq = 0, n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width];
+      sum += lap;
+      sumSq += lap * lap;
+      n++;
+    }
+  }
+  return sumSq / n - (sum / n) ** 2;
+};
+
+// Turns the measurements into issues; those with `block` stop the analysis.
+export const gradeImageQuality = ({ sharpness, brightness, leaf }) => {
+  const issues = [];
+  if (sharpness < QUALITY_LIMITS.blurBlock) issues.push({ key: 'qualityBlurry', block: true });
+  else if (sharpness < QUALITY_LIMITS.blurWarn) issues.push({ key: 'qualitySoft', block: false });
+  if (brightness < QUALITY_LIMITS.darkBlock) issues.push({ key: 'qualityTooDark', block: true });
+  else if (brightness < QUALITY_LIMITS.darkWarn) issues.push({ key: 'qualityDim', block: false });
+  else if (brightness > QUALITY_LIMITS.brightBlock) issues.push({ key: 'qualityTooBright', block: true });
+  if (leaf < QUALITY_LIMITS.leafBlock) issues.push({ key: 'qualityNoLeaf', block: true });
+  else if (leaf < QUALITY_LIMITS.leafWarn) issues.push({ key: 'qualityLittleLeaf', block: false });
+  return issues;
+};
+
+// Blur is the variance of a Laplacian over a greyscale copy, exposure the mean brightness and
+// leaf presence the share of the photo on the leaf.
+const assessImageQuality = async (dataUrl) => {
+  const img = await loadImage(dataUrl);
+  const scale = Math.min(1, 256 / Math.max(img.width, img.height));
+  const width = Math.max(3, Math.round(img.width * scale));
+  const height = Math.max(3, Math.round(img.height * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const gray = new Float32Array(width * height);
+  let brightness = 0;
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    brightness += gray[i];
+  }
+  brightness /= gray.length;
+
+  const sharpness = laplacianVariance(gray, width, height);
+  const { coverage: leaf } = await measureLeafColors(dataUrl);
+  return { sharpness, brightness, leaf, issues: gradeImageQuality({ sharpness, brightness, leaf }) };
+};
+
+// Early scans saved a data URL cut to 1000 characters, which browsers cannot render.
+const isRenderableImage = (url) => !!url && !(url.startsWith('data:') && url.length <= 1000);
+
+// --- Workspaces ---
+// A workspace shares scans and plots between farm members under
+// artifacts/{appId}/workspaces/{id}; firestore.rules enforces the roles.
+const WORKSPACE_ROLES = {
+  owner: { labelKey: 'roleOwner', canReview: true, canTrackPlans: true, canShareAll: true },
+  agronomist: { labelKey: 'roleAgronomist', canReview: true, canTrackPlans: true },
+  fieldWorker: { labelKey: 'roleFieldWorker', canReview: false }
+};
+const INVITABLE_ROLES = ['agronomist', 'fieldWorker'];
+const WORKSPACE_STORAGE_KEY = 'doctor-planet-workspace';
+
+const inviteKey = (email) => email.trim().toLowerCase();
+
+// An override replaces the displayed diagnosis; the AI's answer stays on the document.
+const withReview = (scan, entries = BUNDLED_ENCYCLOPEDIA.entries) => {
+  const review = scan.review;
+  if (review?.status !== 'overridden') return scan;
+  const entry = review.entryId && findEncyclopediaEntry(review.entryId, entries);
+  const diagnosis = review.outcome === 'healthy'
+    ? { ...HEALTHY_RESULT, plant: scan.plant }
+    : entry ? entryToReport(entry, 'en') : { name: review.name, severity: review.severity };
+  return { ...scan, ...diagnosis, outcome: review.outcome, ai: { name: scan.name, severity: scan.severity, outcome: scan.outcome, entryId: scan.entryId || null } };
+};
+
+// --- Report Export ---
+const SHARED_REPORT_FIELDS = ['name', 'plant', 'severity', 'confidence', 'outcome', 'symptoms', 'treatment', 'candidates', 'plan', 'imagePath', 'timestamp'];
+const SHARED_REVIEW_FIELDS = ['status', 'outcome', 'entryId', 'name', 'severity'];
+const CSV_COLUMNS = ['date', 'name', 'plant', 'outcome', 'severity', 'confidence', 'plot', 'latitude', 'longitude', 'symptoms', 'treatment', 'imageUrl'];
+
+const pickFields = (source, fields) => Object.fromEntries(fields.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+
+// The public copy of a scan as stored, which firestore.rules compares field by field. The photo goes
+// by its storage path, readable only while the scan has a share link, and the review without the reviewer.
+export const toSharedReport = (scan) => ({
+  ...pickFields(scan, SHARED_REPORT_FIELDS),
+  ...(scan.review && { review: pickFields(scan.review, SHARED_REVIEW_FIELDS) })
+});
+
+const shareUrl = (token) => `${window.location.origin}${window.location.pathname}?report=${token}`;
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Storage URLs are fetched and inlined; a report without a readable photo still exports.
+const loadImageDataUrl = async (url) => {
+  if (!isRenderableImage(url)) return null;
+  if (url.startsWith('data:')) return url;
+  try {
+    return await blobToDataUrl(await (await fetch(url)).blob());
+  } catch (err) {
+    console.warn("Could not embed report image", err);
+    return null;
+  }
+};
+
+// jsPDF's built-in fonts only cover Latin text and it does no shaping, which Devanagari and Kannada
+// need to join letters and place vowel signs. Lines in other scripts are drawn by the browser on a
+// canvas, with the device's own fonts, and placed in the PDF as images.
+const PDF_RASTER_SCALE = 12; // canvas pixels per mm
+const PT_TO_MM = 25.4 / 72;
+const needsRaster = (text) => /[^\u0000-\u00FF]/.test(text);
+
+const rasterFont = (sizePt) => `${Math.round(sizePt * PT_TO_MM * PDF_RASTER_SCALE)}px sans-serif`;
+
+// Width in mm of `text` as the canvas will draw it.
+const rasterMeasure = (sizePt) => {
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.font = rasterFont(sizePt);
+  return (text) => ctx.measureText(text).width / PDF_RASTER_SCALE;
+};
+
+const rasterLine = (text, sizePt, color) => {
+  const fontPx = Math.round(sizePt * PT_TO_MM * PDF_RASTER_SCALE);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(rasterMeasure(sizePt)(text) * PDF_RASTER_SCALE) + 4);
+  canvas.height = Math.ceil(fontPx * 1.5);
+  const ctx = canvas.getContext('2d');
+  ctx.font = rasterFont(sizePt);
+  ctx.fillStyle = `rgb(${color.join(',')})`;
+  ctx.fillText(text, 0, fontPx * 1.1);
+  return {
+    dataUrl: canvas.toDataURL('image/png'),
+    width: canvas.width / PDF_RASTER_SCALE,
+    height: canvas.height / PDF_RASTER_SCALE,
+    baseline: fontPx * 1.1 / PDF_RASTER_SCALE
+  };
+};
+
+// Greedy word wrap by the caller's measure; a word wider than the line gets a line of its own
+// rather than being split inside a syllable.
+export const wrapText = (text, maxWidth, measure) => text.split('\n').flatMap(paragraph => {
+  const lines = [];
+  let line = '';
+  for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && measure(candidate) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  return [...lines, line];
+});
+
+const exportReportPdf = async (report, lang = 'en') => {
+  const t = (key, vars) => translate(lang, key, vars);
+  const scan = localizeResult(report, lang);
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const margin = 18;
+  const width = 210 - margin * 2;
+  const bottom = pdf.internal.pageSize.getHeight() - margin;
+  let y = margin + 4;
+  const ensureSpace = (height) => {
+    if (y + height <= bottom) return;
+    pdf.addPage();
+    y = margin;
+  };
+
+  let size = 11;
+  let color = [40, 40, 40];
+  const style = (nextSize, nextColor) => {
+    size = nextSize;
+    color = nextColor;
+    pdf.setFontSize(size);
+    pdf.setTextColor(...color);
+  };
+  const write = (text) => {
+    if (!needsRaster(text)) return pdf.text(text, margin, y);
+    const line = rasterLine(text, size, color);
+    pdf.addImage(line.dataUrl, 'PNG', margin, y - line.baseline, line.width, line.height);
+  };
+  const wrap = (text) => needsRaster(text) ? wrapText(text, width, rasterMeasure(size)) : pdf.splitTextToSize(text, width);
+
+  style(18, [22, 163, 74]);
+  write(t('pdfTitle'));
+  y += 7;
+  style(10, [120, 120, 120]);
+  write(t('scannedOn', { date: new Date(scan.timestamp || Date.now()).toLocaleString() }));
+  y += 10;
+
+  const image = await loadImageDataUrl(scan.imageUrl || scan.thumbnailUrl);
+  if (image) {
+    const { width: w, height: h } = pdf.getImageProperties(image);
+    const imageHeight = Math.min(90, width * h / w);
+    pdf.addImage(image, image.startsWith('data:image/png') ? 'PNG' : 'JPEG', margin, y, imageHeight * w / h, imageHeight);
+    y += imageHeight + 10;
+  }
+
+  style(16, [20, 20, 20]);
+  write(scan.name);
+  y += 7;
+  style(11, [80, 80, 80]);
+  const severity = scan.outcome === 'healthy' ? t('healthy') : t('riskLevel', { level: severityLabel(scan, lang) });
+  write([scan.plant, severity, formatConfidence(scan.confidence) && t('confidence', { value: formatConfidence(scan.confidence) })].filter(Boolean).join('  |  '));
+  y += 12;
+
+  // Sections break across pages line by line; the title stays with at least its first lines.
+  const section = (title, body) => {
+    if (!body) return;
+    style(11, [40, 40, 40]);
+    const lines = wrap(body);
+    ensureSpace(5 + Math.min(lines.length, 3) * 5);
+    style(9, [150, 150, 150]);
+    write(title.toUpperCase());
+    y += 5;
+    style(11, [40, 40, 40]);
+    lines.forEach(line => {
+      ensureSpace(5);
+      write(line);
+      y += 5;
+    });
+    y += 6;
+  };
+
+  section(t('symptoms'), scan.symptoms);
+  section(t('recommendedTreatment'), scan.treatment);
+  if (scan.plan) {
+    section(t('treatmentPlan'), [
+      ...scan.plan.actions.map((a, i) => `${i + 1}. ${a}`),
+      scan.plan.product && `${t('product')}: ${scan.plan.product}`,
+      scan.plan.dose && `${t('dose')}: ${scan.plan.dose}`,
+      t('pdfSchedule', { days: scan.plan.intervalDays, repeats: scan.plan.repeats })
+    ].filter(Boolean).join('\n'));
+  }
+  if (scan.candidates?.length > 1) {
+    section(t('differentialDiagnoses'), scan.candidates.map(c => `${c.name} (${formatConfidence(c.confidence)})`).join('\n'));
+  }
+
+  pdf.save(`doctor-planet-${slugify(scan.name)}-${new Date(scan.timestamp || Date.now()).toISOString().slice(0, 10)}.pdf`);
+};
+
+// Text starting like a formula (= + - @, tab, CR) gets a leading ' so spreadsheets show it instead
+// of running it; model and import text ends up here. Numbers such as negative latitudes are left as-is.
+export const csvCell = (value) => {
+  const raw = value == null ? '' : String(value);
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const scansToCsv = (scans, plots) => [
+  CSV_COLUMNS.join(','),
+  ...scans.map(s => [
+    new Date(s.timestamp).toISOString(),
+    s.name,
+    s.plant,
+    s.outcome,
+    s.outcome === 'healthy' ? '' : normalizeSeverity(s.severity),
+    s.confidence,
+    plots.find(p => p.id === s.plotId)?.name,
+    s.location?.lat,
+    s.location?.lng,
+    s.symptoms,
+    s.treatment,
+    isRenderableImage(s.imageUrl) ? s.imageUrl : ''
+  ].map(csvCell).join(','))
+].join('\n');
+
+// --- Scan Analytics ---
+// History is paged in from Firestore newest-first; the dashboard walks the same
+// ordering in larger pages and keeps only running totals, never the documents.
+const SCAN_PAGE_SIZE = 50;
+const FIRST_HISTORY_PAGE = { after: null, end: null };
+const ANALYTICS_PAGE_SIZE = 500;
+const ANALYTICS_PERIODS = [3, 6, 12];
+const SEVERITY_BAR_COLORS = { Low: 'bg-green-300', Medium: 'bg-yellow-400', High: 'bg-red-400', Critical: 'bg-red-600' };
+
+const monthKey = (timestamp) => {
+  const d = new Date(timestamp);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const monthLabel = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1).toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+};
+
+// Month keys from oldest to newest, so empty months still show up in trends.
+const recentMonths = (count) => Array.from({ length: count }, (_, i) => {
+  const d = new Date();
+  return monthKey(new Date(d.getFullYear(), d.getMonth() - (count - 1 - i), 1));
+});
+
+export const emptyAnalytics = (months) => ({
+  total: 0,
+  sameDays: { current: 0, previous: 0 },
+  months: Object.fromEntries(months.map(m => [m, { total: 0, diseased: 0, severity: { Low: 0, Medium: 0, High: 0, Critical: 0 } }])),
+  crops: {},
+  plots: {}
+});
+
+// `sameDays` compares this month so far with the same stretch of last month, so an
+// unfinished month isn't measured against a full one.
+export const addToAnalytics = (stats, scans, now = new Date()) => {
+  const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+  const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime();
+  const elapsed = now.getTime() - thisMonth;
+  scans.forEach(s => {
+    if (s.outcome === 'retake') return;
+    const month = stats.months[monthKey(s.timestamp)];
+    if (!month) return;
+    stats.total++;
+    month.total++;
+    if (scanOutcome(s) !== 'disease') return;
+    month.diseased++;
+    if (s.timestamp >= thisMonth) stats.sameDays.current++;
+    else if (s.timestamp >= lastMonth && s.timestamp - lastMonth <= elapsed) stats.sameDays.previous++;
+    month.severity[normalizeSeverity(s.severity)]++;
+    const crop = stats.crops[s.plant || 'Unknown'] ||= {};
+    crop[s.name] = (crop[s.name] || 0) + 1;
+    const plot = stats.plots[s.plotId || 'unassigned'] ||= {};
+    plot[s.name] = (plot[s.name] || 0) + 1;
+  });
+  return stats;
+};
+
+const topCounts = (counts, n) => Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, n);
+
+// --- Treatment Follow-ups ---
+const DAY_MS = 86400000;
+
+// Starting a plan counts as the first application; each further one is due one interval
+// after the previous, and a re-scan is due one interval after the last application.
+export const nextFollowUp = (plan) => {
+  if (!plan?.startedAt || plan.followUpScanId) return null;
+  const applications = plan.applications || 0;
+  const interval = plan.intervalDays * DAY_MS;
+  if (applications < plan.repeats) {
+    return { key: `application-${applications + 1}`, type: 'application', number: applications + 1, dueAt: plan.startedAt + applications * interval };
+  }
+  return { key: 'rescan', type: 'rescan', dueAt: plan.startedAt + plan.repeats * interval };
+};
+
+// Follow-ups still ahead of a started plan, as calendar events with an alarm at the due time. The
+// app only notifies while it is open, so the calendar is what reminds the farmer otherwise.
+export const planToIcs = (plan, title, lang = 'en') => {
+  const interval = plan.intervalDays * DAY_MS;
+  const done = plan.applications || 0;
+  const followUps = [
+    ...Array.from({ length: Math.max(0, plan.repeats - done) }, (_, i) => ({
+      key: `application-${done + i + 1}`, type: 'application', number: done + i + 1, dueAt: plan.startedAt + (done + i) * interval
+    })),
+    { key: 'rescan', type: 'rescan', dueAt: plan.startedAt + plan.repeats * interval }
+  ];
+  const stamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const text = (value) => value.replace(/[\\;,]/g, c => `\\${c}`).replace(/\n/g, '\\n');
+  const events = followUps.flatMap(followUp => {
+    const summary = text(`${title}: ${describeFollowUp(followUp, plan, lang)}`);
+    return [
+      'BEGIN:VEVENT',
+      `UID:${plan.startedAt}-${followUp.key}@doctor-planet`,
+      `DTSTAMP:${stamp(Date.now())}`,
+      `DTSTART:${stamp(followUp.dueAt)}`,
+      'DURATION:PT30M',
+      `SUMMARY:${summary}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${summary}`,
+      'TRIGGER:PT0M',
+      'END:VALARM',
+      'END:VEVENT'
+    ];
+  });
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Doctor Planet//Treatment plan//EN', ...events, 'END:VCALENDAR', ''].join('\r\n');
+};
+
+// Only a usable re-scan closes a plan; a retake leaves it waiting for another photo.
+const closesFollowUp = (result) => result.outcome === 'disease' || result.outcome === 'healthy';
+
+const describeFollowUp = (followUp, plan, lang = 'en') => followUp.type === 'application'
+  ? `${translate(lang, 'followUpApplication', { number: followUp.number, total: plan.repeats })}${plan.product ? `: ${plan.product}` : ''}`
+  : translate(lang, 'followUpRescan');
+
+// Healthy scans rank below every severity, so a cured plant counts as an improvement.
+const healthRank = (scan) => scan.outcome === 'healthy' ? -1 : SEVERITY_LEVELS.indexOf(normalizeSeverity(scan.severity));
+
+// --- Scan Location ---
+const MAP_TILE_URL = typeof __map_tile_url !== 'undefined' ? __map_tile_url : null; // e.g. '/tiles/{z}/{x}/{y}.png'
+const MAP_MAX_ZOOM = typeof __map_max_zoom !== 'undefined' ? __map_max_zoom : 16;
+
+const getCurrentLocation = () => new Promise((resolve) => {
+  if (!navigator.geolocation) return resolve(null);
+  navigator.geolocation.getCurrentPosition(
+    (pos) => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude, accuracy: pos.coords.accuracy, source: 'gps' }),
+    () => resolve(null),
+    { enableHighAccuracy: true, timeout: 8000, maximumAge: 60000 }
+  );
+});
+
+// Reads GPSLatitude/GPSLongitude from a JPEG's EXIF block; null when the photo carries none.
+const readExifLocation = (buffer) => {
+  try {
+    const view = new DataView(buffer);
+    if (view.getUint16(0) !== 0xFFD8) return null;
+    let offset = 2;
+    while (offset + 10 < view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00) return null;
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) return readTiffGps(view, offset + 10);
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch (err) {
+    console.warn("Could not read EXIF data", err);
+  }
+  return null;
+};
+
+const readTiffGps = (view, tiff) => {
+  const little = view.getUint16(tiff) === 0x4949;
+  const u16 = (o) => view.getUint16(o, little);
+  const u32 = (o) => view.getUint32(o, little);
+  const findTag = (ifd, tag) => {
+    for (let i = 0; i < u16(ifd); i++) {
+      const entry = ifd + 2 + i * 12;
+      if (u16(entry) === tag) return entry;
+    }
+    return null;
+  };
+
+  const gpsPointer = findTag(tiff + u32(tiff + 4), 0x8825);
+  if (gpsPointer === null) return null;
+  const gpsIfd = tiff + u32(gpsPointer + 8);
+  const readCoordinate = (tag, refTag) => {
+    const entry = findTag(gpsIfd, tag), refEntry = findTag(gpsIfd, refTag);
+    if (entry === null || refEntry === null) return null;
+    const data = tiff + u32(entry + 8);
+    const rational = (i) => u32(data + i * 8) / u32(data + i * 8 + 4);
+    const value = rational(0) + rational(1) / 60 + rational(2) / 3600;
+    const ref = String.fromCharCode(view.getUint8(refEntry + 8));
+    return ref === 'S' || ref === 'W' ? -value : value;
+  };
+
+  const lat = readCoordinate(0x0002, 0x0001);
+  const lng = readCoordinate(0x0004, 0x0003);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng, source: 'exif' } : null;
+};
+
+// Web Mercator, normalised so the whole world spans 0..1 on both axes.
+const projectLocation = ({ lat, lng }) => {
+  const sin = Math.sin(Math.max(-85, Math.min(85, lat)) * Math.PI / 180);
+  return { x: (lng + 180) / 360, y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI) };
+};
+
+// --- Offline Scan Queue ---
+// Photos captured without connectivity wait here (IndexedDB) until they can be diagnosed and saved.
+// Items: { id, uid, captures: { top, underside?, plant? }, timestamp, status: 'pending' | 'syncing' | 'failed', error, preliminary }
+// (items queued before multi-photo capture carry a single `imageData` instead of `captures`).
+const QUEUE_DB_NAME = 'doctor-planet-queue';
+const QUEUE_STORE = 'scans';
+
+const openQueueDb = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open(QUEUE_DB_NAME, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const queueTransaction = async (mode, run) => {
+  const queueDb = await openQueueDb();
+  return new Promise((resolve, reject) => {
+    const tx = queueDb.transaction(QUEUE_STORE, mode);
+    const req = run(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => { queueDb.close(); resolve(req.result); };
+    tx.onerror = () => { queueDb.close(); reject(tx.error); };
+  });
+};
+
+const scanQueue = {
+  list: async (uid) => (await queueTransaction('readonly', store => store.getAll()))
+    .filter(item => item.uid === uid)
+    .sort((a, b) => a.timestamp - b.timestamp),
+  put: (item) => queueTransaction('readwrite', store => store.put(item)),
+  remove: (id) => queueTransaction('readwrite', store => store.delete(id))
+};
+
+const QUEUE_STATUS = {
+  pending: { label: 'queuePending', className: 'bg-gray-100 text-gray-500' },
+  syncing: { label: 'queueSyncing', className: 'bg-blue-50 text-blue-600' },
+  failed: { label: 'queueFailed', className: 'bg-red-50 text-red-600' }
+};
+
 export default function App() {
   const [user, setUser] = useState(null);
+  // Tracked apart from `user`: upgrading a guest changes the email on the same User object.
+  const [userEmail, setUserEmail] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
-  const [view, setView] = useState('login'); // login, signup, home, scan, history, research
+  const [view, setView] = useState('login'); // login, signup, reset, upgrade, app
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [authError, setAuthError] = useState(null);
+  const [authNotice, setAuthNotice] = useState(null);
+  const [authBusy, setAuthBusy] = useState(false);
   const [activeTab, setActiveTab] = useState('home');
   const [selectedPlant, setSelectedPlant] = useState('All');
-  const [scans, setScans] = useState([]);
+  const [historyPages, setHistoryPages] = useState({ scope: null, pages: [FIRST_HISTORY_PAGE] });
+  const [historyDocs, setHistoryDocs] = useState({});
+  const [activePlans, setActivePlans] = useState([]);
   const [selectedDisease, setSelectedDisease] = useState(null);
   const [isScanning, setIsScanning] = useState(false);
-  const [previewImg, setPreviewImg] = useState(null);
+  const [captures, setCaptures] = useState({});
+  const [activeSlot, setActiveSlot] = useState('top');
+  const [quality, setQuality] = useState({});
+  const [showCamera, setShowCamera] = useState(false);
+  const [queuedScans, setQueuedScans] = useState([]);
+  const [plots, setPlots] = useState([]);
+  const [scanPlotId, setScanPlotId] = useState('');
+  const [historyPlotId, setHistoryPlotId] = useState('all');
+  const [showPlotForm, setShowPlotForm] = useState(false);
+  const [encyclopedia, setEncyclopedia] = useState(BUNDLED_ENCYCLOPEDIA.entries);
+  const [librarySearch, setLibrarySearch] = useState('');
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [followUpOf, setFollowUpOf] = useState(null);
+  const [advisorSeed, setAdvisorSeed] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(null);
+  const [language, setLanguage] = useState(() => {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    return LANGUAGES[saved] ? saved : LANGUAGES[DEFAULT_LANGUAGE] ? DEFAULT_LANGUAGE : 'en';
+  });
+  const [sharedReportId] = useState(() => new URLSearchParams(window.location.search).get('report'));
+  const [comparison, setComparison] = useState(null);
+  const [tagLocation, setTagLocation] = useState(true);
+  const [exifLocation, setExifLocation] = useState(null);
+  const syncingRef = useRef(false);
+  const historyListeners = useRef({});
+  // The queue sync runs from listeners set up at sign-in; this keeps it on the current library.
+  const encyclopediaRef = useRef(encyclopedia);
+  encyclopediaRef.current = encyclopedia;
+  // Captures are prepared and checked asynchronously. The ref holds the latest captures for the next
+  // one to build on, and each slot's token changes on every capture or removal so late results are dropped.
+  const capturesRef = useRef({});
+  const captureTokens = useRef({});
+
+  // Scans and plots live in the active workspace, or under the user when working solo.
+  const dataPath = (name, targetWorkspace = workspaceId) => targetWorkspace
+    ? ['artifacts', appId, 'workspaces', targetWorkspace, name]
+    : ['artifacts', appId, 'users', user.uid, name];
+  const activeRole = workspaces.find(w => w.id === workspaceId)?.role;
+  const authMode = user ? 'upgrade' : ['signup', 'reset'].includes(view) ? view : 'login';
+  const previewImg = captures.top || null;
+  const qualityIssues = Object.values(quality).flatMap(q => q.issues);
+  const qualityBlocked = qualityIssues.some(issue => issue.block) || Object.values(quality).some(q => q.checking);
+  const t = (key, vars) => translate(language, key, vars);
+
+  const changeLanguage = (lang) => {
+    setLanguage(lang);
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+  };
+
+  // Scans keep the English name as their id; show the library's translation when there is one.
+  const diseaseName = (scan) => {
+    const entry = scan.entryId && findEncyclopediaEntry(scan.entryId, encyclopedia);
+    return entry ? localize(entry.name, language) : localizeResult(scan, language).name;
+  };
+
+  const selectHistoryPlot = (id) => setHistoryPlotId(id);
+
+  const selectWorkspace = (id) => {
+    setWorkspaceId(id);
+    if (id) localStorage.setItem(`${WORKSPACE_STORAGE_KEY}:${user.uid}`, id);
+    else localStorage.removeItem(`${WORKSPACE_STORAGE_KEY}:${user.uid}`);
+    setHistoryPlotId('all');
+    setScanPlotId('');
+  };
 
   // --- Auth Effect ---
   useEffect(() => {
@@ -76,344 +2833,2469 @@ export default function App() {
     initAuth();
     const unsubscribe = onAuthStateChanged(auth, (u) => {
       setUser(u);
+      setUserEmail(u?.email || null);
       setAuthLoading(false);
-      if (u) setView('app');
+      setView(u ? 'app' : 'login');
     });
     return () => unsubscribe();
   }, []);
 
   // --- Firestore Effect ---
+  // A plot's history is queried server-side so its timeline isn't limited to the newest page overall.
+  // History is paged with cursors: each page listens to the range after the previous page's last
+  // document, so loading more never re-reads the pages already shown. A page gets a fixed end
+  // (endAt) once another follows it, so scans added or removed above it can't open a gap.
+  // Pages belong to a scope (user, workspace, plot); a new scope starts again from one page.
+  const historyScope = user ? `${user.uid}/${workspaceId}/${historyPlotId}` : null;
+  const currentPages = historyPages.scope === historyScope ? historyPages.pages : [FIRST_HISTORY_PAGE];
+  const pageKey = (page) => `${historyScope}:${page.after?.id || ''}:${page.end?.id || ''}`;
+
+  useEffect(() => {
+    const listeners = historyListeners.current;
+    const wanted = user ? currentPages.map(page => [pageKey(page), page]) : [];
+    const stale = Object.keys(listeners).filter(key => !wanted.some(([k]) => k === key));
+    stale.forEach(key => {
+      listeners[key]();
+      delete listeners[key];
+    });
+    if (stale.length) setHistoryDocs(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => !stale.includes(key))));
+    const plotFilter = ['all', 'unassigned'].includes(historyPlotId) ? [] : [where('plotId', '==', historyPlotId)];
+    wanted.forEach(([key, page]) => {
+      if (listeners[key]) return;
+      const q = query(
+        collection(db, ...dataPath('scans')),
+        ...plotFilter,
+        orderBy('timestamp', 'desc'),
+        ...(page.after ? [startAfter(page.after)] : []),
+        ...(page.end ? [endAt(page.end)] : [limit(SCAN_PAGE_SIZE)])
+      );
+      listeners[key] = onSnapshot(q, (snapshot) => {
+        setHistoryDocs(prev => ({ ...prev, [key]: snapshot.docs }));
+      }, (err) => console.error(err));
+    });
+  }, [user, workspaceId, historyPlotId, historyPages]);
+
+  useEffect(() => () => Object.values(historyListeners.current).forEach(unsubscribe => unsubscribe()), []);
+
+  const scans = useMemo(() => {
+    const seen = new Set();
+    return currentPages
+      .flatMap(page => historyDocs[pageKey(page)] || [])
+      .filter(d => !seen.has(d.id) && seen.add(d.id))
+      .map(d => withReview({ id: d.id, ...d.data() }, encyclopedia));
+  }, [historyDocs, historyPages, historyScope, encyclopedia]);
+
+  const lastPageDocs = historyDocs[pageKey(currentPages[currentPages.length - 1])] || [];
+  const hasOlderScans = lastPageDocs.length >= SCAN_PAGE_SIZE;
+
+  // Closes the last page at its current end and opens the next one after it.
+  const loadOlderScans = () => {
+    const end = lastPageDocs[lastPageDocs.length - 1];
+    setHistoryPages({
+      scope: historyScope,
+      pages: [...currentPages.slice(0, -1), { ...currentPages[currentPages.length - 1], end }, { after: end, end: null }]
+    });
+  };
+
+  // Started plans are watched on their own, however far back in the history they are.
   useEffect(() => {
     if (!user) return;
-    const q = query(collection(db, 'artifacts', appId, 'users', user.uid, 'scans'));
+    const q = query(collection(db, ...dataPath('scans')), where('plan.startedAt', '>', 0));
     const unsubscribe = onSnapshot(q, (snapshot) => {
-      const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setScans(data);
+      setActivePlans(snapshot.docs
+        .map(doc => withReview({ id: doc.id, ...doc.data() }, encyclopedia))
+        .filter(scan => nextFollowUp(scan.plan)));
     }, (err) => console.error(err));
     return () => unsubscribe();
-  }, [user]);
+  }, [user, workspaceId, encyclopedia]);
 
-  // --- Gemini API Logic ---
-  const callGemini = async (prompt, imageData = null) => {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
-    const isImage = !!imageData;
-    
-    const payload = {
-      contents: [{
-        parts: [
-          { text: prompt },
-          ...(isImage ? [{ inlineData: { mimeType: "image/png", data: imageData.split(',')[1] } }] : [])
-        ]
-      }],
-      generationConfig: {
-        responseMimeType: "application/json",
-        responseSchema: {
-          type: "OBJECT",
-          properties: {
-            name: { type: "STRING" },
-            plant: { type: "STRING" },
-            symptoms: { type: "STRING" },
-            treatment: { type: "STRING" },
-            severity: { type: "STRING" }
-          }
+  // --- Plots Effect ---
+  useEffect(() => {
+    if (!user) return;
+    const q = query(collection(db, ...dataPath('plots')));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setPlots(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (err) => console.error(err));
+    return () => unsubscribe();
+  }, [user, workspaceId]);
+
+  // --- Workspace Effect ---
+  // Memberships are found through the `uid` on each members/{uid} doc; invites by email.
+  useEffect(() => {
+    if (!user) return;
+    setWorkspaceId(localStorage.getItem(`${WORKSPACE_STORAGE_KEY}:${user.uid}`));
+    const unsubscribe = onSnapshot(query(collectionGroup(db, 'members'), where('uid', '==', user.uid)), (snapshot) => {
+      const list = snapshot.docs
+        .filter(d => d.ref.parent.parent.parent.parent.id === appId)
+        .map(d => ({ id: d.ref.parent.parent.id, name: d.data().workspaceName, role: d.data().role }));
+      setWorkspaces(list);
+      // Drop a remembered workspace the user was removed from (only trust server results).
+      if (!snapshot.metadata.fromCache) setWorkspaceId(id => list.some(w => w.id === id) ? id : null);
+    }, (err) => console.error(err));
+    return () => unsubscribe();
+  }, [user]);
+
+  useEffect(() => {
+    if (!userEmail) {
+      setInvites([]);
+      return;
+    }
+    const q = query(collectionGroup(db, 'invites'), where('email', '==', inviteKey(userEmail)));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setInvites(snapshot.docs
+        .filter(d => d.ref.parent.parent.parent.parent.id === appId)
+        .map(d => ({ workspaceId: d.ref.parent.parent.id, ...d.data() })));
+    }, (err) => console.error(err));
+    return () => unsubscribe();
+  }, [userEmail]);
+
+  // --- Encyclopedia Effect ---
+  useEffect(() => {
+    if (!user) return;
+    user.getIdTokenResult().then(token => setIsAdmin(!!token.claims.admin)).catch(() => setIsAdmin(false));
+    const q = query(collection(db, 'artifacts', appId, 'public', 'data', 'encyclopedia'));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const remote = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      setEncyclopedia(mergeEncyclopedia(BUNDLED_ENCYCLOPEDIA.entries, remote));
+    }, (err) => console.error(err));
+    return () => unsubscribe();
+  }, [user]);
+
+  // --- Follow-up Effects ---
+  // Keep an open report in step with its Firestore document (plan progress, follow-up links).
+  useEffect(() => {
+    setSelectedDisease(prev => prev?.id ? [...scans, ...activePlans].find(s => s.id === prev.id) || prev : prev);
+  }, [scans, activePlans]);
+
+  useEffect(() => {
+    setComparison(null);
+    if (!user || !selectedDisease?.id) return;
+    const otherId = selectedDisease.followUpOf || selectedDisease.plan?.followUpScanId;
+    if (!otherId) return;
+    let cancelled = false;
+    getDoc(scanDoc(otherId)).then(snap => {
+      if (cancelled || !snap.exists()) return;
+      const other = withReview({ id: snap.id, ...snap.data() }, encyclopedia);
+      setComparison(selectedDisease.followUpOf ? { before: other, after: selectedDisease } : { before: selectedDisease, after: other });
+    }).catch(err => console.error(err));
+    return () => { cancelled = true; };
+  }, [user, workspaceId, encyclopedia, selectedDisease?.id, selectedDisease?.followUpOf, selectedDisease?.plan?.followUpScanId]);
+
+  // Checks once a minute for due applications/re-scans and notifies once per step. This only runs
+  // while the app is open; the plan's calendar export (planToIcs) covers the rest of the time.
+  useEffect(() => {
+    if (!user) return;
+    const checkReminders = () => {
+      // In a workspace only the scan's author is reminded (and records the reminder).
+      activePlans.forEach(scan => {
+        if (scan.authorUid && scan.authorUid !== user.uid) return;
+        const followUp = nextFollowUp(scan.plan);
+        if (!followUp || followUp.dueAt > Date.now() || scan.plan.remindedFor === followUp.key) return;
+        if ('Notification' in window && Notification.permission === 'granted') {
+          new Notification(t('followUpNotification', { name: diseaseName(scan) }), { body: describeFollowUp(followUp, scan.plan, language), tag: `${scan.id}-${followUp.key}` });
         }
-      }
+        updateDoc(scanDoc(scan.id), { 'plan.remindedFor': followUp.key })
+          .catch(err => console.error(err));
+      });
     };
+    checkReminders();
+    const timer = setInterval(checkReminders, 60000);
+    return () => clearInterval(timer);
+  }, [user, activePlans, workspaceId, language, encyclopedia]);
 
-    for (let i = 0; i < 5; i++) {
-      try {
-        const res = await fetch(url, { method: 'POST', body: JSON.stringify(payload) });
-        const data = await res.json();
-        return JSON.parse(data.candidates[0].content.parts[0].text);
-      } catch (e) {
-        await new Promise(r => setTimeout(r, Math.pow(2, i) * 1000));
+  // --- Offline Queue Effect ---
+  // Also retries every few minutes, for items left queued by a transient provider or upload error.
+  useEffect(() => {
+    if (!user) return;
+    processQueue();
+    window.addEventListener('online', processQueue);
+    const timer = setInterval(processQueue, 5 * 60000);
+    return () => {
+      window.removeEventListener('online', processQueue);
+      clearInterval(timer);
+    };
+  }, [user]);
+
+  const switchAuthView = (next) => {
+    setAuthError(null);
+    setAuthNotice(null);
+    setView(next);
+  };
+
+  const describeAuthError = (err) => AUTH_ERRORS[err.code] ? t(AUTH_ERRORS[err.code]) : err.message;
+
+  const handleAuthSubmit = async (e) => {
+    e.preventDefault();
+    setAuthError(null);
+    setAuthNotice(null);
+    setAuthBusy(true);
+    try {
+      if (authMode === 'signup') {
+        await createUserWithEmailAndPassword(auth, email, password);
+      } else if (authMode === 'reset') {
+        await sendPasswordResetEmail(auth, email);
+        setView('login');
+        setAuthNotice(t('resetSent', { email }));
+      } else if (authMode === 'upgrade') {
+        const linked = await upgradeGuestAccount(auth.currentUser, email, password);
+        setUserEmail(linked.email);
+        setView('app');
+      } else {
+        await signInWithEmailAndPassword(auth, email, password);
       }
+      setPassword('');
+    } catch (err) {
+      setAuthError(describeAuthError(err));
+    } finally {
+      setAuthBusy(false);
     }
-    throw new Error("AI Service Unavailable");
   };
 
-  const handleLogin = async (e) => {
-    e.preventDefault();
-    setAuthLoading(true);
-    await signInAnonymously(auth);
+  const continueAsGuest = () => {
+    setAuthError(null);
+    setAuthNotice(null);
+    signInAnonymously(auth).catch(err => setAuthError(describeAuthError(err)));
+  };
+
+  // Save to Firestore, with the photos in Storage under the same scan id. Queued scans pass
+  // `uploadRequired`: their photo exists nowhere else, so a failed upload is retried later.
+  const saveScan = async (result, captures, fields = {}, { targetWorkspace = workspaceId, uploadRequired = false } = {}) => {
+    const scanRef = doc(collection(db, ...dataPath('scans', targetWorkspace)));
+    let images = {};
+    try {
+      images = await uploadScanImages(scanRef.path, captures);
+    } catch (err) {
+      if (uploadRequired) throw new DiagnosisError('diagnosisUploadFailed', { transient: true });
+      console.error("Image upload failed, saving diagnosis without photo", err);
+    }
+    await setDoc(scanRef, {
+      ...result,
+      timestamp: Date.now(),
+      ...(targetWorkspace && { authorUid: user.uid, authorEmail: user.email || null }),
+      ...fields,
+      ...images
+    });
+    return scanRef.id;
+  };
+
+  const refreshQueue = async () => {
+    if (user) setQueuedScans(await scanQueue.list(user.uid));
+  };
+
+  // Diagnoses and saves queued photos oldest-first; stops early if connectivity drops again.
+  const processQueue = async () => {
+    if (!user || syncingRef.current || !navigator.onLine) return;
+    syncingRef.current = true;
+    try {
+      for (const item of await scanQueue.list(user.uid)) {
+        if (item.status === 'failed') continue;
+        await scanQueue.put({ ...item, status: 'syncing' });
+        await refreshQueue();
+        try {
+          const captures = item.captures || { top: item.imageData };
+          const result = await diagnoseWithPrimary(item.prompt || SCAN_PROMPT, captureList(captures), encyclopediaRef.current);
+          const targetWorkspace = item.workspaceId || null;
+          const followUpOf = item.followUpOf && closesFollowUp(result) ? item.followUpOf : null;
+          const scanId = await saveScan(result, captures, { timestamp: item.timestamp, plotId: item.plotId || null, location: item.location || null, followUpOf, capturedOffline: true }, { targetWorkspace, uploadRequired: true });
+          if (followUpOf) await linkFollowUp(followUpOf, scanId, targetWorkspace);
+          await scanQueue.remove(item.id);
+        } catch (err) {
+          const offline = !navigator.onLine || (err instanceof DiagnosisError && err.transient);
+          await scanQueue.put({
+            ...item,
+            status: offline ? 'pending' : 'failed',
+            error: err.message,
+            ...(err instanceof DiagnosisError && { errorCode: err.code, errorVars: err.vars })
+          });
+          if (offline) break;
+        }
+      }
+    } catch (err) {
+      console.error("Offline queue sync failed", err);
+    } finally {
+      syncingRef.current = false;
+      await refreshQueue();
+    }
+  };
+
+  const retryQueuedScan = async (item) => {
+    await scanQueue.put({ ...item, status: 'pending', error: null });
+    await refreshQueue();
+    processQueue();
+  };
+
+  const discardQueuedScan = async (item) => {
+    await scanQueue.remove(item.id);
+    await refreshQueue();
+  };
+
+  const savePlot = async (plot) => {
+    await addDoc(collection(db, ...dataPath('plots')), { ...plot, createdAt: Date.now() });
+    setShowPlotForm(false);
+  };
+
+  const deletePlot = async (plotId) => {
+    if (!confirm(t('confirmDeletePlot'))) return;
+    const assigned = await getDocs(query(collection(db, ...dataPath('scans')), where('plotId', '==', plotId)));
+    await commitInBatches(assigned.docs, (batch, d) => batch.update(d.ref, { plotId: null }));
+    await deleteDoc(doc(db, ...dataPath('plots'), plotId));
+    setHistoryPlotId('all');
+    setScanPlotId(id => id === plotId ? '' : id);
+  };
+
+  // Writes validated entries in batches of 500; the snapshot listener merges them into the library.
+  // Entries are keyed by id, so after a partial failure the same file can simply be imported again.
+  const importEncyclopedia = async (rawEntries) => {
+    const entries = rawEntries.map(raw => validateEncyclopediaEntry(raw, findEncyclopediaEntry(raw.id || localize(raw.name, 'en'), encyclopedia), language));
+    try {
+      await commitInBatches(entries, (batch, entry) => {
+        batch.set(doc(db, 'artifacts', appId, 'public', 'data', 'encyclopedia', entry.id), { ...entry, updatedAt: Date.now(), updatedBy: user.uid });
+      });
+    } catch (err) {
+      if (!err.committed) throw err;
+      throw new Error(t('importPartial', { count: err.committed, total: entries.length, error: err.message }));
+    }
+    return entries.length;
+  };
+
+  const scanDoc = (scanId, targetWorkspace = workspaceId) => doc(db, ...dataPath('scans', targetWorkspace), scanId);
+
+  const startPlan = async (scan) => {
+    if ('Notification' in window && Notification.permission === 'default') await Notification.requestPermission();
+    await updateDoc(scanDoc(scan.id), { 'plan.startedAt': Date.now(), 'plan.applications': 1 });
+  };
+
+  const recordApplication = (scan) =>
+    updateDoc(scanDoc(scan.id), { 'plan.applications': (scan.plan.applications || 0) + 1 });
+
+  // Mirrors firestore.rules: in a workspace, plan progress is for the scan's author, owners and
+  // agronomists, and share links are for the author and owners.
+  const isOwnScan = (scan) => !workspaceId || scan.authorUid === user?.uid;
+  const canTrackPlan = (scan) => isOwnScan(scan) || !!WORKSPACE_ROLES[activeRole]?.canTrackPlans;
+  const canShareScan = (scan) => isOwnScan(scan) || !!WORKSPACE_ROLES[activeRole]?.canShareAll;
+
+  // Shared reports are copies in a public collection keyed by an unguessable token,
+  // so the original scan (and every other scan) stays private. The copy is made from the
+  // stored scan and written in one batch with the scan's shareToken.
+  const shareReport = async (scan) => {
+    const token = crypto.randomUUID().replace(/-/g, '');
+    const stored = await getDoc(scanDoc(scan.id));
+    const batch = writeBatch(db);
+    batch.update(scanDoc(scan.id), { shareToken: token });
+    batch.set(doc(db, 'artifacts', appId, 'public', 'data', 'sharedReports', token), {
+      ownerUid: user.uid,
+      workspaceId: workspaceId || null,
+      scanId: scan.id,
+      createdAt: Date.now(),
+      report: toSharedReport(stored.data())
+    });
+    await batch.commit();
+    navigator.clipboard?.writeText(shareUrl(token)).catch(() => {});
+  };
+
+  const revokeShare = async (scan) => {
+    const batch = writeBatch(db);
+    batch.delete(doc(db, 'artifacts', appId, 'public', 'data', 'sharedReports', scan.shareToken));
+    batch.update(scanDoc(scan.id), { shareToken: null });
+    await batch.commit();
+  };
+
+  // Date range is queried server-side; crop is filtered here to avoid a composite index.
+  const exportHistory = async ({ from, to, crop, format }) => {
+    const q = query(
+      collection(db, ...dataPath('scans')),
+      where('timestamp', '>=', from),
+      where('timestamp', '<=', to),
+      orderBy('timestamp')
+    );
+    const rows = (await getDocs(q)).docs
+      .map(doc => withReview({ id: doc.id, ...doc.data() }, encyclopedia))
+      .filter(s => crop === 'All' || s.plant === crop);
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+      downloadBlob(new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' }), `doctor-planet-history-${stamp}.json`);
+    } else {
+      downloadBlob(new Blob([scansToCsv(rows, plots)], { type: 'text/csv' }), `doctor-planet-history-${stamp}.csv`);
+    }
+    return rows.length;
+  };
+
+  // Reviews are stored whole so a later confirm/override replaces the previous one.
+  const reviewScan = (scan, review) =>
+    updateDoc(scanDoc(scan.id), {
+      review: { ...review, reviewerUid: user.uid, reviewerEmail: user.email || null, reviewedAt: Date.now() }
+    });
+
+  const linkFollowUp = (originalId, followUpId, targetWorkspace = workspaceId) =>
+    updateDoc(scanDoc(originalId, targetWorkspace), { 'plan.followUpScanId': followUpId, 'plan.rescannedAt': Date.now() });
+
+  const startFollowUpScan = (scan) => {
+    setFollowUpOf(scan);
+    setScanPlotId(scan.plotId || '');
+    clearCaptures();
+    setSelectedDisease(null);
+    setActiveTab('scan');
   };
 
   const handleScan = async () => {
-    if (!previewImg) return;
+    if (!previewImg || qualityBlocked) return;
     setIsScanning(true);
+    const basePrompt = buildScanPrompt(plots.find(p => p.id === scanPlotId), language) + describeCaptures(captures);
+    const prompt = followUpOf
+      ? `${basePrompt} This is a follow-up photo of the same plant, previously diagnosed with ${followUpOf.name} (${normalizeSeverity(followUpOf.severity)}) and treated since.`
+      : basePrompt;
+    const plotId = scanPlotId || null;
+    const followUpId = followUpOf?.id || null;
+    const images = captureList(captures);
+    const photos = extraPhotos(captures);
+    // Keeps the photo for a full diagnosis later; shows the on-device estimate meanwhile.
+    const queueScan = async (location, notice) => {
+      const preliminary = await diagnoseOnDevice(prompt, images, encyclopedia).catch(() => null);
+      await scanQueue.put({ id: crypto.randomUUID(), uid: user.uid, workspaceId, captures, prompt, plotId, location, followUpOf: followUpId, timestamp: Date.now(), status: 'pending', preliminary });
+      await refreshQueue();
+      setFollowUpOf(null);
+      if (preliminary) setSelectedDisease({ ...preliminary, imageUrl: previewImg, photos, pending: true });
+      else alert(t(notice));
+    };
     try {
-      const result = await callGemini("Analyze this plant leaf for diseases. Provide scientific details.", previewImg);
-      setSelectedDisease(result);
-      // Save to Firestore
+      const location = tagLocation ? (exifLocation || await getCurrentLocation()) : null;
+      if (user && !navigator.onLine) return await queueScan(location, 'offlineQueued');
+      let result;
+      try {
+        result = await diagnose(prompt, images, encyclopedia);
+      } catch (err) {
+        // Online but the provider is busy or unreachable even after retries.
+        if (user && err instanceof DiagnosisError && err.transient) return await queueScan(location, 'providerQueued');
+        throw err;
+      }
+      const linkedId = followUpId && closesFollowUp(result) ? followUpId : null;
+      setSelectedDisease({ ...result, imageUrl: previewImg, photos, followUpOf: linkedId });
       if (user) {
-        await addDoc(collection(db, 'artifacts', appId, 'users', user.uid, 'scans'), {
-          ...result,
-          timestamp: Date.now(),
-          imageUrl: previewImg.substring(0, 1000) // Storing thumbnail/shorthand for demo
-        });
+        const scanId = await saveScan(result, captures, { plotId, location, followUpOf: linkedId });
+        if (linkedId) await linkFollowUp(linkedId, scanId);
+        setSelectedDisease(prev => prev && !prev.id && prev.imageUrl === previewImg ? { ...prev, id: scanId } : prev);
+      }
+      // A retake keeps the follow-up open for the next photo.
+      if (result.outcome !== 'retake') setFollowUpOf(null);
+    } catch (err) {
+      alert(describeError(err, language));
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  const updateCaptures = (next) => {
+    capturesRef.current = next;
+    setCaptures(next);
+  };
+
+  const invalidateCapture = (slot) => {
+    captureTokens.current[slot] = (captureTokens.current[slot] || 0) + 1;
+    return captureTokens.current[slot];
+  };
+
+  const clearCaptures = () => {
+    CAPTURE_SLOTS.forEach(slot => invalidateCapture(slot.id));
+    updateCaptures({});
+    setQuality({});
+    setActiveSlot('top');
+    setExifLocation(null);
+  };
+
+  // Shrinks the photo, checks it and moves on to the next empty slot. A newer capture or a removal
+  // of the same slot while this one is being prepared or checked wins over its result.
+  // A photo the browser can't decode (e.g. HEIC) can't be checked or uploaded, so it blocks the scan.
+  const addCapture = async (slot, dataUrl) => {
+    const token = invalidateCapture(slot);
+    const isCurrent = () => captureTokens.current[slot] === token;
+    setQuality(prev => ({ ...prev, [slot]: { checking: true, issues: [] } }));
+    const image = await prepareScanImage(dataUrl);
+    if (!isCurrent()) return;
+    const next = { ...capturesRef.current, [slot]: image };
+    updateCaptures(next);
+    setActiveSlot(CAPTURE_SLOTS.find(s => !next[s.id])?.id || slot);
+    let report;
+    try {
+      report = await assessImageQuality(image);
+    } catch (err) {
+      console.warn("Photo quality check failed", err);
+      report = { issues: [{ key: 'qualityUnreadable', block: true }] };
+    }
+    if (isCurrent()) setQuality(prev => ({ ...prev, [slot]: report }));
+  };
+
+  const removeCapture = (slot) => {
+    invalidateCapture(slot);
+    const { [slot]: _, ...rest } = capturesRef.current;
+    updateCaptures(rest);
+    setQuality(({ [slot]: _, ...rest }) => rest);
+    if (slot === 'top') setExifLocation(null);
+    setActiveSlot(slot);
+  };
+
+  const onFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      const slot = activeSlot;
+      const reader = new FileReader();
+      reader.onload = (ev) => addCapture(slot, ev.target.result);
+      reader.readAsDataURL(file);
+      if (slot === 'top') {
+        setExifLocation(null);
+        file.arrayBuffer().then(buffer => setExifLocation(readExifLocation(buffer)));
       }
+    }
+  };
+
+  const onCameraCapture = (dataUrl) => {
+    setShowCamera(false);
+    if (activeSlot === 'top') setExifLocation(null);
+    addCapture(activeSlot, dataUrl);
+  };
+
+  // --- UI Components ---
+  if (sharedReportId) return <SharedReportView t={t} language={language} onLanguageChange={changeLanguage} reportId={sharedReportId} />;
+
+  if (authLoading) return <div className="h-screen flex items-center justify-center bg-green-50"><Sparkles className="animate-spin text-green-600" /></div>;
+
+  const libraryCrops = ['All', ...[...new Set(encyclopedia.map(e => e.plant))].sort()];
+  const libraryEntries = searchEncyclopedia(encyclopedia, librarySearch)
+    .filter(e => selectedPlant === 'All' || e.plant === selectedPlant);
+
+  const dueFollowUps = activePlans
+    .map(scan => ({ scan, followUp: nextFollowUp(scan.plan) }))
+    .filter(({ followUp }) => followUp && followUp.dueAt <= Date.now());
+
+  const visibleScans = historyPlotId === 'all'
+    ? scans
+    : scans.filter(s => (plots.some(p => p.id === s.plotId) ? s.plotId : 'unassigned') === historyPlotId);
+
+  if (!user || view === 'upgrade') {
+    return (
+      <div className="min-h-screen bg-white flex flex-col items-center justify-center p-6">
+        <div className="w-full max-w-md space-y-8">
+          <div className="text-center">
+            <div className="mx-auto h-16 w-16 bg-green-600 rounded-2xl flex items-center justify-center text-white shadow-lg shadow-green-200">
+              <Leaf size={32} />
+            </div>
+            <h1 className="mt-6 text-3xl font-bold text-gray-900">Doctor Planet Pro</h1>
+            <p className="mt-2 text-sm text-gray-600">
+              {t(authMode === 'upgrade' ? 'upgradeTagline' : 'tagline')}
+            </p>
+            <LanguagePicker value={language} onChange={changeLanguage} label={t('language')} className="mt-4 mx-auto" />
+          </div>
+
+          <form className="mt-8 space-y-4" onSubmit={handleAuthSubmit}>
+            <input type="email" placeholder={t('emailPlaceholder')} value={email} onChange={e => setEmail(e.target.value)} autoComplete="email" className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:ring-2 focus:ring-green-500 outline-none" required />
+            {authMode !== 'reset' && (
+              <input type="password" placeholder={t('passwordPlaceholder')} value={password} onChange={e => setPassword(e.target.value)} autoComplete={authMode === 'login' ? 'current-password' : 'new-password'} minLength={6} className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:ring-2 focus:ring-green-500 outline-none" required />
+            )}
+            {authError && <p className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-xl px-4 py-2">{authError}</p>}
+            {authNotice && <p className="text-sm text-green-700 bg-green-50 border border-green-100 rounded-xl px-4 py-2">{authNotice}</p>}
+            <button type="submit" disabled={authBusy} className="w-full bg-green-600 disabled:bg-gray-300 text-white py-4 rounded-xl font-bold hover:bg-green-700 transition-colors shadow-lg shadow-green-100">
+              {t(authBusy ? 'pleaseWait' : { login: 'signIn', signup: 'createAccount', reset: 'sendResetLink', upgrade: 'saveAccount' }[authMode])}
+            </button>
+          </form>
+
+          <div className="text-center space-y-4">
+            {authMode === 'login' && (
+              <div className="flex justify-between">
+                <button onClick={() => switchAuthView('signup')} className="text-sm text-green-600 font-medium">{t('createNewAccount')}</button>
+                <button onClick={() => switchAuthView('reset')} className="text-sm text-gray-500 font-medium">{t('forgotPassword')}</button>
+              </div>
+            )}
+            {(authMode === 'signup' || authMode === 'reset') && (
+              <button onClick={() => switchAuthView('login')} className="text-sm text-green-600 font-medium">{t('backToSignIn')}</button>
+            )}
+            {authMode === 'upgrade' ? (
+              <button onClick={() => switchAuthView('app')} className="text-sm text-gray-500 font-medium">{t('notNow')}</button>
+            ) : (
+              <>
+                <div className="relative">
+                  <div className="absolute inset-0 flex items-center"><div className="w-full border-t border-gray-200"></div></div>
+                  <div className="relative flex justify-center text-sm"><span className="px-2 bg-white text-gray-500">{t('orContinueWith')}</span></div>
+                </div>
+                <button onClick={continueAsGuest} className="w-full border border-gray-200 py-3 rounded-xl flex items-center justify-center gap-2 font-medium hover:bg-gray-50 transition-colors">
+                  <User size={18} /> {t('guestAccess')}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-900 flex flex-col font-sans">
+      {/* Header */}
+      <header className="bg-white px-6 py-4 flex justify-between items-center border-b border-gray-100 sticky top-0 z-40">
+        <div className="flex items-center gap-2">
+          <div className="bg-green-600 p-1.5 rounded-lg text-white"><Leaf size={20} /></div>
+          <span className="font-bold text-lg tracking-tight">Doctor Planet</span>
+        </div>
+        <div className="flex items-center gap-1">
+          {workspaces.length > 0 && (
+            <select
+              value={workspaceId || ''}
+              onChange={e => selectWorkspace(e.target.value || null)}
+              className="max-w-[8rem] px-2 py-1.5 text-xs font-bold text-gray-600 bg-gray-50 rounded-lg outline-none"
+              title={t('workspace')}
+            >
+              <option value="">{t('personal')}</option>
+              {workspaces.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+            </select>
+          )}
+          <button onClick={() => setActiveTab('team')} className={`relative p-2 transition-colors ${activeTab === 'team' ? 'text-green-600' : 'text-gray-400 hover:text-green-600'}`} title={t('team')}>
+            <Users size={20} />
+            {invites.length > 0 && <span className="absolute top-1 right-1 w-2 h-2 bg-red-500 rounded-full" />}
+          </button>
+          <LanguagePicker value={language} onChange={changeLanguage} label={t('language')} />
+          {user.isAnonymous && (
+            <button onClick={() => switchAuthView('upgrade')} className="px-3 py-1.5 text-xs font-bold text-green-600 bg-green-50 rounded-lg">
+              {t('saveAccount')}
+            </button>
+          )}
+          <button onClick={() => signOut(auth)} className="p-2 text-gray-400 hover:text-red-500 transition-colors">
+            <LogOut size={20} />
+          </button>
+        </div>
+      </header>
+
+      <main className="flex-1 overflow-y-auto pb-24">
+        {activeTab === 'home' && (
+          <div className="p-6 space-y-6 max-w-2xl mx-auto">
+            <div className="bg-gradient-to-br from-green-600 to-green-800 rounded-3xl p-6 text-white shadow-xl relative overflow-hidden">
+              <div className="relative z-10">
+                <h2 className="text-2xl font-bold mb-1">{t('advisorTitle')}</h2>
+                <p className="text-green-100 text-sm mb-4">{t('advisorSubtitle')}</p>
+                <button 
+                  onClick={() => setActiveTab('advisor')}
+                  className="bg-white/20 backdrop-blur-md border border-white/30 px-4 py-2 rounded-xl text-sm font-bold flex items-center gap-2"
+                >
+                  <Sparkles size={16} /> {t('consultAi')}
+                </button>
+              </div>
+              <Leaf className="absolute -right-4 -bottom-4 text-white/10 w-32 h-32 rotate-12" />
+            </div>
+
+            <section>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-bold text-gray-800 text-lg flex items-center gap-2">
+                  {t('diseaseLibrary')}
+                  {isAdmin && (
+                    <button onClick={() => setShowImport(!showImport)} className="p-1.5 text-gray-400 hover:text-green-600" title={t('importDiseases')}>
+                      <Upload size={16} />
+                    </button>
+                  )}
+                </h3>
+                <div className="flex gap-2 overflow-x-auto pb-1 no-scrollbar">
+                  {libraryCrops.map(p => (
+                    <button 
+                      key={p}
+                      onClick={() => setSelectedPlant(p)}
+                      className={`px-4 py-1.5 rounded-full text-xs font-bold transition-all ${selectedPlant === p ? 'bg-green-600 text-white shadow-md' : 'bg-white text-gray-500 border border-gray-200'}`}
+                    >
+                      {p === 'All' ? t('all') : p}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {showImport && <EncyclopediaImport t={t} onImport={importEncyclopedia} onClose={() => setShowImport(false)} />}
+
+              <div className="relative mb-4">
+                <Search size={16} className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-300" />
+                <input
+                  type="search"
+                  value={librarySearch}
+                  onChange={e => setLibrarySearch(e.target.value)}
+                  placeholder={t('librarySearch')}
+                  className="w-full pl-10 pr-4 py-3 rounded-xl border border-gray-200 bg-white text-sm focus:ring-2 focus:ring-green-500 outline-none"
+                />
+              </div>
+              
+              <div className="grid gap-3">
+                {libraryEntries.length === 0 && <p className="text-center text-sm text-gray-400 py-8">{t('noLibraryMatches')}</p>}
+                {libraryEntries.map(entry => (
+                  <div 
+                    key={entry.id} 
+                    onClick={() => setSelectedDisease(entryToReport(entry, language))}
+                    className="bg-white p-4 rounded-2xl border border-gray-100 flex items-center justify-between shadow-sm hover:shadow-md transition-shadow cursor-pointer"
+                  >
+                    <div>
+                      <h4 className="font-bold text-gray-800">{localize(entry.name, language)}</h4>
+                      <p className="text-xs text-gray-400 font-medium">
+                        {[entry.plant, entry.severity && t(`severity${normalizeSeverity(entry.severity)}`), entry.pathogenType].filter(Boolean).join(' • ')}
+                      </p>
+                    </div>
+                    <ChevronRight className="text-gray-300" size={20} />
+                  </div>
+                ))}
+              </div>
+            </section>
+          </div>
+        )}
+
+        {activeTab === 'scan' && (
+          <div className="p-6 space-y-6 max-w-2xl mx-auto">
+            <h2 className="text-2xl font-bold">{t('scanTitle')}</h2>
+            <p className="text-gray-500 -mt-4 text-sm">{t('scanSubtitle')}</p>
+
+            {followUpOf && (
+              <div className="bg-blue-50 border border-blue-100 rounded-2xl p-4 flex items-center justify-between gap-3">
+                <p className="text-sm text-blue-800 font-medium">
+                  {t('followUpFor')} <b>{diseaseName(followUpOf)}</b> • {new Date(followUpOf.timestamp).toLocaleDateString()}
+                </p>
+                <button onClick={() => setFollowUpOf(null)} className="p-1.5 text-blue-400 hover:text-blue-600"><X size={16} /></button>
+              </div>
+            )}
+
+            {plots.length > 0 && (
+              <label className="block">
+                <span className="text-xs font-black text-gray-400 uppercase tracking-widest">{t('plot')}</span>
+                <select
+                  value={scanPlotId}
+                  onChange={e => setScanPlotId(e.target.value)}
+                  className="mt-2 w-full px-4 py-3 rounded-xl border border-gray-200 bg-white focus:ring-2 focus:ring-green-500 outline-none"
+                >
+                  <option value="">{t('noPlot')}</option>
+                  {plots.map(p => <option key={p.id} value={p.id}>{p.name} • {p.crop}</option>)}
+                </select>
+              </label>
+            )}
+            
+            <div className="grid grid-cols-3 gap-3">
+              {CAPTURE_SLOTS.map(slot => {
+                const check = quality[slot.id];
+                return (
+                  <button
+                    key={slot.id}
+                    onClick={() => setActiveSlot(slot.id)}
+                    className={`relative aspect-square rounded-2xl overflow-hidden border-2 bg-white flex items-center justify-center ${activeSlot === slot.id ? 'border-green-500' : 'border-gray-200'}`}
+                  >
+                    {captures[slot.id] ? (
+                      <img src={captures[slot.id]} alt={t(slot.label)} className="w-full h-full object-cover" />
+                    ) : (
+                      <Camera className="text-gray-300" size={20} />
+                    )}
+                    <span className="absolute bottom-0 inset-x-0 bg-black/50 text-white text-[10px] font-bold py-1 truncate px-1">
+                      {t(slot.label)}{slot.required && ' *'}
+                    </span>
+                    {check && !check.checking && check.issues.length > 0 && (
+                      <span className={`absolute top-1.5 right-1.5 w-3 h-3 rounded-full border-2 border-white ${check.issues.some(issue => issue.block) ? 'bg-red-500' : 'bg-amber-400'}`} />
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+
+            <div
+              className="aspect-square w-full bg-white border-2 border-dashed border-gray-200 rounded-3xl flex flex-col items-center justify-center relative overflow-hidden group cursor-pointer"
+              onClick={() => !captures[activeSlot] && document.getElementById('scan-file').click()}
+            >
+              <input type="file" id="scan-file" className="hidden" accept="image/*" onChange={onFileChange} />
+              {captures[activeSlot] ? (
+                <img src={captures[activeSlot]} alt={t(CAPTURE_SLOTS.find(s => s.id === activeSlot).label)} className="w-full h-full object-cover" />
+              ) : (
+                <div className="text-center p-8">
+                  <div className="bg-gray-50 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-4 group-hover:scale-110 transition-transform">
+                    <Camera className="text-gray-300" size={32} />
+                  </div>
+                  <p className="text-gray-400 font-medium">{t('captureSlot', { slot: t(CAPTURE_SLOTS.find(s => s.id === activeSlot).label) })}</p>
+                </div>
+              )}
+              {quality[activeSlot]?.checking && (
+                <div className="absolute top-3 left-3 bg-white/90 px-3 py-1 rounded-full text-xs font-bold text-gray-600 flex items-center gap-1">
+                  <Sparkles size={12} className="animate-spin text-green-600" /> {t('checkingPhoto')}
+                </div>
+              )}
+              {isScanning && (
+                <div className="absolute inset-0 bg-black/40 backdrop-blur-sm flex flex-col items-center justify-center text-white z-20">
+                  <div className="w-12 h-12 border-4 border-green-500 border-t-transparent rounded-full animate-spin mb-4"></div>
+                  <p className="font-bold tracking-widest animate-pulse">{t('scanning')}</p>
+                </div>
+              )}
+            </div>
+
+            <div className="flex gap-3">
+              {navigator.mediaDevices?.getUserMedia && (
+                <button onClick={() => setShowCamera(true)} className="flex-1 py-3 rounded-xl bg-green-50 text-green-700 font-bold text-sm flex items-center justify-center gap-2">
+                  <Camera size={16} /> {t('camera')}
+                </button>
+              )}
+              <button onClick={() => document.getElementById('scan-file').click()} className="flex-1 py-3 rounded-xl bg-green-50 text-green-700 font-bold text-sm flex items-center justify-center gap-2">
+                <Upload size={16} /> {t('upload')}
+              </button>
+              {captures[activeSlot] && (
+                <button onClick={() => removeCapture(activeSlot)} className="px-4 py-3 rounded-xl bg-gray-50 text-gray-500 hover:text-red-500" title={t('removePhoto')}>
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </div>
+
+            {qualityIssues.length > 0 && (
+              <div className="space-y-2">
+                {CAPTURE_SLOTS.flatMap(slot => (quality[slot.id]?.issues || []).map(issue => (
+                  <p
+                    key={`${slot.id}-${issue.key}`}
+                    className={`flex items-start gap-2 text-sm px-4 py-2 rounded-xl ${issue.block ? 'bg-red-50 text-red-700' : 'bg-amber-50 text-amber-700'}`}
+                  >
+                    <AlertTriangle size={16} className="shrink-0 mt-0.5" />
+                    <span><b>{t(slot.label)}:</b> {t(issue.key)}</span>
+                  </p>
+                )))}
+              </div>
+            )}
+
+            <label className="flex items-center justify-between bg-white px-4 py-3 rounded-xl border border-gray-200 cursor-pointer">
+              <span className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <MapPin size={16} className="text-green-600" /> {t('tagLocation')}
+                {tagLocation && exifLocation && <span className="text-xs text-gray-400">{t('fromPhoto')}</span>}
+              </span>
+              <input type="checkbox" checked={tagLocation} onChange={e => setTagLocation(e.target.checked)} className="w-4 h-4 accent-green-600" />
+            </label>
+
+            <button 
+              disabled={!previewImg || isScanning || qualityBlocked}
+              onClick={handleScan}
+              className="w-full bg-green-600 disabled:bg-gray-300 text-white py-4 rounded-2xl font-bold shadow-lg shadow-green-100 flex items-center justify-center gap-2"
+            >
+              {isScanning ? t('processing') : <><Sparkles size={18} /> {t('runAnalysis')}</>}
+            </button>
+            {qualityIssues.some(issue => issue.block) && <p className="text-xs text-center text-red-500 -mt-3">{t('qualityBlocked')}</p>}
+
+            {showCamera && <CameraCapture t={t} slotLabel={t(CAPTURE_SLOTS.find(s => s.id === activeSlot).label)} onCapture={onCameraCapture} onClose={() => setShowCamera(false)} />}
+          </div>
+        )}
+
+        {activeTab === 'history' && (
+          <div className="p-6 max-w-2xl mx-auto">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-2xl font-bold">{t('recentReports')}</h2>
+              <div className="flex gap-2">
+                <button onClick={() => setActiveTab('dashboard')} className="px-3 py-1.5 text-xs font-bold text-green-600 bg-green-50 rounded-lg flex items-center gap-1">
+                  <BarChart3 size={14} /> {t('dashboard')}
+                </button>
+                <button onClick={() => setShowExport(!showExport)} className="px-3 py-1.5 text-xs font-bold text-green-600 bg-green-50 rounded-lg flex items-center gap-1">
+                  <Download size={14} /> {t('export')}
+                </button>
+              </div>
+            </div>
+            {showExport && <ExportPanel t={t} crops={[...new Set([...Object.keys(CROPS), ...plots.map(p => p.crop), ...scans.map(s => s.plant)].filter(Boolean))].sort()} onExport={exportHistory} onClose={() => setShowExport(false)} />}
+            {queuedScans.length > 0 && (
+              <div className="space-y-3 mb-6">
+                <h3 className="text-xs font-black text-gray-400 uppercase tracking-widest flex items-center gap-2">
+                  <CloudOff size={14} /> {t('waitingToSync')}
+                </h3>
+                {queuedScans.map(item => (
+                  <div key={item.id} className="bg-white p-4 rounded-2xl border border-dashed border-gray-200 flex items-center gap-4">
+                    <img src={item.captures?.top || item.imageData} alt={t('queuedLeaf')} className="w-12 h-12 rounded-xl object-cover" />
+                    <div className="flex-1 min-w-0">
+                      <span className={`px-2 py-0.5 rounded-full text-[10px] font-black uppercase tracking-wider ${QUEUE_STATUS[item.status].className}`}>
+                        {t(QUEUE_STATUS[item.status].label)}
+                      </span>
+                      <p className="text-xs text-gray-400 mt-1 truncate">
+                        {(item.errorCode ? t(item.errorCode, item.errorVars) : item.error) || (item.preliminary ? t('estimate', { name: diseaseName(item.preliminary) }) : t('capturedOffline'))} • {new Date(item.timestamp).toLocaleDateString()}
+                      </p>
+                    </div>
+                    {item.status === 'failed' && (
+                      <button onClick={() => retryQueuedScan(item)} className="p-2 text-green-600 hover:bg-green-50 rounded-lg" title={t('retry')}>
+                        <RefreshCw size={18} />
+                      </button>
+                    )}
+                    {item.status !== 'syncing' && (
+                      <button onClick={() => discardQueuedScan(item)} className="p-2 text-gray-400 hover:text-red-500 rounded-lg" title={t('discard')}>
+                        <Trash2 size={18} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            {dueFollowUps.length > 0 && (
+              <div className="space-y-3 mb-6">
+                <h3 className="text-xs font-black text-gray-400 uppercase tracking-widest flex items-center gap-2">
+                  <Bell size={14} /> {t('followUpsDue')}
+                </h3>
+                {dueFollowUps.map(({ scan, followUp }) => (
+                  <div key={scan.id} onClick={() => setSelectedDisease(scan)} className="bg-blue-50 p-4 rounded-2xl border border-blue-100 flex items-center gap-3 cursor-pointer">
+                    <ClipboardList size={20} className="text-blue-500 shrink-0" />
+                    <div className="flex-1 min-w-0">
+                      <h4 className="font-bold text-gray-800 text-sm">{diseaseName(scan)}</h4>
+                      <p className="text-xs text-blue-700 truncate">{describeFollowUp(followUp, scan.plan, language)}</p>
+                    </div>
+                    <ChevronRight className="text-blue-300" size={20} />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex gap-2 overflow-x-auto pb-1 mb-4 no-scrollbar">
+              {[{ id: 'all', name: t('all') }, ...plots, { id: 'unassigned', name: t('unassigned') }].map(p => (
+                <button
+                  key={p.id}
+                  onClick={() => selectHistoryPlot(p.id)}
+                  className={`shrink-0 px-4 py-1.5 rounded-full text-xs font-bold transition-all ${historyPlotId === p.id ? 'bg-green-600 text-white shadow-md' : 'bg-white text-gray-500 border border-gray-200'}`}
+                >
+                  {p.name}
+                </button>
+              ))}
+              <button onClick={() => setShowPlotForm(true)} className="shrink-0 px-3 py-1.5 rounded-full text-xs font-bold bg-green-50 text-green-600 flex items-center gap-1">
+                <Plus size={14} /> {t('plot')}
+              </button>
+            </div>
+
+            {showPlotForm && <PlotForm t={t} onSave={savePlot} onCancel={() => setShowPlotForm(false)} />}
+
+            {plots.filter(p => p.id === historyPlotId).map(p => (
+              <div key={p.id} className="bg-white p-4 rounded-2xl border border-gray-100 shadow-sm mb-6">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h3 className="font-bold text-gray-800 flex items-center gap-2"><Sprout size={16} className="text-green-600" /> {p.name}</h3>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {[p.crop, p.variety, p.area && `${p.area} ha`, p.plantingDate && t('plantedOn', { date: new Date(p.plantingDate).toLocaleDateString() })].filter(Boolean).join(' • ')}
+                    </p>
+                  </div>
+                  {(!workspaceId || WORKSPACE_ROLES[activeRole]?.canReview) && (
+                    <button onClick={() => deletePlot(p.id)} className="p-1.5 text-gray-300 hover:text-red-500" title={t('deletePlot')}>
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+                <HealthTimeline t={t} language={language} scans={scans.filter(s => s.plotId === p.id)} />
+              </div>
+            ))}
+
+            <div className="space-y-4">
+              {visibleScans.length === 0 ? (
+                <div className="text-center py-20 text-gray-400">
+                  <History size={48} className="mx-auto mb-4 opacity-20" />
+                  <p>{t('noHistory')}</p>
+                </div>
+              ) : (
+                visibleScans.map((s, i) => (
+                  <div key={i} onClick={() => setSelectedDisease(s)} className="bg-white p-4 rounded-2xl border border-gray-100 flex items-center gap-4 cursor-pointer shadow-sm">
+                    {isRenderableImage(s.thumbnailUrl) ? (
+                      <img src={s.thumbnailUrl} alt={diseaseName(s)} className="w-12 h-12 rounded-xl object-cover" />
+                    ) : (
+                      <div className={`w-12 h-12 rounded-xl flex items-center justify-center ${scanOutcome(s) === 'disease' ? 'bg-red-50 text-red-500' : scanOutcome(s) === 'retake' ? 'bg-yellow-50 text-yellow-500' : 'bg-green-50 text-green-600'}`}>
+                        {scanOutcome(s) === 'disease' ? <AlertTriangle size={24} /> : scanOutcome(s) === 'retake' ? <Camera size={24} /> : <CheckCircle size={24} />}
+                      </div>
+                    )}
+                    <div className="flex-1">
+                      <h4 className="font-bold text-gray-800">
+                        {diseaseName(s)}
+                        {formatConfidence(s.confidence) && <span className="ml-2 text-xs font-bold text-gray-400">{formatConfidence(s.confidence)}</span>}
+                      </h4>
+                      <p className="text-xs text-gray-400">
+                        {s.plant} • {new Date(s.timestamp).toLocaleDateString()}
+                        {s.plotId && plots.find(p => p.id === s.plotId) && ` • ${plots.find(p => p.id === s.plotId).name}`}
+                        {workspaceId && s.authorEmail && ` • ${s.authorEmail}`}
+                        {s.capturedOffline && <span className="ml-1 text-green-600 font-bold">• {t('synced')}</span>}
+                        {s.review && <span className="ml-1 text-blue-600 font-bold">• {t(s.review.status === 'confirmed' ? 'confirmed' : 'reviewed')}</span>}
+                      </p>
+                      {s.candidates?.[1] && (
+                        <p className="text-[11px] text-gray-400 mt-0.5">{t('alternative', { name: diseaseName(s.candidates[1]), confidence: formatConfidence(s.candidates[1].confidence) })}</p>
+                      )}
+                    </div>
+                    <ChevronRight className="text-gray-300" size={20} />
+                  </div>
+                ))
+              )}
+              {hasOlderScans && (
+                <button onClick={loadOlderScans} className="w-full py-3 text-sm font-bold text-green-600 bg-green-50 rounded-2xl">
+                  {t('loadOlder')}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'dashboard' && <ScanDashboard t={t} scansPath={dataPath('scans')} plots={plots} entries={encyclopedia} onBack={() => setActiveTab('history')} />}
+
+        {activeTab === 'team' && <TeamPanel t={t} user={user} workspaces={workspaces} invites={invites} workspaceId={workspaceId} onSelect={selectWorkspace} />}
+
+        {activeTab === 'advisor' && <AdvisorChat user={user} scansPath={dataPath('scans')} encyclopedia={encyclopedia} seed={advisorSeed} language={language} />}
+
+        {activeTab === 'map' && <OutbreakMap t={t} language={language} scansPath={dataPath('scans')} entries={encyclopedia} onSelect={setSelectedDisease} />}
+
+        {activeTab === 'research' && (
+          <div className="p-6 max-w-2xl mx-auto space-y-6">
+            <h2 className="text-2xl font-bold">{t('literatureReview')}</h2>
+            <div className="prose prose-sm text-gray-600 leading-relaxed space-y-4">
+              <p>{t('research1')}</p>
+              <div className="bg-blue-50 p-4 rounded-2xl border-l-4 border-blue-400 text-blue-800 font-medium">
+                {t('researchQuote')}
+              </div>
+              <p>{t('research2')}</p>
+              <p>{t('research3')}</p>
+            </div>
+          </div>
+        )}
+      </main>
+
+      {/* Disease Detail Sheet */}
+      {selectedDisease && (
+        <div className="fixed inset-0 z-50 flex items-end justify-center px-4 pb-4 bg-black/40 backdrop-blur-sm" onClick={() => setSelectedDisease(null)}>
+          <div className="w-full max-w-md max-h-[90vh] overflow-y-auto bg-white rounded-3xl p-6 shadow-2xl animate-in slide-in-from-bottom duration-300" onClick={e => e.stopPropagation()}>
+            <div className="flex justify-between items-start mb-6">
+              <div>
+                <span className={`px-3 py-1 rounded-full text-[10px] font-black uppercase tracking-wider ${SEVERITY_STYLES[selectedDisease.outcome === 'healthy' ? 'Low' : normalizeSeverity(selectedDisease.severity)]}`}>
+                  {selectedDisease.outcome === 'healthy' ? t('healthy') : t('riskLevel', { level: severityLabel(selectedDisease, language) })}
+                </span>
+                {formatConfidence(selectedDisease.confidence) && (
+                  <span className="ml-2 text-[10px] font-black text-gray-400 uppercase tracking-wider">{t('confidence', { value: formatConfidence(selectedDisease.confidence) })}</span>
+                )}
+                <h2 className="text-2xl font-bold mt-2">{diseaseName(selectedDisease)}</h2>
+                <p className="text-green-600 font-bold text-sm">{selectedDisease.plant}</p>
+                {selectedDisease.pending && (
+                  <p className="text-[10px] text-blue-600 font-bold uppercase tracking-wider mt-1">{t('pendingDiagnosis')}</p>
+                )}
+                {selectedDisease.source === 'local' && (
+                  <p className="text-[10px] text-gray-400 font-bold uppercase tracking-wider mt-1">{t('offlineEstimate')}</p>
+                )}
+              </div>
+              <button onClick={() => setSelectedDisease(null)} className="p-2 bg-gray-100 rounded-full text-gray-400 hover:text-gray-600 transition-colors">
+                <X size={20} />
+              </button>
+            </div>
+
+            {isRenderableImage(selectedDisease.imageUrl) && (
+              <img src={selectedDisease.imageUrl} alt={diseaseName(selectedDisease)} className="w-full aspect-video object-cover rounded-2xl mb-6" />
+            )}
+
+            {selectedDisease.photos && (
+              <div className="grid grid-cols-2 gap-3 -mt-3 mb-6">
+                {CAPTURE_SLOTS.filter(slot => isRenderableImage(selectedDisease.photos[slot.id])).map(slot => (
+                  <figure key={slot.id}>
+                    <img src={selectedDisease.photos[slot.id]} alt={t(slot.label)} className="w-full aspect-video object-cover rounded-xl" />
+                    <figcaption className="text-[10px] font-bold text-gray-400 uppercase tracking-wider mt-1">{t(slot.label)}</figcaption>
+                  </figure>
+                ))}
+              </div>
+            )}
+
+            {selectedDisease.outcome === 'retake' && (
+              <div className="mb-6 bg-yellow-50 border border-yellow-100 rounded-2xl p-4 flex items-center justify-between gap-3">
+                <p className="text-sm text-yellow-800 font-medium">{t('unreadablePhoto')}</p>
+                <button
+                  onClick={() => { setSelectedDisease(null); clearCaptures(); setActiveTab('scan'); }}
+                  className="shrink-0 bg-yellow-500 text-white px-3 py-2 rounded-xl text-xs font-bold flex items-center gap-1"
+                >
+                  <Camera size={14} /> {t('retake')}
+                </button>
+              </div>
+            )}
+
+            <div className="space-y-6">
+              <div>
+                <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2 flex items-center gap-2">
+                  <AlertTriangle size={14} /> {t('symptoms')}
+                </h4>
+                <p className="text-gray-600 text-sm leading-relaxed bg-gray-50 p-3 rounded-xl border border-gray-100">{localizeResult(selectedDisease, language).symptoms}</p>
+              </div>
+              <div>
+                <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2 flex items-center gap-2">
+                  <CheckCircle size={14} /> {t('recommendedTreatment')}
+                </h4>
+                {selectedDisease.organicTreatment || selectedDisease.chemicalTreatment ? (
+                  <div className="space-y-2">
+                    {selectedDisease.organicTreatment && (
+                      <p className="text-gray-700 text-sm leading-relaxed bg-green-50 p-4 rounded-xl border border-green-100 font-medium">
+                        <span className="block text-[10px] font-black text-green-600 uppercase tracking-wider mb-1">{t('organic')}</span>
+                        {selectedDisease.organicTreatment}
+                      </p>
+                    )}
+                    {selectedDisease.chemicalTreatment && (
+                      <p className="text-gray-700 text-sm leading-relaxed bg-blue-50 p-4 rounded-xl border border-blue-100 font-medium">
+                        <span className="block text-[10px] font-black text-blue-600 uppercase tracking-wider mb-1">{t('chemical')}</span>
+                        {selectedDisease.chemicalTreatment}
+                      </p>
+                    )}
+                  </div>
+                ) : (
+                  <p className="text-gray-700 text-sm leading-relaxed bg-green-50 p-4 rounded-xl border border-green-100 font-medium">{localizeResult(selectedDisease, language).treatment}</p>
+                )}
+              </div>
+              {selectedDisease.plan && (
+                <TreatmentPlanCard
+                  t={t}
+                  language={language}
+                  plan={selectedDisease.plan}
+                  saved={!!selectedDisease.id}
+                  canTrack={canTrackPlan(selectedDisease)}
+                  onStart={() => startPlan(selectedDisease)}
+                  onApplied={() => recordApplication(selectedDisease)}
+                  onRescan={() => startFollowUpScan(selectedDisease)}
+                  onAddToCalendar={() => downloadBlob(
+                    new Blob([planToIcs(selectedDisease.plan, diseaseName(selectedDisease), language)], { type: 'text/calendar' }),
+                    `doctor-planet-plan-${selectedDisease.id}.ics`
+                  )}
+                />
+              )}
+              {comparison && <BeforeAfter t={t} language={language} diseaseName={diseaseName} before={comparison.before} after={comparison.after} onOpen={setSelectedDisease} />}
+              {(selectedDisease.causalOrganism || selectedDisease.favourableConditions || selectedDisease.prevention) && (
+                <dl className="grid gap-3 text-sm">
+                  {selectedDisease.causalOrganism && (
+                    <div>
+                      <dt className="text-xs font-black text-gray-400 uppercase tracking-widest">{t('pathogen')}</dt>
+                      <dd className="text-gray-700 mt-1"><i>{selectedDisease.causalOrganism}</i>{selectedDisease.pathogenType && ` (${selectedDisease.pathogenType})`}</dd>
+                    </div>
+                  )}
+                  {selectedDisease.favourableConditions && (
+                    <div>
+                      <dt className="text-xs font-black text-gray-400 uppercase tracking-widest">{t('favourableConditions')}</dt>
+                      <dd className="text-gray-700 mt-1">{selectedDisease.favourableConditions}</dd>
+                    </div>
+                  )}
+                  {selectedDisease.prevention && (
+                    <div>
+                      <dt className="text-xs font-black text-gray-400 uppercase tracking-widest">{t('prevention')}</dt>
+                      <dd className="text-gray-700 mt-1">{selectedDisease.prevention}</dd>
+                    </div>
+                  )}
+                </dl>
+              )}
+              {selectedDisease.images?.length > 0 && (
+                <div className="flex gap-2 overflow-x-auto no-scrollbar">
+                  {selectedDisease.images.map(src => <img key={src} src={src} alt={diseaseName(selectedDisease)} className="h-24 rounded-xl object-cover" />)}
+                </div>
+              )}
+              {selectedDisease.candidates?.length > 0 && (
+                <div>
+                  <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2 flex items-center gap-2">
+                    <Search size={14} /> {t('differentialDiagnoses')}
+                  </h4>
+                  <div className="space-y-2">
+                    {selectedDisease.candidates.map((c, i) => {
+                      const entry = findEncyclopediaEntry(c.entryId || c.name, encyclopedia);
+                      return (
+                        <div key={i} className="flex items-center gap-3 bg-gray-50 p-3 rounded-xl border border-gray-100">
+                          <div className="flex-1">
+                            <div className="flex justify-between text-sm font-bold text-gray-700">
+                              <span>{diseaseName(c)}</span>
+                              <span className="text-gray-400">{formatConfidence(c.confidence)}</span>
+                            </div>
+                            <div className="h-1.5 bg-gray-200 rounded-full mt-1.5 overflow-hidden">
+                              <div className="h-full bg-green-500 rounded-full" style={{ width: formatConfidence(c.confidence) }} />
+                            </div>
+                          </div>
+                          {entry && (
+                            <button onClick={() => setSelectedDisease(entryToReport(entry, language))} className="p-1.5 text-green-600 hover:bg-green-50 rounded-lg" title={t('openInLibrary')}>
+                              <BookOpen size={16} />
+                            </button>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {workspaceId && selectedDisease.id && (
+              <ScanReview
+                t={t}
+                user={user}
+                scan={selectedDisease}
+                canReview={WORKSPACE_ROLES[activeRole]?.canReview}
+                encyclopedia={encyclopedia}
+                commentsPath={[...dataPath('scans'), selectedDisease.id, 'comments']}
+                onReview={review => reviewScan(selectedDisease, review).catch(err => alert(err.message))}
+              />
+            )}
+
+            {selectedDisease.id && (
+              <div className="mt-8 space-y-3">
+                <div className={`grid ${canShareScan(selectedDisease) ? 'grid-cols-2' : 'grid-cols-1'} gap-3`}>
+                  <button onClick={() => exportReportPdf(selectedDisease, language).catch(err => alert(err.message))} className="py-3 border border-gray-200 text-gray-700 rounded-2xl font-bold text-sm flex items-center justify-center gap-2">
+                    <Download size={16} /> {t('pdf')}
+                  </button>
+                  {canShareScan(selectedDisease) && (
+                    <button
+                      onClick={() => (selectedDisease.shareToken ? revokeShare(selectedDisease) : shareReport(selectedDisease)).catch(err => alert(err.message))}
+                      className="py-3 border border-gray-200 text-gray-700 rounded-2xl font-bold text-sm flex items-center justify-center gap-2"
+                    >
+                      <Share2 size={16} /> {t(selectedDisease.shareToken ? 'stopSharing' : 'shareLink')}
+                    </button>
+                  )}
+                </div>
+                {selectedDisease.shareToken && (
+                  <input
+                    readOnly
+                    value={shareUrl(selectedDisease.shareToken)}
+                    onFocus={e => e.target.select()}
+                    className="w-full px-3 py-2 rounded-xl border border-gray-200 bg-gray-50 text-xs text-gray-500"
+                  />
+                )}
+              </div>
+            )}
+            
+            {selectedDisease.outcome !== 'retake' && (
+              <button
+                onClick={() => {
+                  const entry = !selectedDisease.id && selectedDisease.entryId && findEncyclopediaEntry(selectedDisease.entryId, encyclopedia);
+                  setAdvisorSeed(entry ? entryContext(entry) : scanContext(selectedDisease));
+                  setSelectedDisease(null);
+                  setActiveTab('advisor');
+                }}
+                className={`w-full ${selectedDisease.id ? 'mt-3' : 'mt-8'} py-3 border border-green-200 text-green-700 rounded-2xl font-bold flex items-center justify-center gap-2`}
+              >
+                <MessageCircle size={18} /> {t('askAdvisor')}
+              </button>
+            )}
+            <button onClick={() => setSelectedDisease(null)} className={`w-full ${selectedDisease.outcome !== 'retake' ? 'mt-3' : 'mt-8'} py-4 bg-gray-900 text-white rounded-2xl font-bold shadow-xl`}>
+              {t('closeReport')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Footer Navigation */}
+      <nav className="fixed bottom-0 left-0 right-0 bg-white border-t border-gray-100 px-4 py-3 flex justify-around items-center z-40 shadow-[0_-10px_30px_-15px_rgba(0,0,0,0.1)]">
+        <NavButton icon={<Search size={22} />} label={t('navExplore')} active={activeTab === 'home'} onClick={() => setActiveTab('home')} />
+        <NavButton icon={<Camera size={22} />} label={t('navScan')} active={activeTab === 'scan'} onClick={() => setActiveTab('scan')} />
+        <NavButton icon={<History size={22} />} label={t('navHistory')} active={['history', 'dashboard'].includes(activeTab)} onClick={() => setActiveTab('history')} />
+        <NavButton icon={<MapIcon size={22} />} label={t('navMap')} active={activeTab === 'map'} onClick={() => setActiveTab('map')} />
+        <NavButton icon={<BookOpen size={22} />} label={t('navResearch')} active={activeTab === 'research'} onClick={() => setActiveTab('research')} />
+      </nav>
+    </div>
+  );
+}
+
+function NavButton({ icon, label, active, onClick }) {
+  return (
+    <button 
+      onClick={onClick}
+      className={`flex flex-col items-center gap-1 flex-1 transition-all ${active ? 'text-green-600' : 'text-gray-400'}`}
+    >
+      <div className={`p-1.5 rounded-xl transition-all ${active ? 'bg-green-50 scale-110' : ''}`}>
+        {icon}
+      </div>
+      <span className="text-[10px] font-bold uppercase tracking-tighter">{label}</span>
+    </button>
+  );
+}
+
+function LanguagePicker({ value, onChange, label, className = '' }) {
+  return (
+    <select
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      className={`block px-2 py-1.5 text-xs font-bold text-gray-600 bg-gray-50 rounded-lg outline-none ${className}`}
+      title={label}
+      aria-label={label}
+    >
+      {Object.entries(LANGUAGES).map(([code, { label: name }]) => <option key={code} value={code}>{name}</option>)}
+    </select>
+  );
+}
+
+function PlotForm({ t, onSave, onCancel }) {
+  const [plot, setPlot] = useState({ name: '', crop: 'Tomato', variety: '', plantingDate: '', area: '' });
+  const [saving, setSaving] = useState(false);
+  const update = (field) => (e) => setPlot({ ...plot, [field]: e.target.value });
+  const inputClass = "w-full px-3 py-2 rounded-xl border border-gray-200 text-sm focus:ring-2 focus:ring-green-500 outline-none";
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave({ ...plot, name: plot.name.trim(), area: plot.area ? Number(plot.area) : null });
+    } catch (err) {
+      alert(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-white p-4 rounded-2xl border border-gray-100 shadow-sm mb-6 space-y-3">
+      <input placeholder={t('plotNamePlaceholder')} value={plot.name} onChange={update('name')} className={inputClass} required />
+      <div className="grid grid-cols-2 gap-3">
+        <select value={plot.crop} onChange={update('crop')} className={`${inputClass} bg-white`}>
+          {Object.keys(CROPS).map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <input placeholder={t('variety')} value={plot.variety} onChange={update('variety')} className={inputClass} />
+        <input type="date" value={plot.plantingDate} onChange={update('plantingDate')} className={inputClass} title={t('plantingDate')} />
+        <input type="number" min="0" step="0.01" placeholder={t('areaHa')} value={plot.area} onChange={update('area')} className={inputClass} />
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" disabled={saving} className="flex-1 bg-green-600 disabled:bg-gray-300 text-white py-2 rounded-xl text-sm font-bold">{t('savePlot')}</button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-xl text-sm font-bold text-gray-500 bg-gray-100">{t('cancel')}</button>
+      </div>
+    </form>
+  );
+}
+
+// One dot per scan, oldest on the left, coloured by how sick the plant was at the time.
+function HealthTimeline({ t, language, scans }) {
+  const points = scans.filter(s => s.outcome !== 'retake').sort((a, b) => a.timestamp - b.timestamp);
+  if (points.length === 0) return <p className="text-xs text-gray-400 mt-4">{t('noPlotScans')}</p>;
+  const colors = { Healthy: 'bg-green-500', Low: 'bg-green-300', Medium: 'bg-yellow-400', High: 'bg-red-400', Critical: 'bg-red-600' };
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center gap-1.5 overflow-x-auto no-scrollbar py-1">
+        {points.map((s, i) => {
+          const level = s.outcome === 'healthy' ? 'Healthy' : normalizeSeverity(s.severity);
+          return (
+            <div
+              key={i}
+              title={`${new Date(s.timestamp).toLocaleDateString()} • ${s.name} (${severityLabel(s, language)})`}
+              className={`shrink-0 w-4 h-4 rounded-full ${colors[level]}`}
+            />
+          );
+        })}
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-400 font-bold mt-1">
+        <span>{new Date(points[0].timestamp).toLocaleDateString()}</span>
+        <span>{new Date(points[points.length - 1].timestamp).toLocaleDateString()}</span>
+      </div>
+    </div>
+  );
+}
+
+const MAP_SIZE = 400;
+const MAP_WINDOWS = [7, 30, 90, null];
+const MAP_SCAN_LIMIT = 1000;
+const MAP_PALETTE = ['#dc2626', '#ea580c', '#ca8a04', '#7c3aed', '#2563eb', '#db2777', '#0891b2'];
+const MAP_RADIUS = { Low: 5, Medium: 7, High: 9, Critical: 11 };
+
+// Plots geotagged scans on local tiles when MAP_TILE_URL is configured, otherwise on a plain SVG grid.
+// Queries its own scans: the newest MAP_SCAN_LIMIT in the time window ("All time" included),
+// so a long history never loads in full; the map says when older scans were left out.
+function OutbreakMap({ t, language, scansPath, entries, onSelect }) {
+  const [windowDays, setWindowDays] = useState(30);
+  const [disease, setDisease] = useState('All');
+  const [scans, setScans] = useState([]);
+
+  useEffect(() => {
+    const q = query(
+      collection(db, ...scansPath),
+      where('timestamp', '>=', windowDays ? Date.now() - windowDays * DAY_MS : 0),
+      orderBy('timestamp', 'desc'),
+      limit(MAP_SCAN_LIMIT)
+    );
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setScans(snapshot.docs.map(doc => withReview({ id: doc.id, ...doc.data() }, entries)));
+    }, (err) => console.error(err));
+    return () => unsubscribe();
+  }, [scansPath.join('/'), windowDays, entries]);
+
+  const located = scans.filter(s => s.location && s.outcome !== 'retake');
+  const diseases = [...new Set(located.filter(s => scanOutcome(s) === 'disease').map(s => s.name))].sort();
+  const since = windowDays ? Date.now() - windowDays * 86400000 : 0;
+  const points = located
+    .filter(s => s.timestamp >= since && (disease === 'All' || s.name === disease))
+    .map(s => ({ scan: s, ...projectLocation(s.location) }));
+  const colorFor = (s) => s.outcome === 'healthy' ? '#16a34a' : MAP_PALETTE[diseases.indexOf(s.name) % MAP_PALETTE.length];
+
+  let view = null;
+  if (points.length > 0) {
+    const xs = points.map(p => p.x), ys = points.map(p => p.y);
+    const minX = Math.min(...xs), maxX = Math.max(...xs), minY = Math.min(...ys), maxY = Math.max(...ys);
+    // A lone point (or a single plot) still gets roughly a few hundred metres of context.
+    const span = Math.max(maxX - minX, maxY - minY, 0.00002);
+    let scale = MAP_SIZE * 0.8 / span;
+    const zoom = Math.max(0, Math.min(MAP_MAX_ZOOM, Math.floor(Math.log2(scale / 256))));
+    if (MAP_TILE_URL) scale = 256 * Math.pow(2, zoom);
+    view = { cx: (minX + maxX) / 2, cy: (minY + maxY) / 2, scale, zoom };
+  }
+  const toScreen = (p) => ({
+    x: MAP_SIZE / 2 + (p.x - view.cx) * view.scale,
+    y: MAP_SIZE / 2 + (p.y - view.cy) * view.scale
+  });
+
+  const tiles = [];
+  if (view && MAP_TILE_URL) {
+    const tileCount = Math.pow(2, view.zoom);
+    const half = MAP_SIZE / 2 / view.scale;
+    for (let tx = Math.floor((view.cx - half) * tileCount); tx <= Math.floor((view.cx + half) * tileCount); tx++) {
+      for (let ty = Math.floor((view.cy - half) * tileCount); ty <= Math.floor((view.cy + half) * tileCount); ty++) {
+        if (tx < 0 || ty < 0 || tx >= tileCount || ty >= tileCount) continue;
+        const origin = toScreen({ x: tx / tileCount, y: ty / tileCount });
+        tiles.push({ key: `${tx}-${ty}`, ...origin, href: MAP_TILE_URL.replace('{z}', view.zoom).replace('{x}', tx).replace('{y}', ty) });
+      }
+    }
+  }
+
+  return (
+    <div className="p-6 max-w-2xl mx-auto space-y-4">
+      <h2 className="text-2xl font-bold">{t('outbreakMap')}</h2>
+      <div className="flex gap-2 overflow-x-auto pb-1 no-scrollbar">
+        {MAP_WINDOWS.map(days => (
+          <button
+            key={days || 'all'}
+            onClick={() => setWindowDays(days)}
+            className={`shrink-0 px-4 py-1.5 rounded-full text-xs font-bold transition-all ${windowDays === days ? 'bg-green-600 text-white shadow-md' : 'bg-white text-gray-500 border border-gray-200'}`}
+          >
+            {days ? t('lastDays', { days }) : t('allTime')}
+          </button>
+        ))}
+      </div>
+      <select value={disease} onChange={e => setDisease(e.target.value)} className="w-full px-4 py-3 rounded-xl border border-gray-200 bg-white text-sm focus:ring-2 focus:ring-green-500 outline-none">
+        <option value="All">{t('allDiseases')}</option>
+        {diseases.map(d => <option key={d} value={d}>{d}</option>)}
+      </select>
+      {scans.length >= MAP_SCAN_LIMIT && (
+        <p className="text-xs text-gray-400">{t('mapLimited', { count: MAP_SCAN_LIMIT, date: new Date(scans[scans.length - 1].timestamp).toLocaleDateString() })}</p>
+      )}
+
+      <div className="bg-white rounded-3xl border border-gray-100 shadow-sm overflow-hidden">
+        {view ? (
+          <svg viewBox={`0 0 ${MAP_SIZE} ${MAP_SIZE}`} className="w-full h-auto bg-green-50">
+            {tiles.map(t => <image key={t.key} href={t.href} x={t.x} y={t.y} width="256" height="256" />)}
+            {!MAP_TILE_URL && [1, 2, 3].map(i => (
+              <g key={i} stroke="#d1fae5" strokeWidth="1">
+                <line x1={i * MAP_SIZE / 4} y1="0" x2={i * MAP_SIZE / 4} y2={MAP_SIZE} />
+                <line x1="0" y1={i * MAP_SIZE / 4} x2={MAP_SIZE} y2={i * MAP_SIZE / 4} />
+              </g>
+            ))}
+            {points.map((p, i) => {
+              const { x, y } = toScreen(p);
+              const severity = p.scan.outcome === 'healthy' ? 'Low' : normalizeSeverity(p.scan.severity);
+              return (
+                <circle key={i} cx={x} cy={y} r={MAP_RADIUS[severity]} fill={colorFor(p.scan)} fillOpacity="0.75" stroke="white" strokeWidth="2" className="cursor-pointer" onClick={() => onSelect(p.scan)}>
+                  <title>{`${p.scan.name} • ${severityLabel(p.scan, language)} • ${new Date(p.scan.timestamp).toLocaleDateString()}`}</title>
+                </circle>
+              );
+            })}
+          </svg>
+        ) : (
+          <div className="text-center py-20 text-gray-400">
+            <MapPin size={48} className="mx-auto mb-4 opacity-20" />
+            <p>{t('noGeotaggedScans')}</p>
+          </div>
+        )}
+      </div>
+
+      {diseases.length > 0 && (
+        <div className="flex flex-wrap gap-3 text-xs font-bold text-gray-500">
+          {diseases.map(d => (
+            <span key={d} className="flex items-center gap-1.5">
+              <span className="w-3 h-3 rounded-full" style={{ background: MAP_PALETTE[diseases.indexOf(d) % MAP_PALETTE.length] }} /> {d}
+            </span>
+          ))}
+          <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded-full bg-green-600" /> {t('healthy')}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Admin-only: accepts a JSON array of entries (or { entries: [...] }) pasted or loaded from a file.
+function EncyclopediaImport({ t, onImport, onClose }) {
+  const [text, setText] = useState('');
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) setText(await file.text());
+  };
+
+  const submit = async () => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      const parsed = JSON.parse(text);
+      const entries = Array.isArray(parsed) ? parsed : parsed.entries;
+      if (!Array.isArray(entries) || entries.length === 0) throw new Error(t('importExpectedArray'));
+      const count = await onImport(entries);
+      setStatus({ ok: true, message: count === 1 ? t('importedEntry') : t('importedEntries', { count }) });
+      setText('');
+    } catch (err) {
+      setStatus({ ok: false, message: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-2xl border border-gray-100 shadow-sm mb-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="font-bold text-gray-800 text-sm">{t('importDiseasesJson')}</h4>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600"><X size={16} /></button>
+      </div>
+      <input type="file" accept="application/json,.json" onChange={loadFile} className="text-xs text-gray-500" />
+      <textarea
+        value={text}
+        onChange={e => setText(e.target.value)}
+        rows={6}
+        placeholder='[{ "name": { "en": "Powdery Mildew" }, "plant": "Grape", "symptoms": "...", "severity": "Medium" }]'
+        className="w-full px-3 py-2 rounded-xl border border-gray-200 text-xs font-mono focus:ring-2 focus:ring-green-500 outline-none"
+      />
+      {status && <p className={`text-xs font-medium ${status.ok ? 'text-green-600' : 'text-red-600'}`}>{status.message}</p>}
+      <button onClick={submit} disabled={!text.trim() || busy} className="w-full bg-green-600 disabled:bg-gray-300 text-white py-2 rounded-xl text-sm font-bold">
+        {busy ? t('importing') : t('import')}
+      </button>
+    </div>
+  );
+}
+
+function TreatmentPlanCard({ t, language, plan, saved, canTrack, onStart, onApplied, onRescan, onAddToCalendar }) {
+  const followUp = nextFollowUp(plan);
+  const isDue = followUp && followUp.dueAt <= Date.now();
+
+  return (
+    <div>
+      <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2 flex items-center gap-2">
+        <ClipboardList size={14} /> {t('treatmentPlan')}
+      </h4>
+      <div className="bg-gray-50 p-4 rounded-xl border border-gray-100 space-y-3 text-sm">
+        <ol className="list-decimal list-inside space-y-1 text-gray-700">
+          {plan.actions.map((a, i) => <li key={i}>{a}</li>)}
+        </ol>
+        <dl className="grid grid-cols-2 gap-2 text-xs">
+          {plan.product && <div><dt className="text-gray-400 font-bold">{t('product')}</dt><dd className="text-gray-700">{plan.product}</dd></div>}
+          {plan.dose && <div><dt className="text-gray-400 font-bold">{t('dose')}</dt><dd className="text-gray-700">{plan.dose}</dd></div>}
+          <div><dt className="text-gray-400 font-bold">{t('interval')}</dt><dd className="text-gray-700">{t('everyDays', { days: plan.intervalDays })}</dd></div>
+          <div><dt className="text-gray-400 font-bold">{t('applications')}</dt><dd className="text-gray-700">{t('applicationsDone', { done: plan.applications || 0, total: plan.repeats })}</dd></div>
+        </dl>
+
+        {saved && canTrack && !plan.startedAt && (
+          <button onClick={onStart} className="w-full bg-green-600 text-white py-2 rounded-xl text-sm font-bold flex items-center justify-center gap-2">
+            <Bell size={16} /> {t('startPlan')}
+          </button>
+        )}
+        {followUp && (
+          <div className={`rounded-xl p-3 flex items-center justify-between gap-3 ${isDue ? 'bg-blue-100 text-blue-800' : 'bg-white text-gray-500 border border-gray-100'}`}>
+            <div className="text-xs">
+              <p className="font-bold">{describeFollowUp(followUp, plan, language)}</p>
+              <p>{isDue ? t('dueNow') : t('dueOn', { date: new Date(followUp.dueAt).toLocaleDateString() })}</p>
+            </div>
+            {canTrack && (
+              <button
+                onClick={followUp.type === 'application' ? onApplied : onRescan}
+                className="shrink-0 bg-blue-600 text-white px-3 py-2 rounded-xl text-xs font-bold flex items-center gap-1"
+              >
+                {followUp.type === 'application' ? <><CheckCircle size={14} /> {t('done')}</> : <><Camera size={14} /> {t('rescan')}</>}
+              </button>
+            )}
+          </div>
+        )}
+        {followUp && (
+          <div className="flex items-center justify-between gap-3 text-[11px] text-gray-400">
+            <p>{t('remindersWhileOpen')}</p>
+            <button onClick={onAddToCalendar} className="shrink-0 text-green-600 font-bold flex items-center gap-1">
+              <Download size={12} /> {t('addToCalendar')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function BeforeAfter({ t, language, diseaseName, before, after, onOpen }) {
+  const delta = healthRank(after) - healthRank(before);
+  const verdict = delta < 0
+    ? { label: t('improved'), className: 'bg-green-100 text-green-700' }
+    : delta > 0
+      ? { label: t('worsened'), className: 'bg-red-100 text-red-700' }
+      : { label: t('noChange'), className: 'bg-gray-100 text-gray-600' };
+
+  return (
+    <div>
+      <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2 flex items-center justify-between">
+        <span>{t('beforeAfter')}</span>
+        <span className={`px-2 py-0.5 rounded-full text-[10px] ${verdict.className}`}>{verdict.label}</span>
+      </h4>
+      <div className="grid grid-cols-2 gap-3">
+        {[before, after].map((scan, i) => (
+          <button key={scan.id || i} onClick={() => onOpen(scan)} className="text-left bg-gray-50 rounded-xl border border-gray-100 overflow-hidden">
+            {isRenderableImage(scan.thumbnailUrl || scan.imageUrl) ? (
+              <img src={scan.thumbnailUrl || scan.imageUrl} alt={diseaseName(scan)} className="w-full aspect-square object-cover" />
+            ) : (
+              <div className="w-full aspect-square flex items-center justify-center text-gray-300"><Leaf size={32} /></div>
+            )}
+            <div className="p-2">
+              <p className="text-xs font-bold text-gray-700 truncate">{diseaseName(scan)}</p>
+              <p className="text-[10px] text-gray-400">{severityLabel(scan, language)} • {new Date(scan.timestamp).toLocaleDateString()}</p>
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Fullscreen rear-camera preview; the shutter grabs the current frame as a JPEG data URL.
+// The stream is stopped on unmount so the camera light turns off as soon as the sheet closes.
+function CameraCapture({ t, slotLabel, onCapture, onClose }) {
+  const videoRef = useRef(null);
+  const [error, setError] = useState(null);
+  const [ready, setReady] = useState(false);
+
+  useEffect(() => {
+    let stream = null;
+    let cancelled = false;
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 } }, audio: false })
+      .then(s => {
+        if (cancelled) return s.getTracks().forEach(track => track.stop());
+        stream = s;
+        videoRef.current.srcObject = s;
+      })
+      .catch(err => setError(err.name === 'NotAllowedError' ? t('cameraDenied') : t('cameraUnavailable')));
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  const takePhoto = () => {
+    const video = videoRef.current;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    onCapture(canvas.toDataURL('image/jpeg', 0.92));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black flex flex-col">
+      <div className="flex items-center justify-between p-4 text-white">
+        <span className="font-bold">{slotLabel}</span>
+        <button onClick={onClose} className="p-2 rounded-full bg-white/10" title={t('close')}><X size={20} /></button>
+      </div>
+      <div className="flex-1 relative flex items-center justify-center overflow-hidden">
+        {error ? (
+          <p className="text-white/80 text-center px-8">{error}</p>
+        ) : (
+          <video ref={videoRef} autoPlay playsInline muted onLoadedMetadata={() => setReady(true)} className="w-full h-full object-contain" />
+        )}
+      </div>
+      <div className="p-6 flex justify-center">
+        <button
+          onClick={takePhoto}
+          disabled={!ready || !!error}
+          title={t('takePhoto')}
+          className="w-16 h-16 rounded-full bg-white disabled:bg-white/30 border-4 border-green-500"
+        />
+      </div>
+    </div>
+  );
+}
+
+// Multi-turn advisor. Conversations live under users/{uid}/conversations with a `messages`
+// subcollection; an attached scan or library entry is sent as context with every turn.
+export function AdvisorChat({ user, scansPath, encyclopedia, seed, language }) {
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [context, setContext] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [streaming, setStreaming] = useState(null);
+  const [error, setError] = useState(null);
+  const [showList, setShowList] = useState(false);
+  const [attachTab, setAttachTab] = useState(null); // null, 'scans', 'library'
+  const [attachScans, setAttachScans] = useState([]);
+  const [attachLimit, setAttachLimit] = useState(SCAN_PAGE_SIZE);
+  const endRef = useRef(null);
+
+  const conversationsPath = ['artifacts', appId, 'users', user.uid, 'conversations'];
+  const t = (key, vars) => translate(language, key, vars);
+
+  useEffect(() => {
+    const q = query(collection(db, ...conversationsPath), orderBy('updatedAt', 'desc'));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setConversations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (err) => console.error(err));
+    return () => unsubscribe();
+  }, [user.uid]);
+
+  useEffect(() => {
+    if (!activeId) return;
+    const q = query(collection(db, ...conversationsPath, activeId, 'messages'), orderBy('timestamp'));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setMessages(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (err) => console.error(err));
+    return () => unsubscribe();
+  }, [user.uid, activeId]);
+
+  // A report's "Ask the AI Advisor" button starts a fresh conversation about it.
+  useEffect(() => {
+    if (!seed) return;
+    setActiveId(null);
+    setMessages([]);
+    setContext(seed);
+    setShowList(false);
+  }, [seed]);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages, streaming]);
+
+  // The attach list pages through the whole history, independent of the Reports tab.
+  useEffect(() => {
+    if (attachTab !== 'scans') return;
+    let cancelled = false;
+    getDocs(query(collection(db, ...scansPath), orderBy('timestamp', 'desc'), limit(attachLimit)))
+      .then(snapshot => {
+        if (!cancelled) setAttachScans(snapshot.docs.map(doc => withReview({ id: doc.id, ...doc.data() }, encyclopedia)));
+      })
+      .catch(err => console.error(err));
+    return () => { cancelled = true; };
+  }, [attachTab, attachLimit, scansPath.join('/')]);
+
+  const openConversation = (conversation) => {
+    setActiveId(conversation.id);
+    setContext(conversation.context || null);
+    setShowList(false);
+    setError(null);
+  };
+
+  const newConversation = () => {
+    setActiveId(null);
+    setMessages([]);
+    setContext(null);
+    setShowList(false);
+    setError(null);
+  };
+
+  // Writes show up in the local cache at once but only resolve on the server's ack, which
+  // never comes offline, so they are not awaited; a rejected write is shown as an error.
+  const persist = (write) => write.catch(err => setError(err.message));
+
+  const attach = (next) => {
+    setContext(next);
+    setAttachTab(null);
+    if (activeId) persist(updateDoc(doc(db, ...conversationsPath, activeId), { context: next }));
+  };
+
+  const send = async (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text || streaming !== null) return;
+    setDraft('');
+    setError(null);
+    setStreaming('');
+
+    try {
+      let conversationId = activeId;
+      const now = Date.now();
+      if (!conversationId) {
+        const conversationRef = doc(collection(db, ...conversationsPath));
+        conversationId = conversationRef.id;
+        persist(setDoc(conversationRef, { title: text.slice(0, 60), context, createdAt: now, updatedAt: now }));
+        setActiveId(conversationId);
+      }
+      const history = [...messages, { role: 'user', text }];
+      persist(addDoc(collection(db, ...conversationsPath, conversationId, 'messages'), { role: 'user', text, timestamp: now }));
+
+      const reply = await chatWithAdvisor(history, context?.summary, (chunk) => setStreaming(prev => (prev || '') + chunk), language);
+      persist(addDoc(collection(db, ...conversationsPath, conversationId, 'messages'), { role: 'model', text: reply, timestamp: Date.now() }));
+      persist(updateDoc(doc(db, ...conversationsPath, conversationId), { updatedAt: Date.now() }));
+    } catch (err) {
+      setError(describeError(err, language));
+    } finally {
+      setStreaming(null);
+    }
+  };
+
+  return (
+    <div className="p-6 max-w-2xl mx-auto flex flex-col h-[calc(100vh-10rem)]">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold">{t('advisorTitle')}</h2>
+        <div className="flex gap-1">
+          <button onClick={() => setShowList(!showList)} className={`p-2 rounded-xl ${showList ? 'bg-green-50 text-green-600' : 'text-gray-400'}`} title={t('pastConversations')}>
+            <History size={20} />
+          </button>
+          <button onClick={newConversation} className="p-2 rounded-xl text-gray-400 hover:text-green-600" title={t('newConversation')}>
+            <Plus size={20} />
+          </button>
+        </div>
+      </div>
+
+      {showList ? (
+        <div className="flex-1 overflow-y-auto space-y-3">
+          {conversations.length === 0 && <p className="text-center text-sm text-gray-400 py-20">{t('noConversations')}</p>}
+          {conversations.map(c => (
+            <div key={c.id} onClick={() => openConversation(c)} className="bg-white p-4 rounded-2xl border border-gray-100 flex items-center gap-3 cursor-pointer shadow-sm">
+              <MessageCircle size={20} className="text-green-600 shrink-0" />
+              <div className="flex-1 min-w-0">
+                <h4 className="font-bold text-gray-800 text-sm truncate">{c.title}</h4>
+                <p className="text-xs text-gray-400">{new Date(c.updatedAt).toLocaleDateString()}{c.context && ` • ${c.context.label}`}</p>
+              </div>
+              <ChevronRight className="text-gray-300" size={20} />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="flex-1 overflow-y-auto space-y-3 pb-2">
+          {messages.length === 0 && streaming === null && (
+            <div className="text-center py-16 text-gray-400">
+              <Sparkles size={40} className="mx-auto mb-4 opacity-30" />
+              <p className="text-sm">{t('advisorEmpty')}</p>
+            </div>
+          )}
+          {messages.map(m => (
+            <div key={m.id} className={`flex ${m.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+              <p className={`max-w-[85%] px-4 py-3 rounded-2xl text-sm leading-relaxed whitespace-pre-wrap ${m.role === 'user' ? 'bg-green-600 text-white rounded-br-md' : 'bg-white border border-gray-100 text-gray-700 rounded-bl-md shadow-sm'}`}>
+                {m.text}
+              </p>
+            </div>
+          ))}
+          {streaming !== null && (
+            <div className="flex justify-start">
+              <p className="max-w-[85%] px-4 py-3 rounded-2xl rounded-bl-md text-sm leading-relaxed whitespace-pre-wrap bg-white border border-gray-100 text-gray-700 shadow-sm">
+                {streaming || <span className="animate-pulse text-gray-400">{t('thinking')}</span>}
+              </p>
+            </div>
+          )}
+          {error && <p className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-xl px-4 py-2">{error}</p>}
+          <div ref={endRef} />
+        </div>
+      )}
+
+      {attachTab && (
+        <div className="bg-white rounded-2xl border border-gray-100 shadow-sm p-3 mb-2 max-h-56 overflow-y-auto">
+          <div className="flex gap-2 mb-2">
+            {[['scans', t('myScans')], ['library', t('library')]].map(([tab, label]) => (
+              <button key={tab} onClick={() => setAttachTab(tab)} className={`px-3 py-1 rounded-full text-xs font-bold ${attachTab === tab ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-500'}`}>
+                {label}
+              </button>
+            ))}
+            <button onClick={() => setAttachTab(null)} className="ml-auto p-1 text-gray-400"><X size={16} /></button>
+          </div>
+          {(attachTab === 'scans' ? attachScans.filter(s => s.outcome !== 'retake').map(scanContext) : encyclopedia.map(entryContext)).map(item => (
+            <button key={`${item.type}-${item.id}`} onClick={() => attach(item)} className="w-full text-left px-3 py-2 rounded-xl text-sm text-gray-700 hover:bg-green-50">
+              {item.label}
+            </button>
+          ))}
+          {attachTab === 'scans' && attachScans.length >= attachLimit && (
+            <button onClick={() => setAttachLimit(attachLimit + SCAN_PAGE_SIZE)} className="w-full py-2 text-xs font-bold text-green-600">
+              {t('loadOlder')}
+            </button>
+          )}
+        </div>
+      )}
+
+      {context && (
+        <div className="flex items-center gap-2 bg-green-50 text-green-700 px-3 py-2 rounded-xl text-xs font-bold mb-2">
+          <Paperclip size={14} /> <span className="flex-1 truncate">{context.label}</span>
+          <button onClick={() => attach(null)} className="p-0.5 hover:text-green-900"><X size={14} /></button>
+        </div>
+      )}
+
+      <form onSubmit={send} className="flex items-center gap-2">
+        <button type="button" onClick={() => setAttachTab(attachTab ? null : 'scans')} className="p-3 rounded-xl text-gray-400 hover:text-green-600 bg-white border border-gray-200" title={t('attachContext')}>
+          <Paperclip size={18} />
+        </button>
+        <input
+          value={draft}
+          onChange={e => setDraft(e.target.value)}
+          placeholder={t('askPlaceholder')}
+          className="flex-1 px-4 py-3 rounded-xl border border-gray-200 bg-white text-sm focus:ring-2 focus:ring-green-500 outline-none"
+        />
+        <button type="submit" disabled={!draft.trim() || streaming !== null} className="p-3 rounded-xl bg-green-600 disabled:bg-gray-300 text-white">
+          <Send size={18} />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function ExportPanel({ t, crops, onExport, onClose }) {
+  const today = new Date().toISOString().slice(0, 10);
+  const [from, setFrom] = useState(new Date(Date.now() - 90 * DAY_MS).toISOString().slice(0, 10));
+  const [to, setTo] = useState(today);
+  const [crop, setCrop] = useState('All');
+  const [format, setFormat] = useState('csv');
+  const [status, setStatus] = useState(null);
+  const inputClass = "w-full px-3 py-2 rounded-xl border border-gray-200 bg-white text-sm focus:ring-2 focus:ring-green-500 outline-none";
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setStatus(t('exporting'));
+    try {
+      const count = await onExport({
+        from: new Date(`${from}T00:00:00`).getTime(),
+        to: new Date(`${to}T23:59:59.999`).getTime(),
+        crop,
+        format
+      });
+      setStatus(count === 1 ? t('exportedScan') : t('exportedScans', { count }));
     } catch (err) {
-      alert(err.message);
-    } finally {
-      setIsScanning(false);
+      setStatus(err.message);
     }
   };
 
-  const onFileChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (ev) => setPreviewImg(ev.target.result);
-      reader.readAsDataURL(file);
-    }
-  };
+  return (
+    <form onSubmit={submit} className="bg-white p-4 rounded-2xl border border-gray-100 shadow-sm mb-6 space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="font-bold text-gray-800 text-sm">{t('exportHistory')}</h4>
+        <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600"><X size={16} /></button>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <input type="date" value={from} max={to} onChange={e => setFrom(e.target.value)} className={inputClass} title={t('from')} required />
+        <input type="date" value={to} min={from} max={today} onChange={e => setTo(e.target.value)} className={inputClass} title={t('to')} required />
+        <select value={crop} onChange={e => setCrop(e.target.value)} className={inputClass}>
+          <option value="All">{t('allCrops')}</option>
+          {crops.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select value={format} onChange={e => setFormat(e.target.value)} className={inputClass}>
+          <option value="csv">CSV</option>
+          <option value="json">JSON</option>
+        </select>
+      </div>
+      {status && <p className="text-xs text-gray-500">{status}</p>}
+      <button type="submit" className="w-full bg-green-600 text-white py-2 rounded-xl text-sm font-bold flex items-center justify-center gap-2">
+        <Download size={16} /> {t('download')}
+      </button>
+    </form>
+  );
+}
 
-  // --- UI Components ---
-  if (authLoading) return <div className="h-screen flex items-center justify-center bg-green-50"><Sparkles className="animate-spin text-green-600" /></div>;
+// Read-only view for ?report=<token> links; works without signing in. The photo is read by its
+// storage path, which storage.rules allows only while the scan is still shared.
+function SharedReportView({ t, language, onLanguageChange, reportId }) {
+  const [state, setState] = useState({ loading: true, report: null });
+  const [imageUrl, setImageUrl] = useState(null);
 
-  if (!user || view === 'login' || view === 'signup') {
-    return (
-      <div className="min-h-screen bg-white flex flex-col items-center justify-center p-6">
-        <div className="w-full max-w-md space-y-8">
-          <div className="text-center">
-            <div className="mx-auto h-16 w-16 bg-green-600 rounded-2xl flex items-center justify-center text-white shadow-lg shadow-green-200">
-              <Leaf size={32} />
-            </div>
-            <h1 className="mt-6 text-3xl font-bold text-gray-900">Doctor Planet Pro</h1>
-            <p className="mt-2 text-sm text-gray-600">Advanced Agricultural Intelligence</p>
-          </div>
+  useEffect(() => {
+    getDoc(doc(db, 'artifacts', appId, 'public', 'data', 'sharedReports', reportId))
+      .then(snap => setState({ loading: false, report: snap.exists() ? withReview(snap.data().report) : null }))
+      .catch(() => setState({ loading: false, report: null }));
+  }, [reportId]);
 
-          <form className="mt-8 space-y-4" onSubmit={handleLogin}>
-            <input type="email" placeholder="Email address" className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:ring-2 focus:ring-green-500 outline-none" required />
-            <input type="password" placeholder="Password" className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:ring-2 focus:ring-green-500 outline-none" required />
-            <button type="submit" className="w-full bg-green-600 text-white py-4 rounded-xl font-bold hover:bg-green-700 transition-colors shadow-lg shadow-green-100">
-              Sign In to Farm
-            </button>
-          </form>
+  const imagePath = state.report?.imagePath;
+  useEffect(() => {
+    if (!imagePath) return;
+    let url = null;
+    let cancelled = false;
+    getBlob(storageRef(storage, imagePath))
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setImageUrl(url);
+      })
+      .catch(err => console.warn("Could not load the shared photo", err));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [imagePath]);
 
-          <div className="text-center space-y-4">
-            <button onClick={() => alert("Registration feature coming soon. Sign in anonymously enabled.")} className="text-sm text-green-600 font-medium">Create New Account</button>
-            <div className="relative">
-              <div className="absolute inset-0 flex items-center"><div className="w-full border-t border-gray-200"></div></div>
-              <div className="relative flex justify-center text-sm"><span className="px-2 bg-white text-gray-500">Or continue with</span></div>
-            </div>
-            <button onClick={() => signInAnonymously(auth)} className="w-full border border-gray-200 py-3 rounded-xl flex items-center justify-center gap-2 font-medium hover:bg-gray-50 transition-colors">
-              <User size={18} /> Guest Access
-            </button>
-          </div>
-        </div>
-      </div>
-    );
-  }
+  if (state.loading) return <div className="h-screen flex items-center justify-center bg-green-50"><Sparkles className="animate-spin text-green-600" /></div>;
 
+  const report = state.report && { ...localizeResult(state.report, language), imageUrl };
   return (
-    <div className="min-h-screen bg-gray-50 text-gray-900 flex flex-col font-sans">
-      {/* Header */}
-      <header className="bg-white px-6 py-4 flex justify-between items-center border-b border-gray-100 sticky top-0 z-40">
+    <div className="min-h-screen bg-gray-50 flex justify-center p-6">
+      <div className="w-full max-w-md space-y-6">
         <div className="flex items-center gap-2">
           <div className="bg-green-600 p-1.5 rounded-lg text-white"><Leaf size={20} /></div>
           <span className="font-bold text-lg tracking-tight">Doctor Planet</span>
+          <span className="ml-auto text-[10px] font-black text-gray-400 uppercase tracking-wider">{t('sharedReport')}</span>
+          <LanguagePicker value={language} onChange={onLanguageChange} label={t('language')} />
         </div>
-        <button onClick={() => signOut(auth)} className="p-2 text-gray-400 hover:text-red-500 transition-colors">
-          <LogOut size={20} />
-        </button>
-      </header>
-
-      <main className="flex-1 overflow-y-auto pb-24">
-        {activeTab === 'home' && (
-          <div className="p-6 space-y-6 max-w-2xl mx-auto">
-            <div className="bg-gradient-to-br from-green-600 to-green-800 rounded-3xl p-6 text-white shadow-xl relative overflow-hidden">
-              <div className="relative z-10">
-                <h2 className="text-2xl font-bold mb-1">AI Advisor</h2>
-                <p className="text-green-100 text-sm mb-4">Describe symptoms or ask about crop care.</p>
-                <button 
-                  onClick={() => {
-                    const q = prompt("What's happening with your crop?");
-                    if (q) callGemini(q).then(setSelectedDisease);
-                  }}
-                  className="bg-white/20 backdrop-blur-md border border-white/30 px-4 py-2 rounded-xl text-sm font-bold flex items-center gap-2"
-                >
-                  <Sparkles size={16} /> Consult AI
-                </button>
-              </div>
-              <Leaf className="absolute -right-4 -bottom-4 text-white/10 w-32 h-32 rotate-12" />
+        {!report ? (
+          <div className="text-center py-20 text-gray-400">
+            <AlertTriangle size={48} className="mx-auto mb-4 opacity-20" />
+            <p>{t('reportNotShared')}</p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-3xl p-6 shadow-sm border border-gray-100 space-y-6">
+            {isRenderableImage(report.imageUrl) && <img src={report.imageUrl} alt={report.name} className="w-full aspect-video object-cover rounded-2xl" />}
+            <div>
+              <span className={`px-3 py-1 rounded-full text-[10px] font-black uppercase tracking-wider ${SEVERITY_STYLES[report.outcome === 'healthy' ? 'Low' : normalizeSeverity(report.severity)]}`}>
+                {report.outcome === 'healthy' ? t('healthy') : t('riskLevel', { level: severityLabel(report, language) })}
+              </span>
+              <h2 className="text-2xl font-bold mt-2">{report.name}</h2>
+              <p className="text-green-600 font-bold text-sm">{report.plant} • {new Date(report.timestamp).toLocaleDateString()}</p>
             </div>
-
-            <section>
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="font-bold text-gray-800 text-lg">Disease Library</h3>
-                <div className="flex gap-2 overflow-x-auto pb-1 no-scrollbar">
-                  {['All', 'Tomato', 'Potato', 'Rice', 'Corn'].map(p => (
-                    <button 
-                      key={p}
-                      onClick={() => setSelectedPlant(p)}
-                      className={`px-4 py-1.5 rounded-full text-xs font-bold transition-all ${selectedPlant === p ? 'bg-green-600 text-white shadow-md' : 'bg-white text-gray-500 border border-gray-200'}`}
-                    >
-                      {p}
-                    </button>
-                  ))}
-                </div>
-              </div>
-              
-              <div className="grid gap-3">
-                {ENCYCLOPEDIA.filter(d => selectedPlant === 'All' || d.plant === selectedPlant).map((d, i) => (
-                  <div 
-                    key={i} 
-                    onClick={() => setSelectedDisease(d)}
-                    className="bg-white p-4 rounded-2xl border border-gray-100 flex items-center justify-between shadow-sm hover:shadow-md transition-shadow cursor-pointer"
-                  >
-                    <div>
-                      <h4 className="font-bold text-gray-800">{d.name}</h4>
-                      <p className="text-xs text-gray-400 font-medium">{d.plant} • {d.severity}</p>
-                    </div>
-                    <ChevronRight className="text-gray-300" size={20} />
-                  </div>
-                ))}
+            <div>
+              <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2">{t('symptoms')}</h4>
+              <p className="text-gray-600 text-sm leading-relaxed">{report.symptoms}</p>
+            </div>
+            <div>
+              <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2">{t('recommendedTreatment')}</h4>
+              <p className="text-gray-700 text-sm leading-relaxed">{report.treatment}</p>
+            </div>
+            {report.plan && (
+              <div>
+                <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2">{t('treatmentPlan')}</h4>
+                <ol className="list-decimal list-inside space-y-1 text-sm text-gray-700">
+                  {report.plan.actions.map((a, i) => <li key={i}>{a}</li>)}
+                </ol>
               </div>
-            </section>
+            )}
+            <button onClick={() => exportReportPdf(report, language).catch(err => alert(err.message))} className="w-full py-4 bg-gray-900 text-white rounded-2xl font-bold flex items-center justify-center gap-2">
+              <Download size={18} /> {t('downloadPdf')}
+            </button>
           </div>
         )}
+      </div>
+    </div>
+  );
+}
 
-        {activeTab === 'scan' && (
-          <div className="p-6 space-y-6 max-w-2xl mx-auto">
-            <h2 className="text-2xl font-bold">AI Diagnostic Scan</h2>
-            <p className="text-gray-500 -mt-4 text-sm">Powered by deep learning benchmarks.</p>
-            
-            <div 
-              className="aspect-square w-full bg-white border-2 border-dashed border-gray-200 rounded-3xl flex flex-col items-center justify-center relative overflow-hidden group cursor-pointer"
-              onClick={() => document.getElementById('scan-file').click()}
-            >
-              <input type="file" id="scan-file" className="hidden" accept="image/*" onChange={onFileChange} />
-              {previewImg ? (
-                <img src={previewImg} className="w-full h-full object-cover" />
-              ) : (
-                <div className="text-center p-8">
-                  <div className="bg-gray-50 w-20 h-20 rounded-full flex items-center justify-center mx-auto mb-4 group-hover:scale-110 transition-transform">
-                    <Camera className="text-gray-300" size={32} />
+function ScanDashboard({ t, scansPath, plots, entries, onBack }) {
+  const [period, setPeriod] = useState(6);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const months = recentMonths(period);
+    const since = new Date(`${months[0]}-01T00:00:00`).getTime();
+    const load = async () => {
+      const totals = emptyAnalytics(months);
+      let cursor = null;
+      setLoading(true);
+      setError(null);
+      try {
+        for (;;) {
+          const page = await getDocs(query(
+            collection(db, ...scansPath),
+            where('timestamp', '>=', since),
+            orderBy('timestamp', 'desc'),
+            ...(cursor ? [startAfter(cursor)] : []),
+            limit(ANALYTICS_PAGE_SIZE)
+          ));
+          if (cancelled) return;
+          addToAnalytics(totals, page.docs.map(d => withReview(d.data(), entries)));
+          setStats({ ...totals });
+          if (page.size < ANALYTICS_PAGE_SIZE) break;
+          cursor = page.docs[page.docs.length - 1];
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+      if (!cancelled) setLoading(false);
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [scansPath.join('/'), period, entries]);
+
+  const months = stats ? Object.keys(stats.months) : [];
+  const busiest = Math.max(1, ...months.map(m => stats.months[m].total));
+  const { current, previous } = stats ? stats.sameDays : {};
+  const change = previous ? Math.round((current - previous) / previous * 100) : null;
+  const plotName = (id) => id === 'unassigned' ? t('unassigned') : plots.find(p => p.id === id)?.name || t('deletedPlot');
+  const card = "bg-white p-4 rounded-2xl border border-gray-100 shadow-sm";
+  const heading = "text-xs font-black text-gray-400 uppercase tracking-widest mb-3";
+
+  return (
+    <div className="p-6 max-w-2xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold">{t('dashboard')}</h2>
+        <button onClick={onBack} className="px-3 py-1.5 text-xs font-bold text-green-600 bg-green-50 rounded-lg flex items-center gap-1">
+          <History size={14} /> {t('reports')}
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        {ANALYTICS_PERIODS.map(p => (
+          <button
+            key={p}
+            onClick={() => setPeriod(p)}
+            className={`px-4 py-1.5 rounded-full text-xs font-bold transition-all ${period === p ? 'bg-green-600 text-white shadow-md' : 'bg-white text-gray-500 border border-gray-200'}`}
+          >
+            {t('monthsCount', { count: p })}
+          </button>
+        ))}
+        {loading && <Sparkles size={16} className="animate-spin text-green-600 self-center ml-auto" />}
+      </div>
+
+      {error && <p className="text-sm text-red-600 bg-red-50 rounded-xl p-3">{error}</p>}
+
+      {stats && (
+        <>
+          <div className="grid grid-cols-3 gap-3">
+            <div className={card}>
+              <p className="text-2xl font-bold text-gray-800">{stats.total}</p>
+              <p className="text-[10px] font-black text-gray-400 uppercase tracking-wider">{t('scansStat')}</p>
+            </div>
+            <div className={card}>
+              <p className="text-2xl font-bold text-gray-800">{stats.total ? Math.round(months.reduce((n, m) => n + stats.months[m].diseased, 0) / stats.total * 100) : 0}%</p>
+              <p className="text-[10px] font-black text-gray-400 uppercase tracking-wider">{t('diseasedStat')}</p>
+            </div>
+            <div className={card}>
+              <p className={`text-2xl font-bold ${change > 0 ? 'text-red-600' : 'text-green-600'}`}>{change === null ? '—' : `${change > 0 ? '+' : ''}${change}%`}</p>
+              <p className="text-[10px] font-black text-gray-400 uppercase tracking-wider">{t('casesVsSameDays')}</p>
+            </div>
+          </div>
+
+          <div className={card}>
+            <h3 className={heading}>{t('monthOverMonth')}</h3>
+            <div className="flex items-end gap-2 h-32">
+              {months.map(m => (
+                <div key={m} className="flex-1 flex flex-col items-center justify-end h-full" title={t('monthSummary', stats.months[m])}>
+                  <div className="w-full bg-green-100 rounded-t-md flex flex-col justify-end" style={{ height: `${stats.months[m].total / busiest * 100}%` }}>
+                    <div className="w-full bg-red-400 rounded-t-md" style={{ height: `${stats.months[m].total ? stats.months[m].diseased / stats.months[m].total * 100 : 0}%` }} />
                   </div>
-                  <p className="text-gray-400 font-medium">Capture or Upload Leaf Image</p>
-                </div>
-              )}
-              {isScanning && (
-                <div className="absolute inset-0 bg-black/40 backdrop-blur-sm flex flex-col items-center justify-center text-white z-20">
-                  <div className="w-12 h-12 border-4 border-green-500 border-t-transparent rounded-full animate-spin mb-4"></div>
-                  <p className="font-bold tracking-widest animate-pulse">SCANNING...</p>
+                  <span className="text-[10px] text-gray-400 font-bold mt-1">{monthLabel(m)}</span>
                 </div>
-              )}
+              ))}
+            </div>
+            <div className="flex gap-4 text-[10px] text-gray-400 font-bold mt-3">
+              <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-green-100" /> {t('allScans')}</span>
+              <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-red-400" /> {t('diseasedStat')}</span>
             </div>
-
-            <button 
-              disabled={!previewImg || isScanning}
-              onClick={handleScan}
-              className="w-full bg-green-600 disabled:bg-gray-300 text-white py-4 rounded-2xl font-bold shadow-lg shadow-green-100 flex items-center justify-center gap-2"
-            >
-              {isScanning ? 'Processing...' : <><Sparkles size={18} /> Run AI Analysis</>}
-            </button>
           </div>
-        )}
 
-        {activeTab === 'history' && (
-          <div className="p-6 max-w-2xl mx-auto">
-            <h2 className="text-2xl font-bold mb-6">Recent Reports</h2>
-            <div className="space-y-4">
-              {scans.length === 0 ? (
-                <div className="text-center py-20 text-gray-400">
-                  <History size={48} className="mx-auto mb-4 opacity-20" />
-                  <p>No diagnostic history found.</p>
-                </div>
-              ) : (
-                scans.map((s, i) => (
-                  <div key={i} onClick={() => setSelectedDisease(s)} className="bg-white p-4 rounded-2xl border border-gray-100 flex items-center gap-4 cursor-pointer shadow-sm">
-                    <div className="w-12 h-12 bg-green-50 rounded-xl flex items-center justify-center text-green-600">
-                      <CheckCircle size={24} />
-                    </div>
-                    <div className="flex-1">
-                      <h4 className="font-bold text-gray-800">{s.name}</h4>
-                      <p className="text-xs text-gray-400">{s.plant} • {new Date(s.timestamp).toLocaleDateString()}</p>
+          <div className={card}>
+            <h3 className={heading}>{t('severityOverTime')}</h3>
+            <div className="space-y-2">
+              {months.map(m => {
+                const { severity, diseased } = stats.months[m];
+                return (
+                  <div key={m} className="flex items-center gap-3">
+                    <span className="w-12 text-[10px] text-gray-400 font-bold">{monthLabel(m)}</span>
+                    <div className="flex-1 flex h-3 rounded-full overflow-hidden bg-gray-100">
+                      {diseased > 0 && SEVERITY_LEVELS.map(level => severity[level] > 0 && (
+                        <div key={level} className={SEVERITY_BAR_COLORS[level]} style={{ width: `${severity[level] / diseased * 100}%` }} title={`${t(`severity${level}`)}: ${severity[level]}`} />
+                      ))}
                     </div>
-                    <ChevronRight className="text-gray-300" size={20} />
+                    <span className="w-6 text-right text-[10px] text-gray-400 font-bold">{diseased}</span>
                   </div>
-                ))
-              )}
+                );
+              })}
+            </div>
+            <div className="flex gap-4 text-[10px] text-gray-400 font-bold mt-3">
+              {SEVERITY_LEVELS.map(level => (
+                <span key={level} className="flex items-center gap-1"><span className={`w-2 h-2 rounded-full ${SEVERITY_BAR_COLORS[level]}`} /> {t(`severity${level}`)}</span>
+              ))}
             </div>
           </div>
-        )}
 
-        {activeTab === 'research' && (
-          <div className="p-6 max-w-2xl mx-auto space-y-6">
-            <h2 className="text-2xl font-bold">Literature Review</h2>
-            <div className="prose prose-sm text-gray-600 leading-relaxed space-y-4">
-              <p>Plant disease detection has been an active area of research due to its significant impact on agricultural productivity and food security. Traditional diagnosis methods rely on expert inspection, which is often subjective and inefficient for large-scale farming.</p>
-              <div className="bg-blue-50 p-4 rounded-2xl border-l-4 border-blue-400 text-blue-800 font-medium">
-                "Overall, the literature shows a clear progression from traditional machine learning to advanced deep learning approaches."
+          <div className={card}>
+            <h3 className={heading}>{t('diseasesByCrop')}</h3>
+            {Object.keys(stats.crops).length === 0 ? (
+              <p className="text-xs text-gray-400">{t('noDiseasesInPeriod')}</p>
+            ) : (
+              <div className="space-y-4">
+                {topCounts(Object.fromEntries(Object.entries(stats.crops).map(([crop, counts]) => [crop, Object.values(counts).reduce((a, b) => a + b, 0)])), 10).map(([crop, total]) => (
+                  <div key={crop}>
+                    <p className="text-sm font-bold text-gray-800 mb-1">{crop} <span className="text-xs text-gray-400">({total})</span></p>
+                    {topCounts(stats.crops[crop], 5).map(([name, count]) => (
+                      <div key={name} className="flex items-center gap-3 text-xs text-gray-600 mb-1">
+                        <span className="w-36 truncate">{name}</span>
+                        <div className="flex-1 h-2 rounded-full bg-gray-100">
+                          <div className="h-2 rounded-full bg-green-500" style={{ width: `${count / total * 100}%` }} />
+                        </div>
+                        <span className="w-6 text-right font-bold text-gray-400">{count}</span>
+                      </div>
+                    ))}
+                  </div>
+                ))}
               </div>
-              <p>Researchers have therefore explored automated approaches, primarily based on image processing and machine learning techniques. Early studies focused on classical image processing algorithms that extracted handcrafted features such as color, texture, and shape.</p>
-              <p>The advent of deep learning, particularly Convolutional Neural Networks (CNNs), revolutionized the field. Models like AlexNet and VGGNet demonstrated high performance, while MobileNet enabled real-time mobile deployability.</p>
-            </div>
+            )}
           </div>
-        )}
-      </main>
 
-      {/* Disease Detail Sheet */}
-      {selectedDisease && (
-        <div className="fixed inset-0 z-50 flex items-end justify-center px-4 pb-4 bg-black/40 backdrop-blur-sm" onClick={() => setSelectedDisease(null)}>
-          <div className="w-full max-w-md bg-white rounded-3xl p-6 shadow-2xl animate-in slide-in-from-bottom duration-300" onClick={e => e.stopPropagation()}>
-            <div className="flex justify-between items-start mb-6">
-              <div>
-                <span className={`px-3 py-1 rounded-full text-[10px] font-black uppercase tracking-wider ${selectedDisease.severity?.toLowerCase().includes('high') || selectedDisease.severity?.toLowerCase().includes('critical') ? 'bg-red-100 text-red-600' : 'bg-yellow-100 text-yellow-600'}`}>
-                  {selectedDisease.severity || 'Medium Risk'}
-                </span>
-                <h2 className="text-2xl font-bold mt-2">{selectedDisease.name}</h2>
-                <p className="text-green-600 font-bold text-sm">{selectedDisease.plant}</p>
+          <div className={card}>
+            <h3 className={heading}>{t('recurringByPlot')}</h3>
+            {Object.keys(stats.plots).length === 0 ? (
+              <p className="text-xs text-gray-400">{t('noDiseasesInPeriod')}</p>
+            ) : (
+              <div className="space-y-3">
+                {Object.entries(stats.plots).map(([id, counts]) => (
+                  <div key={id} className="flex items-start gap-3">
+                    <Sprout size={16} className="text-green-600 mt-0.5 shrink-0" />
+                    <div className="min-w-0">
+                      <p className="text-sm font-bold text-gray-800">{plotName(id)}</p>
+                      <p className="text-xs text-gray-500">
+                        {topCounts(counts, 3).map(([name, count]) => `${name} ×${count}`).join(' • ')}
+                      </p>
+                    </div>
+                  </div>
+                ))}
               </div>
-              <button onClick={() => setSelectedDisease(null)} className="p-2 bg-gray-100 rounded-full text-gray-400 hover:text-gray-600 transition-colors">
-                <X size={20} />
-              </button>
-            </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
 
-            <div className="space-y-6">
-              <div>
-                <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2 flex items-center gap-2">
-                  <AlertTriangle size={14} /> Symptoms
-                </h4>
-                <p className="text-gray-600 text-sm leading-relaxed bg-gray-50 p-3 rounded-xl border border-gray-100">{selectedDisease.symptoms}</p>
-              </div>
-              <div>
-                <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2 flex items-center gap-2">
-                  <CheckCircle size={14} /> Recommended Treatment
-                </h4>
-                <p className="text-gray-700 text-sm leading-relaxed bg-green-50 p-4 rounded-xl border border-green-100 font-medium">{selectedDisease.treatment}</p>
+function TeamPanel({ t, user, workspaces, invites, workspaceId, onSelect }) {
+  const [members, setMembers] = useState([]);
+  const [pendingInvites, setPendingInvites] = useState([]);
+  const [workspaceName, setWorkspaceName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('fieldWorker');
+  const [notice, setNotice] = useState(null);
+  const workspace = workspaces.find(w => w.id === workspaceId);
+  const isOwner = workspace?.role === 'owner';
+  const wsPath = ['artifacts', appId, 'workspaces', workspaceId];
+  const inputClass = "w-full px-3 py-2 rounded-xl border border-gray-200 bg-white text-sm focus:ring-2 focus:ring-green-500 outline-none";
+  const card = "bg-white p-4 rounded-2xl border border-gray-100 shadow-sm space-y-3";
+  const heading = "text-xs font-black text-gray-400 uppercase tracking-widest flex items-center gap-2";
+  const roleLabel = (role) => WORKSPACE_ROLES[role] ? t(WORKSPACE_ROLES[role].labelKey) : '';
+
+  useEffect(() => {
+    setMembers([]);
+    setPendingInvites([]);
+    if (!workspaceId) return;
+    const unsubscribers = [
+      onSnapshot(collection(db, ...wsPath, 'members'), snap => setMembers(snap.docs.map(d => ({ id: d.id, ...d.data() }))), err => console.error(err))
+    ];
+    if (isOwner) {
+      unsubscribers.push(onSnapshot(collection(db, ...wsPath, 'invites'), snap => setPendingInvites(snap.docs.map(d => ({ id: d.id, ...d.data() }))), err => console.error(err)));
+    }
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [workspaceId, isOwner]);
+
+  const run = (action, success) => action()
+    .then(() => setNotice(success))
+    .catch(err => setNotice(err.message));
+
+  const createWorkspace = (e) => {
+    e.preventDefault();
+    const name = workspaceName.trim();
+    if (!name) return;
+    const wsRef = doc(collection(db, 'artifacts', appId, 'workspaces'));
+    const batch = writeBatch(db);
+    batch.set(wsRef, { name, ownerUid: user.uid, createdAt: Date.now() });
+    batch.set(doc(wsRef, 'members', user.uid), { uid: user.uid, email: user.email || null, role: 'owner', workspaceName: name, joinedAt: Date.now() });
+    run(async () => {
+      await batch.commit();
+      setWorkspaceName('');
+      onSelect(wsRef.id);
+    }, t('workspaceCreated', { name }));
+  };
+
+  const sendInvite = (e) => {
+    e.preventDefault();
+    const email = inviteKey(inviteEmail);
+    if (!email) return;
+    run(async () => {
+      await setDoc(doc(db, ...wsPath, 'invites', email), { email, role: inviteRole, workspaceName: workspace.name, invitedBy: user.email || null, createdAt: Date.now() });
+      setInviteEmail('');
+    }, t('inviteSent', { email }));
+  };
+
+  // Invites are keyed by email, so the rules can match them against the verified sign-in address.
+  const acceptInvite = (invite) => run(async () => {
+    await user.reload();
+    if (!user.emailVerified) {
+      await sendEmailVerification(user);
+      throw new Error(t('verifyEmailToJoin', { email: user.email }));
+    }
+    // Refresh the ID token so the rules see email_verified.
+    await user.getIdToken(true);
+    const wsRef = doc(db, 'artifacts', appId, 'workspaces', invite.workspaceId);
+    const batch = writeBatch(db);
+    batch.set(doc(wsRef, 'members', user.uid), { uid: user.uid, email: invite.email, role: invite.role, workspaceName: invite.workspaceName, joinedAt: Date.now() });
+    batch.delete(doc(wsRef, 'invites', invite.email));
+    await batch.commit();
+    onSelect(invite.workspaceId);
+  }, t('joinedWorkspace', { name: invite.workspaceName }));
+
+  const declineInvite = (invite) =>
+    run(() => deleteDoc(doc(db, 'artifacts', appId, 'workspaces', invite.workspaceId, 'invites', invite.email)), t('inviteDeclined'));
+
+  const changeRole = (member, role) =>
+    run(() => updateDoc(doc(db, ...wsPath, 'members', member.id), { role }), t('roleChanged', { member: member.email || t('member'), role: roleLabel(role) }));
+
+  const removeMember = (member) => {
+    const leaving = member.id === user.uid;
+    if (!confirm(leaving
+      ? t('confirmLeaveWorkspace', { name: workspace.name })
+      : t('confirmRemoveMember', { member: member.email || t('thisMember'), name: workspace.name }))) return;
+    run(async () => {
+      await deleteDoc(doc(db, ...wsPath, 'members', member.id));
+      if (leaving) onSelect(null);
+    }, leaving ? t('leftWorkspace', { name: workspace.name }) : t('memberRemoved'));
+  };
+
+  return (
+    <div className="p-6 max-w-2xl mx-auto space-y-6">
+      <h2 className="text-2xl font-bold">{t('team')}</h2>
+      {notice && <p className="text-sm text-gray-600 bg-gray-100 rounded-xl p-3">{notice}</p>}
+
+      {invites.length > 0 && (
+        <div className={card}>
+          <h3 className={heading}><UserPlus size={14} /> {t('invitations')}</h3>
+          {invites.map(invite => (
+            <div key={invite.workspaceId} className="flex items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <p className="font-bold text-gray-800 text-sm truncate">{invite.workspaceName}</p>
+                <p className="text-xs text-gray-400">{roleLabel(invite.role)}{invite.invitedBy && ` • ${t('invitedBy', { email: invite.invitedBy })}`}</p>
               </div>
+              <button onClick={() => acceptInvite(invite)} className="px-3 py-1.5 text-xs font-bold text-white bg-green-600 rounded-lg">{t('join')}</button>
+              <button onClick={() => declineInvite(invite)} className="p-1.5 text-gray-400 hover:text-red-500" title={t('decline')}><X size={16} /></button>
             </div>
-            
-            <button onClick={() => setSelectedDisease(null)} className="w-full mt-8 py-4 bg-gray-900 text-white rounded-2xl font-bold shadow-xl">
-              Close Report
-            </button>
-          </div>
+          ))}
         </div>
       )}
 
-      {/* Footer Navigation */}
-      <nav className="fixed bottom-0 left-0 right-0 bg-white border-t border-gray-100 px-4 py-3 flex justify-around items-center z-40 shadow-[0_-10px_30px_-15px_rgba(0,0,0,0.1)]">
-        <NavButton icon={<Search size={22} />} label="Explore" active={activeTab === 'home'} onClick={() => setActiveTab('home')} />
-        <NavButton icon={<Camera size={22} />} label="Scan" active={activeTab === 'scan'} onClick={() => setActiveTab('scan')} />
-        <NavButton icon={<History size={22} />} label="History" active={activeTab === 'history'} onClick={() => setActiveTab('history')} />
-        <NavButton icon={<BookOpen size={22} />} label="Research" active={activeTab === 'research'} onClick={() => setActiveTab('research')} />
-      </nav>
+      <div className={card}>
+        <h3 className={heading}><Users size={14} /> {t('workspaces')}</h3>
+        {[{ id: null, name: t('personal'), role: null }, ...workspaces].map(w => (
+          <button
+            key={w.id || 'personal'}
+            onClick={() => onSelect(w.id)}
+            className={`w-full p-3 rounded-xl flex items-center justify-between text-left ${w.id === workspaceId ? 'bg-green-50 border border-green-200' : 'bg-gray-50'}`}
+          >
+            <span className="font-bold text-sm text-gray-800">{w.name}</span>
+            <span className="text-[10px] font-black text-gray-400 uppercase tracking-wider">{w.role ? roleLabel(w.role) : t('onlyYou')}</span>
+          </button>
+        ))}
+        <form onSubmit={createWorkspace} className="flex gap-2">
+          <input value={workspaceName} onChange={e => setWorkspaceName(e.target.value)} placeholder={t('newWorkspacePlaceholder')} className={inputClass} />
+          <button type="submit" className="shrink-0 px-4 bg-green-600 text-white rounded-xl text-sm font-bold flex items-center gap-1"><Plus size={16} /> {t('create')}</button>
+        </form>
+      </div>
+
+      {workspace && (
+        <div className={card}>
+          <h3 className={heading}><Sprout size={14} /> {t('workspaceMembers', { name: workspace.name })}</h3>
+          {members.map(m => (
+            <div key={m.id} className="flex items-center gap-3">
+              <User size={16} className="text-gray-400 shrink-0" />
+              <span className="flex-1 min-w-0 text-sm text-gray-700 truncate">{m.email || t('guestAccount')}{m.id === user.uid && ` ${t('you')}`}</span>
+              {isOwner && m.role !== 'owner' ? (
+                <select value={m.role} onChange={e => changeRole(m, e.target.value)} className="px-2 py-1 text-xs rounded-lg border border-gray-200 bg-white">
+                  {INVITABLE_ROLES.map(r => <option key={r} value={r}>{roleLabel(r)}</option>)}
+                </select>
+              ) : (
+                <span className="text-[10px] font-black text-gray-400 uppercase tracking-wider">{roleLabel(m.role)}</span>
+              )}
+              {m.role !== 'owner' && (isOwner || m.id === user.uid) && (
+                <button onClick={() => removeMember(m)} className="p-1.5 text-gray-300 hover:text-red-500" title={m.id === user.uid ? t('leave') : t('remove')}>
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          ))}
+
+          {isOwner && (
+            <>
+              {pendingInvites.map(invite => (
+                <div key={invite.id} className="flex items-center gap-3 text-gray-400">
+                  <UserPlus size={16} className="shrink-0" />
+                  <span className="flex-1 min-w-0 text-sm truncate">{invite.email}</span>
+                  <span className="text-[10px] font-black uppercase tracking-wider">{t('invitedAs', { role: roleLabel(invite.role) })}</span>
+                  <button onClick={() => run(() => deleteDoc(doc(db, ...wsPath, 'invites', invite.id)), t('inviteWithdrawn'))} className="p-1.5 hover:text-red-500" title={t('withdraw')}>
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              <form onSubmit={sendInvite} className="flex gap-2 pt-2">
+                <input type="email" value={inviteEmail} onChange={e => setInviteEmail(e.target.value)} placeholder="colleague@farm.com" className={inputClass} required />
+                <select value={inviteRole} onChange={e => setInviteRole(e.target.value)} className="px-2 rounded-xl border border-gray-200 bg-white text-sm">
+                  {INVITABLE_ROLES.map(r => <option key={r} value={r}>{roleLabel(r)}</option>)}
+                </select>
+                <button type="submit" className="shrink-0 px-3 bg-green-600 text-white rounded-xl" title={t('invite')}><UserPlus size={16} /></button>
+              </form>
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 }
 
-function NavButton({ icon, label, active, onClick }) {
+// Agronomist review (confirm / override) and the comment thread for a workspace scan.
+function ScanReview({ t, user, scan, canReview, encyclopedia, commentsPath, onReview }) {
+  const [comments, setComments] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [overriding, setOverriding] = useState(false);
+  const [overrideId, setOverrideId] = useState('');
+  const [note, setNote] = useState('');
+  const ai = scan.ai || { name: scan.name, severity: scan.severity, outcome: scan.outcome, entryId: scan.entryId || null };
+  const review = scan.review;
+
+  useEffect(() => {
+    const q = query(collection(db, ...commentsPath), orderBy('createdAt'));
+    const unsubscribe = onSnapshot(q, snap => setComments(snap.docs.map(d => ({ id: d.id, ...d.data() }))), err => console.error(err));
+    return () => unsubscribe();
+  }, [commentsPath.join('/')]);
+
+  const confirmDiagnosis = () => onReview({ status: 'confirmed', outcome: ai.outcome, entryId: ai.entryId, name: ai.name, severity: ai.severity, note: null });
+
+  const submitOverride = (e) => {
+    e.preventDefault();
+    const entry = overrideId !== 'healthy' && findEncyclopediaEntry(overrideId, encyclopedia);
+    if (overrideId !== 'healthy' && !entry) return;
+    onReview({
+      status: 'overridden',
+      outcome: entry ? 'disease' : 'healthy',
+      entryId: entry ? entry.id : null,
+      name: entry ? localize(entry.name, 'en') : HEALTHY_RESULT.name,
+      severity: entry ? entry.severity : 'Low',
+      note: note.trim() || null
+    });
+    setOverriding(false);
+    setNote('');
+  };
+
+  const addComment = async (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    setDraft('');
+    await addDoc(collection(db, ...commentsPath), { text, authorUid: user.uid, authorEmail: user.email || null, createdAt: Date.now() })
+      .catch(err => alert(err.message));
+  };
+
   return (
-    <button 
-      onClick={onClick}
-      className={`flex flex-col items-center gap-1 flex-1 transition-all ${active ? 'text-green-600' : 'text-gray-400'}`}
-    >
-      <div className={`p-1.5 rounded-xl transition-all ${active ? 'bg-green-50 scale-110' : ''}`}>
-        {icon}
+    <div className="mt-8 space-y-4">
+      <div className={`rounded-2xl p-4 border ${review ? 'bg-blue-50 border-blue-100' : 'bg-gray-50 border-gray-100'}`}>
+        <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2 flex items-center gap-2">
+          <ShieldCheck size={14} /> {t('agronomistReview')}
+        </h4>
+        {review ? (
+          <p className="text-sm text-blue-900">
+            {t(review.status === 'confirmed' ? 'reviewConfirmedBy' : 'reviewOverriddenBy', {
+              name: ai.name,
+              reviewer: review.reviewerEmail || t('aReviewer'),
+              date: new Date(review.reviewedAt).toLocaleDateString()
+            })}
+            {review.note && <span className="block mt-1 text-blue-700">{review.note}</span>}
+          </p>
+        ) : (
+          <p className="text-sm text-gray-500">{t('notReviewed')}</p>
+        )}
+        {canReview && !overriding && (
+          <div className="flex gap-2 mt-3">
+            <button onClick={confirmDiagnosis} className="flex-1 py-2 bg-green-600 text-white rounded-xl text-xs font-bold flex items-center justify-center gap-1">
+              <CheckCircle size={14} /> {t('confirmAi')}
+            </button>
+            <button onClick={() => setOverriding(true)} className="flex-1 py-2 bg-white border border-gray-200 text-gray-700 rounded-xl text-xs font-bold">
+              {t('override')}
+            </button>
+          </div>
+        )}
+        {canReview && overriding && (
+          <form onSubmit={submitOverride} className="space-y-2 mt-3">
+            <select value={overrideId} onChange={e => setOverrideId(e.target.value)} className="w-full px-3 py-2 rounded-xl border border-gray-200 bg-white text-sm" required>
+              <option value="" disabled>{t('correctDiagnosis')}</option>
+              <option value="healthy">{t('healthy')}</option>
+              {encyclopedia.map(entry => <option key={entry.id} value={entry.id}>{localize(entry.name, 'en')} ({entry.plant})</option>)}
+            </select>
+            <input value={note} onChange={e => setNote(e.target.value)} placeholder={t('reasonOptional')} className="w-full px-3 py-2 rounded-xl border border-gray-200 bg-white text-sm" />
+            <div className="flex gap-2">
+              <button type="submit" className="flex-1 py-2 bg-green-600 text-white rounded-xl text-xs font-bold">{t('saveOverride')}</button>
+              <button type="button" onClick={() => setOverriding(false)} className="flex-1 py-2 bg-white border border-gray-200 text-gray-500 rounded-xl text-xs font-bold">{t('cancel')}</button>
+            </div>
+          </form>
+        )}
       </div>
-      <span className="text-[10px] font-bold uppercase tracking-tighter">{label}</span>
-    </button>
+
+      <div>
+        <h4 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-2 flex items-center gap-2">
+          <MessageCircle size={14} /> {t('comments')}
+        </h4>
+        <div className="space-y-2">
+          {comments.map(c => (
+            <div key={c.id} className="bg-gray-50 rounded-xl p-3">
+              <p className="text-[10px] font-bold text-gray-400">{c.authorEmail || t('guest')} • {new Date(c.createdAt).toLocaleString()}</p>
+              <p className="text-sm text-gray-700 whitespace-pre-wrap">{c.text}</p>
+            </div>
+          ))}
+        </div>
+        <form onSubmit={addComment} className="flex gap-2 mt-2">
+          <input value={draft} onChange={e => setDraft(e.target.value)} placeholder={t('addComment')} className="flex-1 px-3 py-2 rounded-xl border border-gray-200 bg-white text-sm focus:ring-2 focus:ring-green-500 outline-none" />
+          <button type="submit" disabled={!draft.trim()} className="px-3 bg-green-600 text-white rounded-xl disabled:opacity-50"><Send size={16} /></button>
+        </form>
+      </div>
+    </div>
   );
 }
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { addDoc, setDoc, updateDoc } from 'firebase/firestore';
+import { AdvisorChat, DiagnosisError, MOCK_CHAT_REPLY, chatWithAdvisor, mockProvider } from '../app.js';
+
+// Writes are recorded instead of sent; reads return nothing.
+vi.mock('firebase/firestore', async (importOriginal) => ({
+  ...await importOriginal(),
+  addDoc: vi.fn(),
+  setDoc: vi.fn(),
+  updateDoc: vi.fn(),
+  onSnapshot: vi.fn(() => () => {})
+}));
+
+const question = [{ role: 'user', text: 'How often should I water tomato plants?' }];
+
+const writesTo = (fn, collectionName) => fn.mock.calls
+  .filter(([ref]) => ref.path.split('/').includes(collectionName))
+  .map(([, data]) => data);
+
+const ask = (text) => {
+  fireEvent.change(screen.getByPlaceholderText('Ask the advisor...'), { target: { value: text } });
+  fireEvent.submit(screen.getByPlaceholderText('Ask the advisor...').closest('form'));
+};
+
+beforeEach(() => {
+  vi.mocked(addDoc).mockReset().mockResolvedValue({});
+  vi.mocked(setDoc).mockReset().mockResolvedValue();
+  vi.mocked(updateDoc).mockReset().mockResolvedValue();
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+});
+
+describe('chatWithAdvisor', () => {
+  it('streams the mock reply in several chunks and resolves to the full text', async () => {
+    const chunks = [];
+    const reply = await chatWithAdvisor(question, null, chunk => chunks.push(chunk), 'en');
+    expect(reply).toBe(MOCK_CHAT_REPLY);
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(MOCK_CHAT_REPLY);
+  });
+
+  it('answers from the offline library when the provider is unreachable', async () => {
+    vi.spyOn(mockProvider, 'chat').mockRejectedValue(new DiagnosisError('diagnosisUnreachable', { transient: true }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const reply = await chatWithAdvisor([{ role: 'user', text: 'Brown rings on my tomato leaves' }], null, () => {}, 'en');
+    expect(reply).toMatch(/^I'm offline/);
+  });
+
+  it('answers offline in the chosen language', async () => {
+    vi.spyOn(mockProvider, 'chat').mockRejectedValue(new DiagnosisError('diagnosisUnreachable', { transient: true }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const reply = await chatWithAdvisor([{ role: 'user', text: 'Brown rings on my tomato leaves' }], null, () => {}, 'es');
+    expect(reply).toMatch(/^Estoy sin conexión/);
+    expect(reply).toMatch(/Tizón temprano/);
+  });
+
+  it('does not fall back once the provider has started streaming', async () => {
+    vi.spyOn(mockProvider, 'chat').mockImplementation(async (messages, context, onToken) => {
+      onToken('Water deeply ');
+      throw new DiagnosisError('diagnosisUnreachable', { transient: true });
+    });
+    await expect(chatWithAdvisor(question, null, () => {}, 'en')).rejects.toThrow("Could not reach the AI service.");
+  });
+
+  it('surfaces permanent provider errors', async () => {
+    vi.spyOn(mockProvider, 'chat').mockRejectedValue(new DiagnosisError('diagnosisDeclined'));
+    await expect(chatWithAdvisor(question, null, () => {}, 'en')).rejects.toThrow("safety filter");
+  });
+});
+
+describe('AdvisorChat', () => {
+  const user = { uid: 'farmer-1' };
+  const renderChat = () => render(<AdvisorChat user={user} scansPath={['artifacts', 'test-app', 'users', user.uid, 'scans']} encyclopedia={[]} seed={null} language="en" />);
+
+  it('saves the conversation, the question and the streamed reply', async () => {
+    renderChat();
+    ask('How often should I water tomato plants?');
+
+    expect(await screen.findByText(/deep, infrequent watering/)).toBeTruthy();
+    await waitFor(() => expect(writesTo(addDoc, 'messages')).toHaveLength(2));
+
+    const [conversationRef, conversation] = vi.mocked(setDoc).mock.calls[0];
+    expect(conversationRef.path).toMatch(/^artifacts\/test-app\/users\/farmer-1\/conversations\/[^/]+$/);
+    expect(conversation).toMatchObject({ title: 'How often should I water tomato plants?', context: null });
+    expect(writesTo(addDoc, 'messages')).toEqual([
+      expect.objectContaining({ role: 'user', text: 'How often should I water tomato plants?' }),
+      expect.objectContaining({ role: 'model', text: MOCK_CHAT_REPLY })
+    ]);
+    expect(vi.mocked(addDoc).mock.calls.every(([ref]) => ref.path === `${conversationRef.path}/messages`)).toBe(true);
+    expect(updateDoc).toHaveBeenCalledWith(expect.objectContaining({ path: conversationRef.path }), { updatedAt: expect.any(Number) });
+  });
+
+  it('keeps answering while writes wait for a server that is unreachable', async () => {
+    const pending = new Promise(() => {});
+    vi.mocked(addDoc).mockReturnValue(pending);
+    vi.mocked(setDoc).mockReturnValue(pending);
+    vi.mocked(updateDoc).mockReturnValue(pending);
+    renderChat();
+    ask('How often should I water tomato plants?');
+
+    await waitFor(() => expect(writesTo(addDoc, 'messages')).toContainEqual(expect.objectContaining({ role: 'model', text: MOCK_CHAT_REPLY })));
+    expect(screen.queryByText('Thinking...')).toBeNull();
+  });
+
+  it('shows a rejected write instead of leaving it unhandled', async () => {
+    vi.mocked(setDoc).mockRejectedValue(new Error('Missing or insufficient permissions.'));
+    renderChat();
+    ask('How often should I water tomato plants?');
+
+    expect(await screen.findByText('Missing or insufficient permissions.')).toBeTruthy();
+    // Let the reply finish streaming before the component is unmounted.
+    await waitFor(() => expect(writesTo(addDoc, 'messages')).toContainEqual(expect.objectContaining({ role: 'model' })));
+  });
+});
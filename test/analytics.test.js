@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { addToAnalytics, emptyAnalytics } from '../app.js';
+
+const at = (month, day) => new Date(2026, month, day, 12).getTime();
+const scan = (fields) => ({ outcome: 'disease', name: 'Early Blight', plant: 'Tomato', severity: 'High', plotId: 'north', ...fields });
+
+describe('addToAnalytics', () => {
+  // "Now" is the 10th of March 2026; the dashboard covers January to March.
+  const now = new Date(2026, 2, 10, 18);
+  const stats = () => emptyAnalytics(['2026-01', '2026-02', '2026-03']);
+
+  it('counts scans per month and diseases per crop and plot', () => {
+    const totals = addToAnalytics(stats(), [
+      scan({ timestamp: at(2, 2) }),
+      scan({ timestamp: at(2, 3), name: 'Late Blight', plant: 'Potato', severity: 'Critical', plotId: null }),
+      scan({ timestamp: at(1, 14), outcome: 'healthy', severity: 'Low' }),
+      scan({ timestamp: at(0, 20), severity: 'mild' })
+    ], now);
+
+    expect(totals.total).toBe(4);
+    expect(totals.months['2026-03']).toEqual({ total: 2, diseased: 2, severity: { Low: 0, Medium: 0, High: 1, Critical: 1 } });
+    expect(totals.months['2026-02']).toEqual({ total: 1, diseased: 0, severity: { Low: 0, Medium: 0, High: 0, Critical: 0 } });
+    expect(totals.months['2026-01'].severity.Low).toBe(1);
+    expect(totals.crops).toEqual({ Tomato: { 'Early Blight': 2 }, Potato: { 'Late Blight': 1 } });
+    expect(totals.plots).toEqual({ north: { 'Early Blight': 2 }, unassigned: { 'Late Blight': 1 } });
+  });
+
+  it('skips retakes and scans outside the months shown', () => {
+    const totals = addToAnalytics(stats(), [
+      scan({ timestamp: at(2, 1), outcome: 'retake' }),
+      scan({ timestamp: at(11, 30) - 366 * 86400000 }),
+      scan({ timestamp: at(3, 1) })
+    ], now);
+    expect(totals.total).toBe(0);
+    expect(totals.crops).toEqual({});
+  });
+
+  it('counts scans saved before outcomes existed as diseases', () => {
+    const totals = addToAnalytics(stats(), [scan({ timestamp: at(2, 5), outcome: undefined })], now);
+    expect(totals.months['2026-03'].diseased).toBe(1);
+  });
+
+  it('compares this month so far with the same days of last month', () => {
+    const totals = addToAnalytics(stats(), [
+      scan({ timestamp: at(2, 1) }),
+      scan({ timestamp: at(2, 9) }),
+      scan({ timestamp: at(1, 3) }),
+      scan({ timestamp: at(1, 10) }),
+      scan({ timestamp: at(1, 11) }),
+      scan({ timestamp: at(1, 25) }),
+      scan({ timestamp: at(1, 5), outcome: 'healthy' })
+    ], now);
+    expect(totals.sameDays).toEqual({ current: 2, previous: 2 });
+  });
+
+  it('adds up across pages', () => {
+    const totals = stats();
+    addToAnalytics(totals, [scan({ timestamp: at(2, 4) })], now);
+    addToAnalytics(totals, [scan({ timestamp: at(2, 5) })], now);
+    expect(totals.total).toBe(2);
+    expect(totals.crops.Tomato['Early Blight']).toBe(2);
+  });
+});
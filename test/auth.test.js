@@ -0,0 +1,50 @@
+import 'fake-indexeddb/auto';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { linkWithCredential, onAuthStateChanged } from 'firebase/auth';
+import { where } from 'firebase/firestore';
+import App from '../app.js';
+
+// Linking mutates the signed-in User in place and fires no auth state change.
+const guest = { uid: 'guest-uid', email: null, isAnonymous: true, getIdTokenResult: async () => ({ claims: {} }) };
+
+vi.mock('firebase/auth', async (importOriginal) => ({
+  ...await importOriginal(),
+  onAuthStateChanged: vi.fn((auth, callback) => {
+    setTimeout(() => callback(guest));
+    return () => {};
+  }),
+  linkWithCredential: vi.fn(async () => {
+    Object.assign(guest, { email: 'new@farm.test', isAnonymous: false });
+    return { user: guest };
+  })
+}));
+
+vi.mock('firebase/firestore', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    where: vi.fn(actual.where),
+    onSnapshot: vi.fn(() => () => {})
+  };
+});
+
+const inviteLookups = () => vi.mocked(where).mock.calls.filter(([field]) => field === 'email');
+
+afterEach(cleanup);
+
+describe('guest upgrade', () => {
+  it('looks up invites for the email the guest signed up with', async () => {
+    render(<App />);
+    fireEvent.click(await screen.findByText('Save Account'));
+    expect(inviteLookups()).toEqual([]);
+
+    fireEvent.change(screen.getByPlaceholderText('Email address'), { target: { value: 'new@farm.test' } });
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'secret-pass' } });
+    fireEvent.submit(screen.getByPlaceholderText('Password').closest('form'));
+
+    await waitFor(() => expect(inviteLookups()).toEqual([['email', '==', 'new@farm.test']]));
+    expect(linkWithCredential).toHaveBeenCalledTimes(1);
+    expect(screen.queryByText('Save Account')).toBeNull();
+  });
+});
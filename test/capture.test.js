@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import { QUALITY_LIMITS, describeCaptures, detectImageMimeType, gradeImageQuality, laplacianVariance } from '../app.js';
+
+const dataUrl = (bytes, label = 'application/octet-stream') =>
+  `data:${label};base64,${Buffer.from(bytes).toString('base64')}`;
+const ascii = (text) => [...text].map(c => c.charCodeAt(0));
+
+const SIGNATURES = {
+  'image/jpeg': [0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, ...ascii('JFIF')],
+  'image/png': [0x89, ...ascii('PNG'), 0x0D, 0x0A, 0x1A, 0x0A],
+  'image/webp': [...ascii('RIFF'), 0x24, 0x00, 0x00, 0x00, ...ascii('WEBPVP8 ')],
+  'image/heic': [0x00, 0x00, 0x00, 0x18, ...ascii('ftypheic'), 0x00, 0x00, 0x00, 0x00]
+};
+
+describe('detectImageMimeType', () => {
+  it.each(Object.entries(SIGNATURES))('reads %s from its magic bytes', (type, bytes) => {
+    expect(detectImageMimeType(dataUrl(bytes))).toBe(type);
+  });
+
+  it('ignores a label that disagrees with the data', () => {
+    expect(detectImageMimeType(dataUrl(SIGNATURES['image/png'], 'image/jpeg'))).toBe('image/png');
+  });
+
+  it('tells other HEIF brands from HEIC', () => {
+    expect(detectImageMimeType(dataUrl([0x00, 0x00, 0x00, 0x18, ...ascii('ftypheix')]))).toBe('image/heic');
+    expect(detectImageMimeType(dataUrl([0x00, 0x00, 0x00, 0x18, ...ascii('ftypmif1')]))).toBe('image/heif');
+  });
+
+  it('falls back to the label, then to JPEG, for unknown data', () => {
+    expect(detectImageMimeType(dataUrl(ascii('GIF89a'), 'image/gif'))).toBe('image/gif');
+    expect(detectImageMimeType(`data:;base64,${Buffer.from('unknown').toString('base64')}`)).toBe('image/jpeg');
+  });
+});
+
+describe('gradeImageQuality', () => {
+  const good = { sharpness: 200, brightness: 128, leaf: 0.6 };
+  const keys = (measurements) => gradeImageQuality({ ...good, ...measurements }).map(issue => `${issue.key}${issue.block ? '!' : ''}`);
+
+  it('passes a sharp, well-lit photo of a leaf', () => {
+    expect(gradeImageQuality(good)).toEqual([]);
+  });
+
+  it('blocks blurry photos and warns about soft ones', () => {
+    expect(keys({ sharpness: QUALITY_LIMITS.blurBlock - 1 })).toEqual(['qualityBlurry!']);
+    expect(keys({ sharpness: QUALITY_LIMITS.blurBlock })).toEqual(['qualitySoft']);
+    expect(keys({ sharpness: QUALITY_LIMITS.blurWarn - 1 })).toEqual(['qualitySoft']);
+    expect(keys({ sharpness: QUALITY_LIMITS.blurWarn })).toEqual([]);
+  });
+
+  it('blocks dark and overexposed photos and warns about dim ones', () => {
+    expect(keys({ brightness: QUALITY_LIMITS.darkBlock - 1 })).toEqual(['qualityTooDark!']);
+    expect(keys({ brightness: QUALITY_LIMITS.darkBlock })).toEqual(['qualityDim']);
+    expect(keys({ brightness: QUALITY_LIMITS.darkWarn })).toEqual([]);
+    expect(keys({ brightness: QUALITY_LIMITS.brightBlock })).toEqual([]);
+    expect(keys({ brightness: QUALITY_LIMITS.brightBlock + 1 })).toEqual(['qualityTooBright!']);
+  });
+
+  it('blocks photos without a leaf and warns when it is small', () => {
+    expect(keys({ leaf: QUALITY_LIMITS.leafBlock / 2 })).toEqual(['qualityNoLeaf!']);
+    expect(keys({ leaf: QUALITY_LIMITS.leafBlock })).toEqual(['qualityLittleLeaf']);
+    expect(keys({ leaf: QUALITY_LIMITS.leafWarn })).toEqual([]);
+  });
+
+  it('reports every problem at once', () => {
+    expect(keys({ sharpness: 0, brightness: 0, leaf: 0 })).toEqual(['qualityBlurry!', 'qualityTooDark!', 'qualityNoLeaf!']);
+  });
+});
+
+describe('laplacianVariance', () => {
+  const image = (size, pixel) => Float32Array.from({ length: size * size }, (_, i) => pixel(i % size, Math.floor(i / size)));
+
+  it('is zero for a flat image', () => {
+    expect(laplacianVariance(image(16, () => 128), 16, 16)).toBe(0);
+  });
+
+  it('is above the blur limits for sharp edges and below them for a gentle gradient', () => {
+    expect(laplacianVariance(image(16, (x, y) => (x + y) % 2 ? 255 : 0), 16, 16)).toBeGreaterThan(QUALITY_LIMITS.blurWarn);
+    expect(laplacianVariance(image(16, (x) => x * 8), 16, 16)).toBeLessThan(QUALITY_LIMITS.blurBlock);
+  });
+});
+
+describe('describeCaptures', () => {
+  it('says nothing extra for a single photo', () => {
+    expect(describeCaptures({ top: 'data:image/jpeg;base64,AA' })).toBe('');
+  });
+
+  it('lists the attached views in the order they are sent', () => {
+    expect(describeCaptures({ plant: 'b', top: 'a' }))
+      .toBe(' 2 photos of the same plant are attached, in order: top of the leaf, the whole plant.');
+    expect(describeCaptures({ plant: 'c', underside: 'b', top: 'a' }))
+      .toBe(' 3 photos of the same plant are attached, in order: top of the leaf, underside of the leaf, the whole plant.');
+  });
+
+  it('skips empty slots', () => {
+    expect(describeCaptures({ top: 'a', underside: null, plant: '' })).toBe('');
+  });
+});
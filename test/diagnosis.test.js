@@ -0,0 +1,144 @@
+import { describe, expect, it } from 'vitest';
+import { DiagnosisError, normalizeConfidence, normalizeCrop, normalizeSeverity, validateDiagnosis } from '../app.js';
+
+describe('normalizeSeverity', () => {
+  it.each([
+    ['Critical', 'Critical'],
+    ['very high', 'Critical'],
+    ['Severe infection', 'Critical'],
+    ['HIGH', 'High'],
+    ['Moderate risk', 'Medium'],
+    ['mild', 'Low'],
+    ['none', 'Low'],
+    ['unknown', 'Medium'],
+    ['', 'Medium'],
+    [undefined, 'Medium'],
+    [3, 'Medium']
+  ])('maps %j to %s', (value, expected) => {
+    expect(normalizeSeverity(value)).toBe(expected);
+  });
+});
+
+describe('normalizeCrop', () => {
+  it.each([
+    ['Tomato', 'Tomato'],
+    ['tomato plant', 'Tomato'],
+    ['Solanum lycopersicum leaves', 'Tomato'],
+    ['paddy', 'Rice'],
+    ['Maize crop', 'Corn'],
+    ['chilli', 'Pepper'],
+    ['Sweet potato', 'Other'],
+    ['Black pepper', 'Other'],
+    ['pineapple', 'Other'],
+    ['peppermint', 'Other'],
+    ['Mango', 'Other'],
+    ['leaf', 'Unknown'],
+    ['', 'Unknown'],
+    [null, 'Unknown']
+  ])('maps %j to %s', (value, expected) => {
+    expect(normalizeCrop(value)).toBe(expected);
+  });
+});
+
+describe('normalizeConfidence', () => {
+  it.each([
+    [0.82, 0.82],
+    ['0.5', 0.5],
+    [82, 0.82],
+    [150, 1],
+    [-0.3, 0],
+    [0, 0],
+    ['high', null],
+    [undefined, null],
+    [Infinity, null]
+  ])('maps %j to %j', (value, expected) => {
+    expect(normalizeConfidence(value)).toBe(expected);
+  });
+});
+
+describe('validateDiagnosis', () => {
+  it.each([
+    ['null', null],
+    ['a string', 'Early Blight'],
+    ['an array', [{ name: 'Early Blight' }]]
+  ])('rejects %s as malformed', (label, raw) => {
+    expect(() => validateDiagnosis(raw)).toThrow(DiagnosisError);
+    expect(() => validateDiagnosis(raw)).toThrow(/malformed/);
+  });
+
+  it.each([
+    ['an empty object', {}],
+    ['a disease without candidates', { outcome: 'disease', candidates: [] }],
+    ['candidates without names', { candidates: [{ name: '  ' }, { plant: 'Tomato' }, null] }],
+    ['an unknown outcome and no candidates', { outcome: 'maybe' }]
+  ])('rejects %s as incomplete', (label, raw) => {
+    expect(() => validateDiagnosis(raw)).toThrow(/incomplete/);
+  });
+
+  it('fills missing fields of a partial candidate from the library', () => {
+    const { outcome, candidates, plan } = validateDiagnosis({ candidates: [{ name: 'early blight' }] });
+    expect(outcome).toBe('disease');
+    expect(candidates[0]).toMatchObject({
+      name: 'Early Blight',
+      entryId: 'early-blight',
+      plant: 'Tomato',
+      severity: 'High',
+      confidence: 0,
+      symptoms: expect.stringMatching(/^Target-like brown spots/)
+    });
+    expect(plan).toMatchObject({ intervalDays: 7, repeats: 1 });
+    expect(plan.actions.length).toBeGreaterThan(0);
+  });
+
+  it('falls back to generic text for a disease the library does not know', () => {
+    const [candidate] = validateDiagnosis({ outcome: 'disease', plant: 'Mango', candidates: [{ name: 'Mango Anthracnose ', severity: 'bad' }] }).candidates;
+    expect(candidate).toMatchObject({
+      name: 'Mango Anthracnose',
+      entryId: null,
+      plant: 'Other',
+      severity: 'Medium',
+      symptoms: 'No symptom description provided.',
+      treatment: 'Consult a local agronomist for treatment options.'
+    });
+  });
+
+  it('treats a bare candidate object as a single diagnosis', () => {
+    const { candidates } = validateDiagnosis({ name: 'Late Blight', plant: 'potatoes', confidence: 74 });
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0]).toMatchObject({ name: 'Late Blight', plant: 'Potato', confidence: 0.74 });
+  });
+
+  it('clamps out-of-range confidences and ranks candidates by them', () => {
+    const { candidates, confidence } = validateDiagnosis({
+      confidence: 140,
+      candidates: [
+        { name: 'Septoria Leaf Spot', confidence: -2 },
+        { name: 'Early Blight', confidence: 250 },
+        { name: 'Late Blight', confidence: 'unsure' }
+      ]
+    });
+    expect(confidence).toBe(1);
+    expect(candidates.map(c => [c.name, c.confidence])).toEqual([
+      ['Early Blight', 1],
+      ['Septoria Leaf Spot', 0],
+      ['Late Blight', 0]
+    ]);
+  });
+
+  it('keeps healthy and retake outcomes without candidates or a plan', () => {
+    expect(validateDiagnosis({ outcome: 'healthy', plant: 'tomato plant', confidence: 0.9 })).toMatchObject({
+      outcome: 'healthy', candidates: [], plant: 'Tomato', confidence: 0.9, plan: null
+    });
+    expect(validateDiagnosis({ outcome: 'retake', note: ' Out of focus. ', candidates: 'none' })).toMatchObject({
+      outcome: 'retake', candidates: [], plant: null, note: 'Out of focus.', plan: null
+    });
+  });
+
+  it('clamps a plan the model got wrong', () => {
+    const { plan } = validateDiagnosis({
+      candidates: [{ name: 'Early Blight', treatment: 'Spray copper. Remove leaves.' }],
+      plan: { actions: [], product: ' Copper ', intervalDays: 400, repeats: 0.2 }
+    });
+    expect(plan).toEqual({ actions: ['Spray copper.', 'Remove leaves.'], product: 'Copper', dose: null, intervalDays: 60, repeats: 1 });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { csvCell, scansToCsv, toSharedReport, wrapText } from '../app.js';
+
+describe('csvCell', () => {
+  it.each([
+    [null, ''],
+    [undefined, ''],
+    ['Early Blight', 'Early Blight'],
+    [0.82, '0.82'],
+    [-12.5, '-12.5'],
+    ['Spray, then wait', '"Spray, then wait"'],
+    ['The "target" spots', '"The ""target"" spots"'],
+    ['Line one\nLine two', '"Line one\nLine two"'],
+    ['=HYPERLINK("http://evil.test")', '"\'=HYPERLINK(""http://evil.test"")"'],
+    ['+1 litre', "'+1 litre"],
+    ['-5 days', "'-5 days"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\tcmd', "'\tcmd"],
+    ['\rcmd', '"\'\rcmd"'],
+    ['a=b', 'a=b']
+  ])('writes %j as %j', (value, expected) => {
+    expect(csvCell(value)).toBe(expected);
+  });
+});
+
+describe('scansToCsv', () => {
+  const plots = [{ id: 'north', name: 'North, lower field' }];
+
+  it('writes a header and one row per scan', () => {
+    const csv = scansToCsv([
+      {
+        timestamp: Date.UTC(2026, 4, 2, 9, 30),
+        name: 'Early Blight',
+        plant: 'Tomato',
+        outcome: 'disease',
+        severity: 'very high',
+        confidence: 0.82,
+        plotId: 'north',
+        location: { lat: -12.5, lng: 77.25 },
+        symptoms: 'Brown rings.',
+        treatment: '=cmd|" /C calc"!A0',
+        imageUrl: 'https://storage.test/original.jpg'
+      },
+      { timestamp: Date.UTC(2026, 4, 3), name: 'No Disease Detected', plant: 'Tomato', outcome: 'healthy', severity: 'Low', imageUrl: 'data:image/jpeg;base64,/9j' }
+    ], plots);
+
+    expect(csv.split('\n')).toEqual([
+      'date,name,plant,outcome,severity,confidence,plot,latitude,longitude,symptoms,treatment,imageUrl',
+      '2026-05-02T09:30:00.000Z,Early Blight,Tomato,disease,Critical,0.82,"North, lower field",-12.5,77.25,Brown rings.,"\'=cmd|"" /C calc""!A0",https://storage.test/original.jpg',
+      '2026-05-03T00:00:00.000Z,No Disease Detected,Tomato,healthy,,,,,,,,'
+    ]);
+  });
+
+  it('writes only the header for an empty history', () => {
+    expect(scansToCsv([], plots)).toBe('date,name,plant,outcome,severity,confidence,plot,latitude,longitude,symptoms,treatment,imageUrl');
+  });
+});
+
+describe('toSharedReport', () => {
+  it('copies the report by photo path, without download URLs, authorship or the reviewer', () => {
+    const scan = {
+      name: 'Early Blight',
+      plant: 'Tomato',
+      severity: 'High',
+      outcome: 'disease',
+      timestamp: 1,
+      imageUrl: 'https://storage.test/original.jpg?token=secret',
+      thumbnailUrl: 'https://storage.test/thumbnail.jpg?token=secret',
+      imagePath: 'artifacts/app/workspaces/farm/scans/scan-1/original.jpg',
+      authorUid: 'worker-uid',
+      authorEmail: 'worker@farm.test',
+      shareToken: 'token-1',
+      location: { lat: 12.9, lng: 77.6 },
+      review: { status: 'overridden', outcome: 'disease', entryId: 'late-blight', name: 'Late Blight', severity: 'Critical', note: 'Checked in person', reviewerUid: 'agro-uid', reviewerEmail: 'agro@farm.test', reviewedAt: 2 }
+    };
+    expect(toSharedReport(scan)).toEqual({
+      name: 'Early Blight',
+      plant: 'Tomato',
+      severity: 'High',
+      outcome: 'disease',
+      timestamp: 1,
+      imagePath: 'artifacts/app/workspaces/farm/scans/scan-1/original.jpg',
+      review: { status: 'overridden', outcome: 'disease', entryId: 'late-blight', name: 'Late Blight', severity: 'Critical' }
+    });
+  });
+});
+
+describe('wrapText', () => {
+  const byLength = (text) => text.length;
+
+  it('fills each line with as many words as fit', () => {
+    expect(wrapText('Remove the infected lower leaves and spray copper', 20, byLength)).toEqual([
+      'Remove the infected',
+      'lower leaves and',
+      'spray copper'
+    ]);
+  });
+
+  it('keeps line breaks and collapses runs of spaces', () => {
+    expect(wrapText('1. Spray\n2.  Wait   a week', 20, byLength)).toEqual(['1. Spray', '2. Wait a week']);
+  });
+
+  it('puts a word wider than the line on a line of its own instead of splitting it', () => {
+    expect(wrapText('पत्तियों पर छल्लेदार भूरे धब्बे', 5, byLength)).toEqual(['पत्तियों', 'पर', 'छल्लेदार', 'भूरे', 'धब्बे']);
+  });
+
+  it('measures with the given function', () => {
+    const wide = (text) => text.length * 2;
+    expect(wrapText('ಎಲೆ ಮೇಲೆ ಕಂದು ಚುಕ್ಕೆ', 22, wide)).toEqual(['ಎಲೆ ಮೇಲೆ', 'ಕಂದು ಚುಕ್ಕೆ']);
+  });
+});
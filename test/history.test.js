@@ -0,0 +1,96 @@
+import 'fake-indexeddb/auto';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import { onSnapshot } from 'firebase/firestore';
+import App from '../app.js';
+
+const farmer = { uid: 'farmer-uid', email: 'farmer@test.dev', isAnonymous: false, getIdTokenResult: async () => ({ claims: {} }) };
+
+vi.mock('firebase/auth', async (importOriginal) => ({
+  ...await importOriginal(),
+  onAuthStateChanged: vi.fn((auth, callback) => {
+    setTimeout(() => callback(farmer));
+    return () => {};
+  })
+}));
+
+// Queries are plain records of their constraints, so the fake listener can answer history pages.
+vi.mock('firebase/firestore', async (importOriginal) => ({
+  ...await importOriginal(),
+  query: (source, ...constraints) => ({ source, constraints }),
+  where: (...args) => ({ type: 'where', args }),
+  orderBy: (...args) => ({ type: 'orderBy', args }),
+  limit: (count) => ({ type: 'limit', count }),
+  startAfter: (doc) => ({ type: 'startAfter', doc }),
+  endAt: (doc) => ({ type: 'endAt', doc }),
+  onSnapshot: vi.fn(() => () => {})
+}));
+
+// 70 scans, newest first.
+const olderHistory = Array.from({ length: 70 }, (_, i) => ({
+  id: `scan-${i}`,
+  data: () => ({ name: `Report ${i}`, plant: 'Tomato', outcome: 'disease', severity: 'Low', timestamp: Date.UTC(2026, 0, 1) - i * 3600000 })
+}));
+
+const constraint = (q, type) => q.constraints.find(c => c.type === type);
+
+// Serves history pages the way Firestore would for orderBy('timestamp', 'desc').
+const subscriptions = [];
+const serveHistory = (history = olderHistory) => vi.mocked(onSnapshot).mockImplementation((q, next) => {
+  if (!q.constraints?.some(c => c.type === 'orderBy' && c.args[0] === 'timestamp')) return () => {};
+  const after = constraint(q, 'startAfter')?.doc;
+  const end = constraint(q, 'endAt')?.doc;
+  const pageSize = constraint(q, 'limit')?.count;
+  const from = after ? history.indexOf(after) + 1 : 0;
+  const to = end ? history.indexOf(end) + 1 : from + pageSize;
+  const subscription = { after: after?.id, end: end?.id, pageSize, active: true };
+  subscriptions.push(subscription);
+  setTimeout(() => next({ docs: history.slice(from, to), metadata: { fromCache: false } }));
+  return () => { subscription.active = false; };
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+  localStorage.clear();
+});
+
+describe('history paging', () => {
+  it('loads older reports after a cursor without re-reading the pages already shown', async () => {
+    serveHistory();
+    // Offline, so the sign-in sync of the offline queue can't outlive the test.
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    render(<App />);
+    fireEvent.click(await screen.findByText('History'));
+    await screen.findByText('Report 49');
+    expect(screen.queryByText('Report 50')).toBeNull();
+    expect(subscriptions).toEqual([{ after: undefined, end: undefined, pageSize: 50, active: true }]);
+
+    fireEvent.click(screen.getByText('Load older reports'));
+    await screen.findByText('Report 69');
+    expect(subscriptions.filter(s => s.active)).toEqual([
+      { after: undefined, end: 'scan-49', pageSize: undefined, active: true },
+      { after: 'scan-49', end: undefined, pageSize: 50, active: true }
+    ]);
+    expect(screen.getAllByText(/^Report \d+$/)).toHaveLength(70);
+    expect(screen.queryByText('Load older reports')).toBeNull();
+  });
+});
+
+describe('translated history', () => {
+  it('shows library diseases and healthy results in the chosen language', async () => {
+    localStorage.setItem('doctor-planet-language', 'hi');
+    serveHistory([
+      { id: 'scan-blight', data: () => ({ name: 'Early Blight', entryId: 'early-blight', plant: 'Tomato', outcome: 'disease', severity: 'High', timestamp: Date.UTC(2026, 0, 1) }) },
+      { id: 'scan-unknown', data: () => ({ name: 'Unlisted Spot', entryId: null, plant: 'Tomato', outcome: 'disease', severity: 'Low', timestamp: Date.UTC(2025, 11, 31) }) },
+      { id: 'scan-healthy', data: () => ({ name: 'No Disease Detected', plant: 'Tomato', outcome: 'healthy', severity: 'Low', timestamp: Date.UTC(2025, 11, 30) }) }
+    ]);
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    render(<App />);
+    fireEvent.click(await screen.findByText('इतिहास'));
+    expect(await screen.findByText('अगेती झुलसा')).toBeTruthy();
+    expect(screen.queryByText('Early Blight')).toBeNull();
+    expect(screen.getByText('Unlisted Spot')).toBeTruthy();
+    expect(screen.getByText('कोई रोग नहीं मिला')).toBeTruthy();
+  });
+});
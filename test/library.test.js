@@ -0,0 +1,49 @@
+import 'fake-indexeddb/auto';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import { writeBatch } from 'firebase/firestore';
+import App from '../app.js';
+
+const admin = { uid: 'admin-uid', email: 'admin@test.dev', isAnonymous: false, getIdTokenResult: async () => ({ claims: { admin: true } }) };
+
+vi.mock('firebase/auth', async (importOriginal) => ({
+  ...await importOriginal(),
+  onAuthStateChanged: vi.fn((auth, callback) => {
+    setTimeout(() => callback(admin));
+    return () => {};
+  })
+}));
+
+vi.mock('firebase/firestore', async (importOriginal) => ({
+  ...await importOriginal(),
+  writeBatch: vi.fn(),
+  onSnapshot: vi.fn(() => () => {})
+}));
+
+// Batches record how many writes they hold; the second commit is refused.
+const batches = [];
+const failSecondCommit = () => vi.mocked(writeBatch).mockImplementation(() => {
+  const batch = { size: 0, set: () => { batch.size++; }, commit: vi.fn(async () => {
+    if (batches.indexOf(batch) === 1) throw new Error('Quota exceeded.');
+  }) };
+  batches.push(batch);
+  return batch;
+});
+
+const entries = Array.from({ length: 650 }, (_, i) => ({ name: `Disease ${i}`, plant: 'Tomato', symptoms: 'Spots.' }));
+
+afterEach(cleanup);
+
+describe('encyclopedia import', () => {
+  it('says how far a large import got when a batch fails', async () => {
+    failSecondCommit();
+    render(<App />);
+    fireEvent.click(await screen.findByTitle('Import diseases'));
+    fireEvent.change(screen.getByPlaceholderText(/Powdery Mildew/), { target: { value: JSON.stringify(entries) } });
+    fireEvent.click(screen.getByText('Import'));
+
+    expect(await screen.findByText('Imported 500 of 650 entries, then the import failed: Quota exceeded. Importing the same file again is safe.')).toBeTruthy();
+    expect(batches.map(b => b.size)).toEqual([500, 150]);
+    expect(screen.getByPlaceholderText(/Powdery Mildew/).value).not.toBe('');
+  });
+});
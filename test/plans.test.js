@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { nextFollowUp, planToIcs } from '../app.js';
+
+const DAY = 86400000;
+const started = Date.UTC(2026, 2, 1, 8, 0);
+const plan = { actions: ['Spray'], product: 'Copper; 50% WP', intervalDays: 7, repeats: 3, startedAt: started, applications: 1 };
+
+const events = (ics) => ics.split('BEGIN:VEVENT').slice(1).map(block => Object.fromEntries(
+  block.split('\r\n').filter(line => /^(UID|DTSTART|SUMMARY|TRIGGER):/.test(line)).map(line => line.split(/:(.*)/s).slice(0, 2))
+));
+
+describe('planToIcs', () => {
+  it('schedules the remaining applications and the re-scan, each with an alarm', () => {
+    const ics = planToIcs(plan, 'Early Blight');
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(events(ics)).toEqual([
+      { UID: `${started}-application-2@doctor-planet`, DTSTART: '20260308T080000Z', SUMMARY: 'Early Blight: Application 2 of 3: Copper\\; 50% WP', TRIGGER: 'PT0M' },
+      { UID: `${started}-application-3@doctor-planet`, DTSTART: '20260315T080000Z', SUMMARY: 'Early Blight: Application 3 of 3: Copper\\; 50% WP', TRIGGER: 'PT0M' },
+      { UID: `${started}-rescan@doctor-planet`, DTSTART: '20260322T080000Z', SUMMARY: 'Early Blight: Re-scan to check treatment progress', TRIGGER: 'PT0M' }
+    ]);
+  });
+
+  it('only has the re-scan left once every application is done', () => {
+    const ics = planToIcs({ ...plan, applications: 3 }, 'Early Blight');
+    expect(events(ics).map(e => e.DTSTART)).toEqual(['20260322T080000Z']);
+  });
+
+  it('escapes commas and translates the summaries', () => {
+    const [first] = events(planToIcs({ ...plan, product: null }, 'Tizón, temprano', 'es'));
+    expect(first.SUMMARY).toMatch(/^Tizón\\, temprano: /);
+    expect(first.SUMMARY).not.toMatch(/Application/);
+  });
+});
+
+describe('nextFollowUp', () => {
+  it('has nothing to follow up before the plan starts or after the re-scan', () => {
+    expect(nextFollowUp(undefined)).toBeNull();
+    expect(nextFollowUp({ ...plan, startedAt: undefined })).toBeNull();
+    expect(nextFollowUp({ ...plan, followUpScanId: 'scan-2' })).toBeNull();
+  });
+
+  it('schedules each application one interval after the previous', () => {
+    expect(nextFollowUp({ ...plan, applications: 0 })).toEqual({ key: 'application-1', type: 'application', number: 1, dueAt: started });
+    expect(nextFollowUp(plan)).toEqual({ key: 'application-2', type: 'application', number: 2, dueAt: started + 7 * DAY });
+    expect(nextFollowUp({ ...plan, applications: 2 })).toMatchObject({ key: 'application-3', dueAt: started + 14 * DAY });
+  });
+
+  it('asks for a re-scan one interval after the last application', () => {
+    expect(nextFollowUp({ ...plan, applications: 3 })).toEqual({ key: 'rescan', type: 'rescan', dueAt: started + 21 * DAY });
+    expect(nextFollowUp({ ...plan, repeats: 1, applications: 1, intervalDays: 5 })).toMatchObject({ type: 'rescan', dueAt: started + 5 * DAY });
+  });
+});
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DiagnosisError, diagnose, geminiProvider, mockProvider } from '../app.js';
+
+const geminiReply = (body) => ({
+  ok: true,
+  status: 200,
+  json: async () => ({ candidates: [{ content: { parts: [{ text: JSON.stringify(body) }] } }] })
+});
+const httpError = (status) => ({ ok: false, status });
+
+describe('Gemini retries', () => {
+  beforeEach(() => vi.useFakeTimers());
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  // Runs the backoff timers and settles the diagnosis.
+  const settle = async (promise) => {
+    const settled = promise.then(value => ({ value }), error => ({ error }));
+    await vi.runAllTimersAsync();
+    return settled;
+  };
+
+  it('retries server errors and rate limits with backoff until an answer arrives', async () => {
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(httpError(503))
+      .mockResolvedValueOnce(httpError(429))
+      .mockResolvedValueOnce(geminiReply({ outcome: 'healthy', candidates: [] }));
+    vi.stubGlobal('fetch', fetch);
+
+    const { value } = await settle(geminiProvider.diagnose('Analyze this leaf'));
+    expect(value).toEqual({ outcome: 'healthy', candidates: [] });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('retries dropped connections', async () => {
+    const fetch = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(geminiReply({ outcome: 'retake', candidates: [] }));
+    vi.stubGlobal('fetch', fetch);
+
+    const { value } = await settle(geminiProvider.diagnose('Analyze this leaf'));
+    expect(value.outcome).toBe('retake');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after five attempts with a transient error', async () => {
+    const fetch = vi.fn().mockResolvedValue(httpError(500));
+    vi.stubGlobal('fetch', fetch);
+
+    const { error } = await settle(geminiProvider.diagnose('Analyze this leaf'));
+    expect(error).toBeInstanceOf(DiagnosisError);
+    expect(error).toMatchObject({ transient: true, status: 500 });
+    expect(fetch).toHaveBeenCalledTimes(5);
+  });
+
+  it('names the failure with a translatable code', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(httpError(418)));
+
+    const { error } = await settle(geminiProvider.diagnose('Analyze this leaf'));
+    expect(error).toMatchObject({ code: 'diagnosisRejected', vars: { status: 418 }, message: 'The AI service rejected the request (HTTP 418).' });
+  });
+
+  it.each([400, 401, 403, 404])('does not retry HTTP %i', async (status) => {
+    const fetch = vi.fn().mockResolvedValue(httpError(status));
+    vi.stubGlobal('fetch', fetch);
+
+    const { error } = await settle(geminiProvider.diagnose('Analyze this leaf'));
+    expect(error).toMatchObject({ transient: false, status });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('diagnose', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it('uses the on-device classifier when the provider is not available', async () => {
+    vi.spyOn(mockProvider, 'isAvailable').mockReturnValue(false);
+    const primary = vi.spyOn(mockProvider, 'diagnose');
+    const result = await diagnose('Analyze this leaf', ['data:image/jpeg;base64,/9j/4A==']);
+    expect(result.source).toBe('local');
+    expect(primary).not.toHaveBeenCalled();
+  });
+
+  it('surfaces transient provider errors instead of falling back, so the scan can be queued', async () => {
+    vi.spyOn(mockProvider, 'diagnose').mockRejectedValue(new DiagnosisError('diagnosisUnreachable', { transient: true }));
+    await expect(diagnose('Analyze this leaf', ['data:image/jpeg;base64,/9j/4A=='])).rejects.toMatchObject({ transient: true });
+  });
+
+  it('surfaces permanent provider errors', async () => {
+    vi.spyOn(mockProvider, 'diagnose').mockRejectedValue(new DiagnosisError('diagnosisBlocked', { vars: { reason: 'SAFETY' } }));
+    await expect(diagnose('Analyze this leaf', [])).rejects.toMatchObject({ transient: false });
+  });
+});
@@ -0,0 +1,292 @@
+// @vitest-environment node
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment
+} from '@firebase/rules-unit-testing';
+import {
+  collectionGroup,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch
+} from 'firebase/firestore';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+import { initializeApp } from 'firebase/app';
+import { connectAuthEmulator, getAuth, signInAnonymously, signInWithEmailAndPassword, signOut } from 'firebase/auth';
+import { toSharedReport, upgradeGuestAccount } from '../app.js';
+
+// Runs against the Auth, Firestore and Storage emulators: `npm run test:rules`.
+const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST && process.env.FIREBASE_STORAGE_EMULATOR_HOST);
+const authHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+
+const APP = 'test-app';
+const WS = `artifacts/${APP}/workspaces/farm`;
+const SCAN = `${WS}/scans/scan-1`;
+const SHARES = `artifacts/${APP}/public/data/sharedReports`;
+const STORED_SCAN = {
+  name: 'Early Blight',
+  disease: 'Early Blight',
+  plotId: 'north',
+  authorUid: 'worker-uid',
+  authorEmail: 'worker@farm.test',
+  imagePath: `${SCAN}/original.jpg`,
+  plan: { actions: ['Spray'], product: 'Copper', dose: '3 g/l', intervalDays: 7, repeats: 3 }
+};
+const PHOTO = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+
+describe.skipIf(!emulated)('security rules', () => {
+  let env;
+
+  const as = (uid, token = {}) => env.authenticatedContext(uid, token);
+  const owner = () => as('owner-uid').firestore();
+  const agronomist = () => as('agro-uid').firestore();
+  const worker = () => as('worker-uid').firestore();
+  const stranger = () => as('stranger-uid').firestore();
+
+  beforeAll(async () => {
+    env = await initializeTestEnvironment({
+      projectId: 'demo-doctor-planet',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+      storage: { rules: readFileSync('storage.rules', 'utf8') }
+    });
+  });
+
+  afterAll(() => env?.cleanup());
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.clearStorage();
+    await env.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, WS), { name: 'Farm', ownerUid: 'owner-uid' });
+      await setDoc(doc(db, `${WS}/members/owner-uid`), { uid: 'owner-uid', role: 'owner' });
+      await setDoc(doc(db, `${WS}/members/agro-uid`), { uid: 'agro-uid', role: 'agronomist' });
+      await setDoc(doc(db, `${WS}/members/worker-uid`), { uid: 'worker-uid', role: 'fieldWorker' });
+      await setDoc(doc(db, `${WS}/invites/new@farm.test`), { email: 'new@farm.test', role: 'fieldWorker', workspaceName: 'Farm' });
+      await setDoc(doc(db, `${WS}/plots/north`), { name: 'North field', crop: 'Tomato' });
+      await setDoc(doc(db, SCAN), STORED_SCAN);
+      await setDoc(doc(db, `${WS}/scans/scan-agro`), { ...STORED_SCAN, authorUid: 'agro-uid', authorEmail: 'agro@farm.test' });
+    });
+  });
+
+  describe('membership', () => {
+    it('lets members read workspace scans and plots', async () => {
+      await assertSucceeds(getDoc(doc(worker(), SCAN)));
+      await assertSucceeds(getDoc(doc(agronomist(), `${WS}/plots/north`)));
+    });
+
+    it('keeps non-members out', async () => {
+      await assertFails(getDoc(doc(stranger(), SCAN)));
+      await assertFails(getDoc(doc(stranger(), `${WS}/plots/north`)));
+      await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), WS)));
+    });
+  });
+
+  describe('plots', () => {
+    it('lets any member add a plot', async () => {
+      await assertSucceeds(setDoc(doc(worker(), `${WS}/plots/south`), { name: 'South', crop: 'Potato' }));
+    });
+
+    it('leaves renaming and deleting to owners and agronomists', async () => {
+      await assertFails(updateDoc(doc(worker(), `${WS}/plots/north`), { name: 'Mine' }));
+      await assertFails(deleteDoc(doc(worker(), `${WS}/plots/north`)));
+      await assertSucceeds(updateDoc(doc(agronomist(), `${WS}/plots/north`), { name: 'North block' }));
+      await assertSucceeds(deleteDoc(doc(owner(), `${WS}/plots/north`)));
+    });
+  });
+
+  describe('reviews', () => {
+    const review = (uid) => ({ review: { status: 'confirmed', reviewerUid: uid, reviewedAt: 1 } });
+
+    it('refuses reviews from field workers', async () => {
+      await assertFails(updateDoc(doc(worker(), SCAN), review('worker-uid')));
+    });
+
+    it('accepts reviews from agronomists signed as themselves', async () => {
+      await assertSucceeds(updateDoc(doc(agronomist(), SCAN), review('agro-uid')));
+      await assertFails(updateDoc(doc(agronomist(), SCAN), review('owner-uid')));
+    });
+
+    it('does not let a review ride along with other changes', async () => {
+      await assertFails(updateDoc(doc(agronomist(), SCAN), { ...review('agro-uid'), disease: 'Late Blight' }));
+    });
+  });
+
+  describe('authorship', () => {
+    it('requires new scans to be signed by their author', async () => {
+      await assertSucceeds(setDoc(doc(worker(), `${WS}/scans/scan-2`), { authorUid: 'worker-uid' }));
+      await assertFails(setDoc(doc(worker(), `${WS}/scans/scan-3`), { authorUid: 'agro-uid' }));
+      await assertFails(setDoc(doc(worker(), `${WS}/scans/scan-4`), { authorUid: 'worker-uid', review: { status: 'confirmed' } }));
+    });
+
+    it('never lets anyone rewrite who took a scan', async () => {
+      await assertFails(updateDoc(doc(worker(), SCAN), { authorUid: 'agro-uid' }));
+      await assertFails(updateDoc(doc(worker(), SCAN), { authorEmail: 'someone@farm.test' }));
+      await assertFails(updateDoc(doc(owner(), SCAN), { authorUid: 'owner-uid' }));
+    });
+
+    it('keeps the diagnosis with its author', async () => {
+      await assertSucceeds(updateDoc(doc(worker(), SCAN), { disease: 'Late Blight' }));
+      await assertFails(updateDoc(doc(agronomist(), SCAN), { disease: 'Septoria Leaf Spot' }));
+      await assertFails(updateDoc(doc(agronomist(), SCAN), { 'plan.product': 'Mancozeb' }));
+    });
+
+    it('lets the author, owners and agronomists record treatment progress', async () => {
+      await assertSucceeds(updateDoc(doc(agronomist(), SCAN), { 'plan.startedAt': 1, 'plan.applications': 1 }));
+      await assertSucceeds(updateDoc(doc(owner(), SCAN), { 'plan.followUpScanId': 'scan-2', 'plan.rescannedAt': 2 }));
+      await assertSucceeds(updateDoc(doc(worker(), SCAN), { 'plan.applications': 2 }));
+      await assertFails(updateDoc(doc(worker(), `${WS}/scans/scan-agro`), { 'plan.startedAt': 1, 'plan.applications': 1 }));
+    });
+
+    it('lets reviewers unassign a deleted plot only', async () => {
+      await assertSucceeds(updateDoc(doc(agronomist(), SCAN), { plotId: null }));
+      await assertFails(updateDoc(doc(agronomist(), SCAN), { plotId: 'south' }));
+    });
+  });
+
+  describe('share links', () => {
+    const share = (db, uid, token, report = toSharedReport(STORED_SCAN), scanPath = SCAN) => {
+      const batch = writeBatch(db);
+      batch.update(doc(db, scanPath), { shareToken: token });
+      batch.set(doc(db, `${SHARES}/${token}`), { ownerUid: uid, workspaceId: 'farm', scanId: scanPath.split('/').pop(), createdAt: 1, report });
+      return batch.commit();
+    };
+
+    const revoke = (db, token, scanPath = SCAN) => {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, `${SHARES}/${token}`));
+      batch.update(doc(db, scanPath), { shareToken: null });
+      return batch.commit();
+    };
+
+    it('lets the author and the owner share a scan', async () => {
+      await assertSucceeds(share(worker(), 'worker-uid', 'token-1'));
+      await assertSucceeds(share(owner(), 'owner-uid', 'token-2'));
+      await assertSucceeds(getDoc(doc(env.unauthenticatedContext().firestore(), `${SHARES}/token-2`)));
+    });
+
+    it('keeps other members and strangers from sharing or changing the link', async () => {
+      await assertFails(share(agronomist(), 'agro-uid', 'token-1'));
+      await assertFails(share(worker(), 'worker-uid', 'token-2', toSharedReport(STORED_SCAN), `${WS}/scans/scan-agro`));
+      await assertFails(share(stranger(), 'stranger-uid', 'token-3'));
+      await assertFails(updateDoc(doc(worker(), `${WS}/scans/scan-agro`), { shareToken: 'token-4' }));
+    });
+
+    it('only accepts a copy of the scan as stored, written with its shareToken', async () => {
+      await assertFails(share(worker(), 'worker-uid', 'token-1', { ...toSharedReport(STORED_SCAN), name: 'Healthy' }));
+      await assertFails(share(worker(), 'worker-uid', 'token-2', { ...toSharedReport(STORED_SCAN), imageUrl: 'https://storage.test/original.jpg?token=1' }));
+      await assertFails(setDoc(doc(worker(), `${SHARES}/token-3`), { ownerUid: 'worker-uid', workspaceId: 'farm', scanId: 'scan-1', createdAt: 1, report: toSharedReport(STORED_SCAN) }));
+    });
+
+    it('lets the sharer, the author and the owner revoke a link', async () => {
+      await assertSucceeds(share(worker(), 'worker-uid', 'token-1'));
+      await assertFails(revoke(agronomist(), 'token-1'));
+      await assertSucceeds(revoke(owner(), 'token-1'));
+      await assertSucceeds(share(owner(), 'owner-uid', 'token-2'));
+      await assertSucceeds(revoke(worker(), 'token-2'));
+    });
+  });
+
+  describe('invites', () => {
+    const invitee = (verified = true) =>
+      as('new-uid', { email: 'new@farm.test', email_verified: verified }).firestore();
+
+    const accept = (db, role = 'fieldWorker') => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, `${WS}/members/new-uid`), { uid: 'new-uid', email: 'new@farm.test', role, workspaceName: 'Farm', joinedAt: 1 });
+      batch.delete(doc(db, `${WS}/invites/new@farm.test`));
+      return batch.commit();
+    };
+
+    it('finds invites with the collection-group query', async () => {
+      const db = invitee(false);
+      await assertSucceeds(getDocs(query(collectionGroup(db, 'invites'), where('email', '==', 'new@farm.test'))));
+      await assertFails(getDocs(collectionGroup(db, 'invites')));
+    });
+
+    it('accepts an invite with a verified email at the invited role', async () => {
+      await assertFails(accept(invitee(false)));
+      await assertFails(accept(invitee(), 'agronomist'));
+      await assertSucceeds(accept(invitee()));
+      await assertSucceeds(getDoc(doc(invitee(), SCAN)));
+    });
+
+    it('lets the invitee decline and nobody else', async () => {
+      await assertFails(deleteDoc(doc(worker(), `${WS}/invites/new@farm.test`)));
+      await assertFails(deleteDoc(doc(invitee(false), `${WS}/invites/new@farm.test`)));
+      await assertSucceeds(deleteDoc(doc(invitee(), `${WS}/invites/new@farm.test`)));
+    });
+  });
+
+  describe('scan photos', () => {
+    const photo = (context, name) => ref(context.storage(), `${SCAN}/${name}`);
+
+    it('lets members upload and read workspace photos', async () => {
+      await assertSucceeds(uploadBytes(photo(as('worker-uid'), 'photo-0.jpg'), PHOTO, { contentType: 'image/jpeg' }));
+      await assertSucceeds(getBytes(photo(as('agro-uid'), 'photo-0.jpg')));
+      await assertFails(getBytes(photo(as('stranger-uid'), 'photo-0.jpg')));
+      await assertFails(uploadBytes(photo(as('stranger-uid'), 'photo-1.jpg'), PHOTO, { contentType: 'image/jpeg' }));
+    });
+
+    it('serves the main photo of a shared scan to anyone until the link is revoked', async () => {
+      const setShareToken = (shareToken) => env.withSecurityRulesDisabled(context => updateDoc(doc(context.firestore(), SCAN), { shareToken }));
+      const visitor = env.unauthenticatedContext();
+      await assertSucceeds(uploadBytes(photo(as('worker-uid'), 'original.jpg'), PHOTO, { contentType: 'image/jpeg' }));
+      await assertSucceeds(uploadBytes(photo(as('worker-uid'), 'thumbnail.jpg'), PHOTO, { contentType: 'image/jpeg' }));
+      await assertFails(getBytes(photo(visitor, 'original.jpg')));
+
+      await setShareToken('token-1');
+      await assertSucceeds(getBytes(photo(visitor, 'original.jpg')));
+      await assertFails(getBytes(photo(visitor, 'thumbnail.jpg')));
+
+      await setShareToken(null);
+      await assertFails(getBytes(photo(visitor, 'original.jpg')));
+    });
+
+    it('leaves deleting to the author and the owner', async () => {
+      await assertSucceeds(uploadBytes(photo(as('worker-uid'), 'photo-2.jpg'), PHOTO, { contentType: 'image/jpeg' }));
+      await assertFails(deleteObject(photo(as('agro-uid'), 'photo-2.jpg')));
+      await assertSucceeds(deleteObject(photo(as('worker-uid'), 'photo-2.jpg')));
+    });
+  });
+});
+
+describe.skipIf(!authHost)('guest upgrade', () => {
+  const auth = getAuth(initializeApp({ apiKey: 'demo-key', projectId: 'demo-doctor-planet' }, 'upgrade'));
+  connectAuthEmulator(auth, `http://${authHost}`, { disableWarnings: true });
+
+  beforeEach(async () => {
+    await fetch(`http://${authHost}/emulator/v1/projects/demo-doctor-planet/accounts`, { method: 'DELETE' });
+    await signOut(auth);
+  });
+
+  it('keeps the guest uid and puts the email on the token the rules read', async () => {
+    const { user: guest } = await signInAnonymously(auth);
+    const linked = await upgradeGuestAccount(guest, 'guest@farm.test', 'secret-pass');
+    expect(linked.uid).toBe(guest.uid);
+    expect(linked.isAnonymous).toBe(false);
+    expect(linked.email).toBe('guest@farm.test');
+    expect((await linked.getIdTokenResult(true)).claims.email).toBe('guest@farm.test');
+
+    await signOut(auth);
+    const { user } = await signInWithEmailAndPassword(auth, 'guest@farm.test', 'secret-pass');
+    expect(user.uid).toBe(guest.uid);
+  });
+
+  it('refuses an email that already has an account', async () => {
+    const { user: first } = await signInAnonymously(auth);
+    await upgradeGuestAccount(first, 'taken@farm.test', 'secret-pass');
+    await signOut(auth);
+    const { user: second } = await signInAnonymously(auth);
+    await expect(upgradeGuestAccount(second, 'taken@farm.test', 'other-pass'))
+      .rejects.toMatchObject({ code: 'auth/email-already-in-use' });
+  });
+});
@@ -0,0 +1,233 @@
+import 'fake-indexeddb/auto';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { setDoc } from 'firebase/firestore';
+import { uploadBytes } from 'firebase/storage';
+import App, { DiagnosisError, mockProvider } from '../app.js';
+
+// A signed-in farmer; Firestore writes and Storage uploads are recorded instead of sent.
+const farmer = { uid: 'farmer-uid', email: 'farmer@test.dev', isAnonymous: false, getIdTokenResult: async () => ({ claims: {} }) };
+
+vi.mock('firebase/auth', async (importOriginal) => ({
+  ...await importOriginal(),
+  onAuthStateChanged: vi.fn(() => () => {})
+}));
+
+vi.mock('firebase/firestore', async (importOriginal) => ({
+  ...await importOriginal(),
+  addDoc: vi.fn(),
+  setDoc: vi.fn(),
+  updateDoc: vi.fn(),
+  getDoc: vi.fn(async () => ({ exists: () => false })),
+  getDocs: vi.fn(async () => ({ docs: [] })),
+  onSnapshot: vi.fn(() => () => {})
+}));
+
+vi.mock('firebase/storage', async (importOriginal) => ({
+  ...await importOriginal(),
+  uploadBytes: vi.fn(),
+  getDownloadURL: vi.fn(async (ref) => `https://storage.test/${ref.fullPath}`)
+}));
+
+const JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+const savedScans = () => vi.mocked(setDoc).mock.calls
+  .filter(([ref]) => ref.path.split('/').at(-2) === 'scans')
+  .map(([ref, data]) => ({ path: ref.path, data }));
+
+const renderSignedIn = async (scanTab = 'Scan') => {
+  vi.mocked(onAuthStateChanged).mockImplementation((auth, callback) => {
+    setTimeout(() => callback(farmer));
+    return () => {};
+  });
+  render(<App />);
+  fireEvent.click(await screen.findByText(scanTab));
+};
+
+// Attaches a photo to the active slot and waits for its quality check to pass.
+const attachPhoto = async (slotLabel = 'Leaf (top)', runLabel = 'Run AI Analysis') => {
+  const input = document.getElementById('scan-file');
+  fireEvent.change(input, { target: { files: [new File([JPEG], 'leaf.jpg', { type: 'image/jpeg' })] } });
+  await screen.findAllByAltText(slotLabel);
+  await waitFor(() => expect(screen.getByText(runLabel).closest('button').disabled).toBe(false));
+};
+
+// Everything in the offline queue (IndexedDB), whoever queued it.
+const queuedScans = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open('doctor-planet-queue', 1);
+  req.onupgradeneeded = () => req.result.createObjectStore('scans', { keyPath: 'id' });
+  req.onerror = () => reject(req.error);
+  req.onsuccess = () => {
+    const all = req.result.transaction('scans').objectStore('scans').getAll();
+    all.onsuccess = () => {
+      req.result.close();
+      resolve(all.result);
+    };
+  };
+});
+
+const clearQueue = () => new Promise(resolve => {
+  const req = indexedDB.deleteDatabase('doctor-planet-queue');
+  req.onsuccess = req.onerror = resolve;
+});
+
+beforeEach(async () => {
+  await clearQueue();
+  globalThis.__mock_fixture = 0;
+  vi.mocked(setDoc).mockReset().mockResolvedValue();
+  vi.mocked(uploadBytes).mockReset().mockResolvedValue({});
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+  localStorage.clear();
+  delete globalThis.__mock_fixture;
+});
+
+describe('scan flow', () => {
+  it('diagnoses a captured leaf with the mock provider and saves the report', async () => {
+    await renderSignedIn();
+    await attachPhoto();
+    fireEvent.click(screen.getByText('Run AI Analysis'));
+
+    await waitFor(() => expect(savedScans()).toHaveLength(1));
+    const [{ path, data }] = savedScans();
+    expect(path).toMatch(/^artifacts\/test-app\/users\/farmer-uid\/scans\/[^/]+$/);
+    expect(data).toMatchObject({
+      outcome: 'disease',
+      name: 'Early Blight',
+      entryId: 'early-blight',
+      plant: 'Tomato',
+      severity: 'High',
+      confidence: 0.82,
+      source: 'mock',
+      plotId: null,
+      followUpOf: null,
+      imageUrl: `https://storage.test/${path}/original.jpg`,
+      thumbnailUrl: `https://storage.test/${path}/thumbnail.jpg`,
+      imagePath: `${path}/original.jpg`,
+      plan: expect.objectContaining({ product: 'Copper oxychloride 50% WP', intervalDays: 7, repeats: 3 })
+    });
+    expect(data.candidates.map(c => c.name)).toEqual(['Early Blight', 'Septoria Leaf Spot']);
+    expect(data.timestamp).toEqual(expect.any(Number));
+    expect(data).not.toHaveProperty('authorUid');
+    expect(await screen.findAllByText('Early Blight')).not.toHaveLength(0);
+  });
+});
+
+describe('photo uploads', () => {
+  const uploads = () => vi.mocked(uploadBytes).mock.calls.map(([ref, blob, metadata]) => ({ path: ref.fullPath, type: blob.type, metadata }));
+
+  it('stores every view, compressed, under the scan document', async () => {
+    await renderSignedIn();
+    await attachPhoto();
+    await attachPhoto('Leaf underside');
+    fireEvent.click(screen.getByText('Run AI Analysis'));
+
+    await waitFor(() => expect(savedScans()).toHaveLength(1));
+    const [{ path, data }] = savedScans();
+    expect(uploads().map(u => u.path).sort()).toEqual([`${path}/original.jpg`, `${path}/thumbnail.jpg`, `${path}/underside.jpg`]);
+    uploads().forEach(u => {
+      expect(u.type).toBe('image/jpeg');
+      expect(u.metadata).toEqual({ contentType: 'image/jpeg' });
+    });
+    expect(data.photos).toEqual({ underside: `https://storage.test/${path}/underside.jpg` });
+  });
+
+  it('still saves the diagnosis when the upload fails', async () => {
+    vi.mocked(uploadBytes).mockRejectedValue(new Error('storage/retry-limit-exceeded'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await renderSignedIn();
+    await attachPhoto();
+    fireEvent.click(screen.getByText('Run AI Analysis'));
+
+    await waitFor(() => expect(savedScans()).toHaveLength(1));
+    const [{ data }] = savedScans();
+    expect(data.name).toBe('Early Blight');
+    expect(data).not.toHaveProperty('imageUrl');
+    expect(data).not.toHaveProperty('imagePath');
+  });
+});
+
+describe('capture slots', () => {
+  const HEIC = new Uint8Array([0x00, 0x00, 0x00, 0x18, 0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, 0x63]);
+
+  it('drops the check of a photo removed while it was being checked', async () => {
+    // Loads of the app's off-screen images wait here, so the test decides when each step of the capture finishes.
+    const loads = [];
+    const { set } = Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, 'src');
+    vi.spyOn(HTMLImageElement.prototype, 'src', 'set').mockImplementation(function (value) {
+      if (this.isConnected) set.call(this, value);
+      else loads.push(() => set.call(this, value));
+    });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await renderSignedIn();
+    fireEvent.change(document.getElementById('scan-file'), { target: { files: [new File([HEIC], 'leaf.heic', { type: 'image/heic' })] } });
+
+    // The resize fails, so the original is kept and its check starts.
+    await waitFor(() => expect(loads).toHaveLength(1));
+    loads[0]();
+    const [tile] = await screen.findAllByAltText('Leaf (top)');
+    await waitFor(() => expect(loads).toHaveLength(2));
+
+    fireEvent.click(tile);
+    fireEvent.click(screen.getByTitle('Remove photo'));
+    loads[1]();
+    await waitFor(() => expect(warn).toHaveBeenCalledWith("Photo quality check failed", expect.anything()));
+
+    expect(screen.queryByText(/format can't be read/)).toBeNull();
+    expect(screen.queryAllByAltText('Leaf (top)')).toHaveLength(0);
+  });
+});
+
+describe('queueing', () => {
+  it('queues the scan when the provider stays unreachable while online', async () => {
+    vi.spyOn(mockProvider, 'diagnose').mockRejectedValue(new DiagnosisError('diagnosisUnreachable', { transient: true }));
+    await renderSignedIn();
+    await attachPhoto();
+    fireEvent.click(screen.getByText('Run AI Analysis'));
+
+    expect(await screen.findByText('Pending full diagnosis • syncs automatically')).toBeTruthy();
+    const [item] = await queuedScans();
+    expect(item).toMatchObject({ uid: 'farmer-uid', status: 'pending', plotId: null, preliminary: expect.objectContaining({ source: 'local' }) });
+    expect(item.captures.top).toMatch(/^data:image\/jpeg/);
+    expect(savedScans()).toEqual([]);
+  });
+
+  it('queues the scan while offline without asking the provider', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const primary = vi.spyOn(mockProvider, 'diagnose');
+    await renderSignedIn();
+    await attachPhoto();
+    fireEvent.click(screen.getByText('Run AI Analysis'));
+
+    await waitFor(async () => expect(await queuedScans()).toHaveLength(1));
+    expect(primary).not.toHaveBeenCalled();
+    expect(savedScans()).toEqual([]);
+  });
+
+  it('reports a permanent provider error without queueing', async () => {
+    vi.spyOn(mockProvider, 'diagnose').mockRejectedValue(new DiagnosisError('diagnosisDeclined'));
+    const alert = vi.spyOn(window, 'alert').mockImplementation(() => {});
+    await renderSignedIn();
+    await attachPhoto();
+    fireEvent.click(screen.getByText('Run AI Analysis'));
+
+    await waitFor(() => expect(alert).toHaveBeenCalledWith("The AI declined to answer because of its safety filter."));
+    expect(await queuedScans()).toEqual([]);
+    expect(savedScans()).toEqual([]);
+  });
+
+  it('reports provider errors in the chosen language', async () => {
+    localStorage.setItem('doctor-planet-language', 'es');
+    vi.spyOn(mockProvider, 'diagnose').mockRejectedValue(new DiagnosisError('diagnosisDeclined'));
+    const alert = vi.spyOn(window, 'alert').mockImplementation(() => {});
+    await renderSignedIn('Escanear');
+    await attachPhoto('Hoja (haz)', 'Ejecutar análisis IA');
+    fireEvent.click(screen.getByText('Ejecutar análisis IA'));
+
+    await waitFor(() => expect(alert).toHaveBeenCalledWith("La IA se negó a responder por su filtro de seguridad."));
+  });
+});
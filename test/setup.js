@@ -0,0 +1,61 @@
+// Globals the hosting environment injects before app.js runs. Diagnoses and advisor replies
+// come from the mock provider's recorded fixtures, so no test reaches the network.
+globalThis.__firebase_config = JSON.stringify({
+  apiKey: 'test-api-key',
+  authDomain: 'demo-doctor-planet.firebaseapp.com',
+  projectId: 'demo-doctor-planet',
+  storageBucket: 'demo-doctor-planet.appspot.com',
+  appId: '1:000000000000:web:test'
+});
+globalThis.__app_id = 'test-app';
+globalThis.__diagnosis_provider = 'mock';
+
+// jsdom does no layout, so scrolling is a no-op. The rules tests run in plain node.
+if (typeof Element !== 'undefined') Element.prototype.scrollIntoView = () => {};
+
+// jsdom neither decodes images nor draws on canvas. Images "load" at a phone-photo size (HEIC
+// fails, as in most browsers) and every canvas reads back as a sharp, evenly lit green leaf.
+if (typeof HTMLCanvasElement !== 'undefined') {
+  Object.defineProperty(HTMLImageElement.prototype, 'src', {
+    configurable: true,
+    get() { return this.getAttribute('src') || ''; },
+    set(value) {
+      this.setAttribute('src', value);
+      setTimeout(() => value.startsWith('data:image/heic') ? this.onerror?.() : this.onload?.());
+    }
+  });
+  Object.defineProperty(HTMLImageElement.prototype, 'width', { configurable: true, get: () => 640 });
+  Object.defineProperty(HTMLImageElement.prototype, 'height', { configurable: true, get: () => 480 });
+
+  const leafPixels = (width, height) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+      const light = (p % width + Math.floor(p / width)) % 2 === 0;
+      data.set(light ? [90, 200, 60, 255] : [40, 140, 40, 255], p * 4);
+    }
+    return data;
+  };
+  HTMLCanvasElement.prototype.getContext = function () {
+    return {
+      canvas: this,
+      drawImage: () => {},
+      fillRect: () => {},
+      fillText: () => {},
+      measureText: (text) => ({ width: text.length * 8 }),
+      getImageData: (x, y, width, height) => ({ width, height, data: leafPixels(width, height) })
+    };
+  };
+  HTMLCanvasElement.prototype.toBlob = function (callback, type = 'image/png') {
+    callback(new Blob([new Uint8Array([0xff, 0xd8, 0xff, 0xe0])], { type }));
+  };
+  HTMLCanvasElement.prototype.toDataURL = () => 'data:image/jpeg;base64,/9j/4A==';
+
+  // jsdom's Blob predates arrayBuffer(); the EXIF reader needs it.
+  Blob.prototype.arrayBuffer ??= function () {
+    return new Promise(resolve => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsArrayBuffer(this);
+    });
+  };
+}
@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  // app.js is JSX in a .js file, the way the hosting environment serves it.
+  esbuild: { loader: 'jsx', include: /\.js$/, exclude: [], jsx: 'automatic' },
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./test/setup.js'],
+    include: ['test/**/*.test.js']
+  }
+});